@@ -2,10 +2,16 @@
 import * as readline from 'readline';
 import { SerialPort } from 'serialport';
 import { ReadlineParser } from '@serialport/parser-readline';
-import { log } from 'console';
+import mqtt from 'mqtt';
+import YAML from 'yaml';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import http from 'http';
+import util from 'util';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { EventEmitter } from 'events';
 
 // Error codes for JSON-RPC
 var ErrorCode;
@@ -17,279 +23,5298 @@ var ErrorCode;
     ErrorCode[ErrorCode["InternalError"] = -32603] = "InternalError";
 })(ErrorCode || (ErrorCode = {}));
 
-// Function to log text to a file
-const log2text = (message) => {
-    const logFilePath = path.join(os.homedir(), 'co2_level.log');
-    fs.appendFile(logFilePath, message + '\n', (err) => {
-        if (err) {
-            console.error(`Error writing to log file: ${err.message}`);
-        }
+// MH-Z19B UART "read CO2" command: 0xFF 0x01 0x86 ... checksum
+const MHZ19B_READ_COMMAND = Buffer.from([0xff, 0x01, 0x86, 0x00, 0x00, 0x00, 0x00, 0x00, 0x79]);
+
+// MH-Z19B checksum: two's complement of the sum of bytes 1-7
+const mhz19bChecksum = (frame) => {
+    let sum = 0;
+    for (let i = 1; i < 8; i++) {
+        sum += frame[i];
+    }
+    return (0xff - (sum & 0xff) + 1) & 0xff;
+};
+
+// Build an MH-Z19B command frame: 0xFF 0x01 <command> <up to 5 data bytes> <checksum>
+const mhz19bCommand = (command, data = []) => {
+    const frame = Buffer.alloc(9);
+    frame[0] = 0xff;
+    frame[1] = 0x01;
+    frame[2] = command;
+    data.forEach((byte, i) => {
+        frame[3 + i] = byte;
     });
+    frame[8] = mhz19bChecksum(frame);
+    return frame;
 };
 
-// Simulated device state
-class DeviceState {
+// Splits a raw MH-Z19B byte stream into 9-byte response frames (0xFF 0x86 ...), resynchronizing on bad data
+class MhZ19BFrameParser extends Transform {
     constructor() {
-        // Device information
-        this.deviceId = 'rpipico-' + Math.floor(Math.random() * 0xffff).toString(16);
-        this.firmwareVersion = '1.0.0';
-        this.bootTime = new Date();
-        this.dataHandlerSet = false;
-        // Sensor data
-        this.co2Level = 0;
-        this.lastSensorUpdate = new Date();
-        // Network status
-        this.wifiConnected = true;
-        this.wifiSSID = 'SimulatedWiFi';
-        this.ipAddress = '192.168.1.' + Math.floor(Math.random() * 255);
-        // MQTT status
-        this.mqttConnected = true;
-        this.mqttBroker = '192.168.1.100';
-        this.mqttPort = 1883;
-        this.mqttTopic = 'sensor/1';
-        // Power management
-        this.batteryLevel = 85; // percentage
-        // Simulate sensor data changes
-        setInterval(() => {
-            this.updateSensorData();
-        }, 5000);
+        super({ readableObjectMode: true });
+        this.buffer = Buffer.alloc(0);
     }
 
-    handleData(data) {
-        const dataStr = data.toString().trim();
-        const match = dataStr.match(/CO2 \(ppm\):(\d+)/);
-        if (match) {
-            const value = parseInt(match[1]);
-            if (!isNaN(value) && value > 0) {
-                this.co2Level = value;
+    _transform(chunk, encoding, callback) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 9) {
+            if (this.buffer[0] !== 0xff || this.buffer[1] !== 0x86 || mhz19bChecksum(this.buffer) !== this.buffer[8]) {
+                this.buffer = this.buffer.subarray(1);
+                continue;
             }
+            this.push(this.buffer.subarray(0, 9));
+            this.buffer = this.buffer.subarray(9);
         }
+        callback();
     }
+}
 
-    async initializePort() {
-        try {
-            const ports = await SerialPort.list();
-            // Search for Raspberry Pi Pico USB serial port
-            const portInfo = ports.find(port => port.vendorId === '2E8A' && port.productId === '0005');
-            if (portInfo) {
-                // Create a serial port connection
-                this.port = new SerialPort({ path: portInfo.path, baudRate: 115200 });
-                this.parser = this.port.pipe(new ReadlineParser({ delimiter: '\r\n' }));
-                this.parser.on('data', this.handleData.bind(this));
-                this.dataHandlerSet = true;
-            } else {
-                console.log('No USB serial port found, running in simulation mode');
-                this.port = null;
-            }
-        } catch (err) {
-            console.error(`Error listing serial ports: ${err.message}`);
-            console.log('Running in simulation mode due to error');
-            this.port = null;
-        }
+// Measurement metadata; derived metrics are computed from temperature and humidity
+const METRICS = {
+    co2: { unit: 'ppm', description: 'CO2 concentration' },
+    temperature: { unit: '°C', description: 'Air temperature' },
+    humidity: { unit: '%RH', description: 'Relative humidity' },
+    dewPoint: { unit: '°C', description: 'Dew point', derived: true },
+    absoluteHumidity: { unit: 'g/m³', description: 'Absolute humidity', derived: true }
+};
+
+// Compute derived metrics from temperature (°C) and relative humidity (%)
+const deriveMeasurements = ({ temperature, humidity }) => {
+    if (typeof temperature !== 'number' || typeof humidity !== 'number' || humidity <= 0) {
+        return {};
     }
+    // Magnus formula coefficients (Sonntag 1990)
+    const b = 17.62;
+    const c = 243.12;
+    const gamma = Math.log(humidity / 100) + (b * temperature) / (c + temperature);
+    // Actual vapour pressure in hPa
+    const vapourPressure = 6.112 * Math.exp((b * temperature) / (c + temperature)) * humidity / 100;
+    return {
+        dewPoint: Math.round((c * gamma) / (b - gamma) * 10) / 10,
+        absoluteHumidity: Math.round(216.7 * vapourPressure / (273.15 + temperature) * 100) / 100
+    };
+};
 
-    updateSensorData = () => {
-        // Simulate data if no serial port is available
-        if (!this.port) {
-            this.co2Level = Math.floor(400 + Math.random() * 600);
+// Seeded pseudo-random numbers (mulberry32), so simulations can be repeated exactly;
+// the salt (e.g. a device name) gives each device its own sequence for the same seed
+class SeededRandom {
+    constructor(seed = Math.floor(Math.random() * 0x100000000), salt = '') {
+        this.seed = seed >>> 0;
+        let state = this.seed;
+        for (const char of salt) {
+            state = Math.imul(state ^ char.charCodeAt(0), 16777619) >>> 0;
         }
+        this.state = state;
+    }
 
-        this.lastSensorUpdate = new Date();
-        // Simulate battery drain
-        this.batteryLevel = Math.max(0, this.batteryLevel - 0.1);
+    // Uniform number in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
     }
 
-    // Getters for device information
-    getDeviceInfo() {
+    // Standard normal number (Box-Muller transform)
+    gaussian() {
+        const u = 1 - this.next();
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+// Fields of a firmware status line: key=value or key="quoted value" pairs
+const parseKeyValueFields = (text) => Object.fromEntries([...text.matchAll(/(\w+)=("([^"]*)"|\S+)/g)]
+    .map(([, key, value, quoted]) => [key, quoted ?? value]));
+
+// Sensor drivers: how to frame the serial stream, how to request data and how to parse frames into measurements
+const SENSOR_DRIVERS = {
+    'mhz19b-text': {
+        description: 'Pico firmware printing "CO2 (ppm):NNN" lines (default)',
+        measurements: ['co2'],
+        createParser: () => new ReadlineParser({ delimiter: '\r\n' }),
+        requestCommand: 'getdata\r\n',
+        parse(frame) {
+            const match = frame.toString().trim().match(/CO2 \(ppm\):(\d+)/);
+            return match ? { co2: parseInt(match[1]) } : null;
+        },
+        // Power reports: "VSYS (V):4.87" (supply voltage), "BATTERY (%):76" (battery level) and "VBUS:1" (USB power present)
+        parsePower(frame) {
+            const match = frame.toString().trim().match(/^(VSYS \(V\)|BATTERY \(%\)|VBUS):\s*(\d+(?:\.\d+)?)$/);
+            if (!match) {
+                return null;
+            }
+            const value = parseFloat(match[2]);
+            switch (match[1]) {
+                case 'VSYS (V)':
+                    return { voltage: value };
+                case 'BATTERY (%)':
+                    return value <= 100 ? { level: value } : null;
+                default:
+                    return { usb: value === 1 };
+            }
+        },
+        // Commands are text lines; the firmware answers "OK <command>" or "ERR <command>: <reason>"
+        encodeCommand: (name, args) => `${SENSOR_COMMANDS[name].firmware(args)}\r\n`,
+        parseAck(frame, name, args) {
+            const command = SENSOR_COMMANDS[name].firmware(args);
+            const line = frame.toString().trim();
+            if (line === `OK ${command}`) {
+                return { ok: true, response: line };
+            }
+            if (line.startsWith(`ERR ${command}`)) {
+                return { ok: false, response: line, error: line.slice(`ERR ${command}`.length).replace(/^:\s*/, '') || 'rejected' };
+            }
+            return null;
+        },
+        // Pico W network commands: "wifi status" and "wifi reconnect", acknowledged like other commands;
+        // the firmware reports its network as "WIFI <state> ssid=<ssid> rssi=<dBm> ip=<address> [reason=<text>]"
+        encodeNetworkCommand: (command) => `wifi ${command}\r\n`,
+        parseNetworkFrame(frame) {
+            const line = frame.toString().trim();
+            const ack = line.match(/^(OK|ERR) wifi (\w+)(?::\s*(.*))?$/);
+            if (ack) {
+                return { type: 'ack', command: ack[2], ok: ack[1] === 'OK', error: ack[3] || 'rejected' };
+            }
+            const status = line.match(/^WIFI (\w+)(.*)$/);
+            if (!status) {
+                return null;
+            }
+            return { type: 'status', status: networkStatusFromFirmware({ state: status[1], ...parseKeyValueFields(status[2]) }) };
+        },
+        // Firmware info: "info" is answered with "INFO version=<version> board=<board type> id=<unique ID>",
+        // or "ERR info: <reason>" by firmware that does not know the command
+        infoCommand: 'info\r\n',
+        parseInfo(frame) {
+            const line = frame.toString().trim();
+            const error = line.match(/^ERR info(?::\s*(.*))?$/);
+            if (error) {
+                return { ok: false, error: error[1] || 'rejected' };
+            }
+            const info = line.match(/^INFO\b(.*)$/);
+            if (!info) {
+                return null;
+            }
+            const { version, board, id } = parseKeyValueFields(info[1]);
+            return { ok: true, version, board, id };
+        },
+        // A Pico running the firmware resets into its BOOTSEL bootloader on the 1200-baud touch
+        bootloaderTouch: true
+    },
+    'json-lines': {
+        description: 'Firmware printing one JSON object per line, e.g. {"co2":650,"temp":23.4,"rh":41,"vsys":4.1}',
+        measurements: ['co2', 'temperature', 'humidity'],
+        createParser: () => new ReadlineParser({ delimiter: '\n' }),
+        requestCommand: 'getdata\r\n',
+        parse(frame) {
+            let data;
+            try {
+                data = JSON.parse(frame.toString().trim());
+            } catch (err) {
+                return null;
+            }
+            if (data === null || typeof data !== 'object') {
+                return null;
+            }
+            const measurements = {};
+            for (const [field, name] of [['co2', 'co2'], ['temp', 'temperature'], ['rh', 'humidity']]) {
+                if (typeof data[field] === 'number' && isFinite(data[field])) {
+                    measurements[name] = data[field];
+                }
+            }
+            return Object.keys(measurements).length > 0 ? measurements : null;
+        },
+        // Power fields, on their own or next to the measurements: "vsys" (V), "battery" (%) and "usb" (true/false)
+        parsePower(frame) {
+            let data;
+            try {
+                data = JSON.parse(frame.toString().trim());
+            } catch (err) {
+                return null;
+            }
+            if (data === null || typeof data !== 'object') {
+                return null;
+            }
+            const power = {};
+            if (typeof data.vsys === 'number' && data.vsys > 0) {
+                power.voltage = data.vsys;
+            }
+            if (typeof data.battery === 'number' && data.battery >= 0 && data.battery <= 100) {
+                power.level = data.battery;
+            }
+            if (typeof data.usb === 'boolean') {
+                power.usb = data.usb;
+            }
+            return Object.keys(power).length > 0 ? power : null;
+        },
+        // Commands are JSON lines, e.g. {"cmd":"calibrate_span","ppm":2000};
+        // the firmware answers {"ack":"calibrate_span","ok":true} or {"ack":...,"ok":false,"error":"..."}
+        encodeCommand: (name, args) => `${JSON.stringify({ cmd: name, ...args })}\n`,
+        parseAck(frame, name) {
+            let data;
+            try {
+                data = JSON.parse(frame.toString().trim());
+            } catch (err) {
+                return null;
+            }
+            if (data === null || typeof data !== 'object' || data.ack !== name) {
+                return null;
+            }
+            return { ok: data.ok === true, response: frame.toString().trim(), error: data.error || 'rejected' };
+        },
+        // Pico W network commands {"cmd":"wifi_status"} and {"cmd":"wifi_reconnect"}, acknowledged like other
+        // commands; the firmware reports its network as {"wifi":"connected","ssid":"...","rssi":-61,"ip":"..."}
+        encodeNetworkCommand: (command) => `${JSON.stringify({ cmd: `wifi_${command}` })}\n`,
+        parseNetworkFrame(frame) {
+            let data;
+            try {
+                data = JSON.parse(frame.toString().trim());
+            } catch (err) {
+                return null;
+            }
+            if (data === null || typeof data !== 'object') {
+                return null;
+            }
+            if (typeof data.ack === 'string' && data.ack.startsWith('wifi_')) {
+                return { type: 'ack', command: data.ack.slice('wifi_'.length), ok: data.ok === true, error: data.error || 'rejected' };
+            }
+            if (typeof data.wifi !== 'string') {
+                return null;
+            }
+            return { type: 'status', status: networkStatusFromFirmware({ ...data, state: data.wifi }) };
+        },
+        // Firmware info {"cmd":"info"}, answered with {"ack":"info","ok":true,"version":"...","board":"...","id":"..."}
+        infoCommand: `${JSON.stringify({ cmd: 'info' })}\n`,
+        parseInfo(frame) {
+            let data;
+            try {
+                data = JSON.parse(frame.toString().trim());
+            } catch (err) {
+                return null;
+            }
+            if (data === null || typeof data !== 'object' || data.ack !== 'info') {
+                return null;
+            }
+            if (data.ok !== true) {
+                return { ok: false, error: data.error || 'rejected' };
+            }
+            const text = (value) => (typeof value === 'string' && value ? value : undefined);
+            return { ok: true, version: text(data.version), board: text(data.board), id: text(data.id) };
+        },
+        bootloaderTouch: true
+    },
+    'mhz19b-uart': {
+        description: 'MH-Z19B connected directly over UART (binary 0xFF 0x86 read command, 9600 baud)',
+        measurements: ['co2', 'temperature'],
+        baudRate: 9600,
+        createParser: () => new MhZ19BFrameParser(),
+        requestCommand: MHZ19B_READ_COMMAND,
+        parse(frame) {
+            // Bytes 2-3: CO2 ppm (high, low); byte 4: temperature + 40 (undocumented but widely used)
+            return {
+                co2: frame[2] * 256 + frame[3],
+                temperature: frame[4] - 40
+            };
+        },
+        // The sensor does not acknowledge configuration commands (no parseAck), reports neither network, power
+        // nor firmware info, and there is no Pico to reboot into a bootloader
+        encodeCommand: (name, args) => SENSOR_COMMANDS[name].uart(args)
+    }
+};
+
+// WiFi connection states reported by the firmware
+const WIFI_STATES = ['connected', 'connecting', 'disconnected', 'failed'];
+
+// Network status from the fields of a firmware status report
+const networkStatusFromFirmware = ({ state, ssid, rssi, ip, reason }) => ({
+    source: 'firmware',
+    state: WIFI_STATES.includes(state) ? state : 'unknown',
+    ssid: ssid || null,
+    rssi: rssi === undefined || rssi === null || isNaN(Number(rssi)) ? null : Number(rssi),
+    ip: ip || null,
+    interface: null,
+    error: reason || null,
+    updatedAt: new Date().toISOString()
+});
+
+// Network status of the host: the given interface, or the first external IPv4 interface
+// (wireless interfaces first). The host does not report SSID or signal strength.
+const hostNetworkStatus = (interfaceName) => {
+    const candidates = Object.entries(os.networkInterfaces())
+        .filter(([name]) => !interfaceName || name === interfaceName)
+        .map(([name, addresses]) => ({ name, address: addresses.find(address => address.family === 'IPv4' && !address.internal) }))
+        .filter(({ address }) => address)
+        .sort((a, b) => Number(/^(wl|wi-?fi)/i.test(b.name)) - Number(/^(wl|wi-?fi)/i.test(a.name)));
+    const [found] = candidates;
+    return {
+        source: 'host',
+        state: found ? 'connected' : 'disconnected',
+        ssid: null,
+        rssi: null,
+        ip: found ? found.address.address : null,
+        interface: found ? found.name : interfaceName || null,
+        error: found ? null : `No ${interfaceName ? `IPv4 address on ${interfaceName}` : 'external IPv4 interface'}`,
+        updatedAt: new Date().toISOString()
+    };
+};
+
+// Volume labels of the USB drive the RP2040 (RPI-RP2) and RP2350 boot ROMs show in BOOTSEL mode
+const BOOTSEL_VOLUME_LABELS = ['RPI-RP2', 'RP2350'];
+
+// Look for a board in BOOTSEL mode on the host: a mounted drive with the boot ROM's INFO_UF2.TXT,
+// or (Linux) a drive with a BOOTSEL label that is not mounted yet. Returns
+// { label, device, mountPoint, bootloader, model, boardId } or null.
+const findBootselDrive = () => {
+    let mountPoints = [];
+    if (process.platform === 'win32') {
+        mountPoints = Array.from('DEFGHIJKLMNOPQRSTUVWXYZ', letter => `${letter}:\\`);
+    } else if (process.platform === 'darwin') {
+        mountPoints = BOOTSEL_VOLUME_LABELS.map(label => `/Volumes/${label}`);
+    } else {
+        try {
+            // /proc/mounts escapes spaces and other special characters as octal (e.g. \040)
+            mountPoints = fs.readFileSync('/proc/mounts', 'utf8').split('\n')
+                .map(line => line.split(' '))
+                .filter(([, , type]) => ['vfat', 'msdos', 'fuseblk'].includes(type))
+                .map(([, mountPoint]) => mountPoint.replace(/\\([0-7]{3})/g, (_, code) => String.fromCharCode(parseInt(code, 8))));
+        } catch (err) {
+            mountPoints = [];
+        }
+    }
+    for (const mountPoint of mountPoints) {
+        let info;
+        try {
+            info = fs.readFileSync(path.join(mountPoint, 'INFO_UF2.TXT'), 'utf8');
+        } catch (err) {
+            continue;
+        }
+        // "UF2 Bootloader v3.0", "Model: Raspberry Pi RP2", "Board-ID: RPI-RP2"
+        const field = (name) => info.match(new RegExp(`^${name}:\\s*(.+)$`, 'm'))?.[1].trim() || null;
+        const boardId = field('Board-ID');
         return {
-            deviceId: this.deviceId,
-            firmwareVersion: this.firmwareVersion,
-            bootTime: this.bootTime.toLocaleDateString('ja-JP', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }),
-            uptime: Math.floor((new Date().getTime() - this.bootTime.getTime()) / 1000),
-            batteryLevel: this.batteryLevel,
+            label: BOOTSEL_VOLUME_LABELS.find(label => label === boardId || mountPoint.includes(label)) || boardId,
+            device: null,
+            mountPoint,
+            bootloader: info.split(/\r?\n/)[0].trim() || null,
+            model: field('Model'),
+            boardId
         };
     }
+    for (const label of process.platform === 'linux' ? BOOTSEL_VOLUME_LABELS : []) {
+        const byLabel = `/dev/disk/by-label/${label}`;
+        if (fs.existsSync(byLabel)) {
+            return { label, device: fs.realpathSync(byLabel), mountPoint: null, bootloader: null, model: null, boardId: null };
+        }
+    }
+    return null;
+};
 
-    // Getters for sensor data
-    async getSensorData() {
-        if (!this.port && !this.dataHandlerSet) {
-            await this.initializePort();
+// Calibration and configuration commands; they change state stored in the sensor and cannot be undone
+const SENSOR_COMMANDS = {
+    calibrate_zero: {
+        confirmation: 'Zero-point calibration makes the current reading the 400 ppm baseline. Only run it after the sensor has been in fresh outdoor air for at least 20 minutes, otherwise all later readings will be off.',
+        firmware: () => 'calibrate zero',
+        uart: () => mhz19bCommand(0x87)
+    },
+    calibrate_span: {
+        confirmation: 'Span calibration makes the current reading the given concentration. Only run it with the sensor in a reference gas of exactly that concentration, after a zero-point calibration.',
+        firmware: ({ ppm }) => `calibrate span ${ppm}`,
+        uart: ({ ppm }) => mhz19bCommand(0x88, [ppm >> 8, ppm & 0xff])
+    },
+    set_auto_baseline: {
+        confirmation: 'Automatic baseline correction moves the 400 ppm baseline to the lowest reading of every 24 hours. With it on, rooms that never get fresh air read too low; with it off, the sensor needs manual zero-point calibration.',
+        firmware: ({ enabled }) => `abc ${enabled ? 'on' : 'off'}`,
+        uart: ({ enabled }) => mhz19bCommand(0x79, [enabled ? 0xa0 : 0x00]),
+        apply: (settings, { enabled }) => {
+            settings.autoBaseline = enabled;
         }
+    },
+    set_detection_range: {
+        confirmation: 'Changing the detection range reconfigures the sensor; readings above the new range are clipped, and a smaller range gives better accuracy.',
+        firmware: ({ range }) => `range ${range}`,
+        uart: ({ range }) => mhz19bCommand(0x99, [0, 0, 0, range >> 8, range & 0xff]),
+        apply: (settings, { range }) => {
+            settings.detectionRange = range;
+        }
+    }
+};
 
-        return new Promise((resolve, reject) => {
-            // Maximum wait time for data (milliseconds)
-            const maxWaitTime = 5000;
-            // Timer ID for timeout
-            let timeoutId;
+// Smoothing of buffered samples (sampling.smoothing): combines a metric's values over the window
+const SAMPLE_SMOOTHING = {
+    none: null,
+    'moving-average': (values) => values.reduce((sum, value) => sum + value, 0) / values.length,
+    median: (values) => percentile([...values].sort((a, b) => a - b), 0.5)
+};
 
-            // If a serial port is available
-            if (this.port) {
-                log2text(`sensor data requested - waiting for data...`);
+// Fixed-size buffer of the most recent items; when full, each new item replaces the oldest
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
 
-                // Event handler to wait for data
-                const dataHandler = (data) => {
-                    this.handleData(data);
-                    if (this.co2Level > 0) {
-                        this.lastSensorUpdate = new Date();
+    push(item) {
+        this.items[(this.start + this.length) % this.capacity] = item;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
 
-                        // Clear the timeout
-                        clearTimeout(timeoutId);
-                        // Remove the event listener
-                        this.parser.removeListener('data', dataHandler);
-                        log2text(`sensor data received: ${this.co2Level}`);
-                        // Return the result
-                        resolve({
-                            co2Level: this.co2Level,
-                            lastUpdate: this.lastSensorUpdate.toLocaleDateString('ja-JP', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }),
-                            status: "data_received"
-                        });
-                    }
-                };
+    // The last count items (default: all), oldest first
+    last(count = this.length) {
+        const n = Math.min(count, this.length);
+        return Array.from({ length: n }, (_, i) => this.items[(this.start + this.length - n + i) % this.capacity]);
+    }
+}
 
-                // Add event listener to wait for data
-                this.parser.on('data', dataHandler);
+// Power modes (set_power_mode, power.mode): how often connected devices are sampled in the background
+const POWER_MODES = {
+    normal: { description: 'Sample every sampling.intervalMs', intervalMs: (config) => config.sampling.intervalMs },
+    'low-power': { description: 'Sample every power.lowPowerIntervalMs', intervalMs: (config) => config.power.lowPowerIntervalMs },
+    'ultra-low': { description: 'Sample every power.ultraLowIntervalMs', intervalMs: (config) => config.power.ultraLowIntervalMs }
+};
 
-                // Timeout processing
-                timeoutId = setTimeout(() => {
-                    // Remove the event listener
-                    this.parser.removeListener('data', dataHandler);
+// Linear interpolation on a discharge curve ({ voltage, percent } points, highest voltage first),
+// from one field of the points to the other; values beyond the curve get its end points
+const interpolateCurve = (curve, value, from, to) => {
+    const points = from === 'voltage' ? curve : [...curve].reverse();
+    const ascending = points[0][from] < points[points.length - 1][from];
+    const clamp = ascending ? value <= points[0][from] : value >= points[0][from];
+    if (clamp) {
+        return points[0][to];
+    }
+    for (let i = 1; i < points.length; i++) {
+        const [a, b] = [points[i - 1], points[i]];
+        if (ascending ? value <= b[from] : value >= b[from]) {
+            return a[to] + (value - a[from]) / (b[from] - a[from]) * (b[to] - a[to]);
+        }
+    }
+    return points[points.length - 1][to];
+};
 
-                    // Use simulated data on timeout
-                    this.co2Level = Math.floor(400 + Math.random() * 600);
-                    this.lastSensorUpdate = new Date();
-                    log2text(`sensor data wait timeout - using simulated value: ${this.co2Level}`);
-                    resolve({
-                        co2Level: this.co2Level,
-                        lastUpdate: this.lastSensorUpdate.toLocaleDateString('ja-JP', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }),
-                        status: "timeout_simulated_data"
-                    });
-                }, maxWaitTime);
+// Battery level (%) for a supply voltage, and the voltage of a battery level
+const batteryLevelForVoltage = (curve, voltage) => interpolateCurve(curve, voltage, 'voltage', 'percent');
+const voltageForBatteryLevel = (curve, level) => interpolateCurve(curve, level, 'percent', 'voltage');
 
-                // Send data request (if needed)
-                this.port.write('getdata\r\n', (err) => {
-                    if (err) {
-                        log2text(`Error requesting data: ${err.message}`);
-                        // Do not reject, handle with timeout
-                    }
-                });
+// Average current (mA) of a board sampled every intervalMs (0: only on demand): the idle current
+// plus the extra current while taking a sample, spread over the interval
+const averageCurrentMa = (power, intervalMs) => power.idleCurrentMa
+    + (intervalMs > 0 ? power.sampleCurrentMa * Math.min(1, power.sampleDurationMs / intervalMs) : 0);
+
+// Log levels in increasing severity (syslog names, as used by MCP logging)
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Error thrown when the configuration is invalid
+class ConfigError extends Error {
+    constructor(errors) {
+        super('Invalid configuration:\n' + errors.map(error => `  - ${error}`).join('\n'));
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Configuration schema: setting key -> type, default, environment variable and constraints
+// Settings are layered: defaults < config file < environment variables < CLI flags
+const CONFIG_SCHEMA = {
+    'serial.vendorId': { type: 'string', default: '2E8A', env: 'SERIAL_VENDOR_ID', pattern: /^[0-9A-Fa-f]{4}$/, description: 'USB vendor ID of the sensor board' },
+    'serial.productId': { type: 'string', default: '0005', env: 'SERIAL_PRODUCT_ID', pattern: /^[0-9A-Fa-f]{4}$/, description: 'USB product ID of the sensor board' },
+    'serial.devices': { type: 'devices', default: [], env: 'SERIAL_DEVICES', description: 'Explicit list of devices as name=path[:driver] entries (empty to discover every matching port)' },
+    'serial.rescanIntervalMs': { type: 'integer', default: 5000, env: 'SERIAL_RESCAN_INTERVAL_MS', min: 0, max: 3600000, description: 'Interval for detecting plugged or removed boards when discovering ports (ms, 0 disables)' },
+    'serial.reconnectBaseMs': { type: 'integer', default: 1000, env: 'SERIAL_RECONNECT_BASE_MS', min: 100, max: 3600000, description: 'First reconnect delay after a board is lost (ms), doubled on each attempt' },
+    'serial.reconnectMaxMs': { type: 'integer', default: 60000, env: 'SERIAL_RECONNECT_MAX_MS', min: 100, max: 3600000, description: 'Maximum reconnect delay (ms)' },
+    'serial.baudRate': { type: 'integer', default: 115200, env: 'SERIAL_BAUD_RATE', min: 300, max: 4000000, description: 'Serial baud rate (drivers with their own default, e.g. mhz19b-uart, use it unless this is set)' },
+    'sensor.driver': { type: 'string', default: 'mhz19b-text', env: 'SENSOR_DRIVER', enum: Object.keys(SENSOR_DRIVERS), description: 'Sensor driver used for devices that do not name one' },
+    'sensor.dataPolicy': { type: 'string', default: 'simulate', env: 'SENSOR_DATA_POLICY', enum: ['simulate', 'last-known', 'strict'], description: 'What to return when no real reading is available: simulated data, the last real reading, or an error' },
+    'sensor.readTimeoutMs': { type: 'integer', default: 5000, env: 'SENSOR_READ_TIMEOUT_MS', min: 100, max: 60000, description: 'Maximum wait for a reading from the device (ms)' },
+    'sensor.updateIntervalMs': { type: 'integer', default: 5000, env: 'SENSOR_UPDATE_INTERVAL_MS', min: 500, max: 3600000, description: 'Interval between sensor data updates (ms)' },
+    'sampling.intervalMs': { type: 'integer', default: 5000, env: 'SAMPLING_INTERVAL_MS', min: 0, max: 3600000, description: 'Interval for reading connected devices in the background (ms, 0 reads only on demand)' },
+    'sampling.bufferSize': { type: 'integer', default: 120, env: 'SAMPLING_BUFFER_SIZE', min: 1, max: 100000, description: 'Number of recent samples kept per device' },
+    'sampling.smoothing': { type: 'string', default: 'none', env: 'SAMPLING_SMOOTHING', enum: Object.keys(SAMPLE_SMOOTHING), description: 'Smoothing of the reported values over the last sampling.window samples' },
+    'sampling.window': { type: 'integer', default: 5, env: 'SAMPLING_WINDOW', min: 1, max: 1000, description: 'Number of recent samples used for smoothing and outlier rejection' },
+    'sampling.outlierPpm': { type: 'number', default: 0, env: 'SAMPLING_OUTLIER_PPM', min: 0, description: 'Reject CO2 samples further than this from the median of the recent samples (ppm, 0 disables)' },
+    'network.provider': { type: 'string', default: 'auto', env: 'NETWORK_PROVIDER', enum: ['auto', 'firmware', 'host'], description: 'Where the network status comes from: the Pico W firmware, the host network interfaces, or the firmware when it reports one (auto)' },
+    'network.interface': { type: 'string', default: '', env: 'NETWORK_INTERFACE', description: 'Host network interface to report (empty for the first external IPv4 interface)' },
+    'network.refreshIntervalMs': { type: 'integer', default: 60000, env: 'NETWORK_REFRESH_INTERVAL_MS', min: 0, max: 3600000, description: 'Interval for refreshing the network status in the background (ms, 0 refreshes only on request)' },
+    'network.reconnectTimeoutMs': { type: 'integer', default: 30000, env: 'NETWORK_RECONNECT_TIMEOUT_MS', min: 1000, max: 600000, description: 'Maximum wait for the firmware to finish a WiFi reconnect (ms)' },
+    'power.mode': { type: 'string', default: 'normal', env: 'POWER_MODE', enum: Object.keys(POWER_MODES), description: 'Power mode at startup (see set_power_mode)' },
+    'power.lowPowerIntervalMs': { type: 'integer', default: 60000, env: 'POWER_LOW_POWER_INTERVAL_MS', min: 1000, max: 3600000, description: 'Sampling interval in the low-power mode (ms)' },
+    'power.ultraLowIntervalMs': { type: 'integer', default: 300000, env: 'POWER_ULTRA_LOW_INTERVAL_MS', min: 1000, max: 86400000, description: 'Sampling interval in the ultra-low mode (ms)' },
+    'power.dischargeCurve': { type: 'curve', default: '4.2:100,4.1:90,4.0:80,3.9:65,3.8:50,3.7:35,3.6:20,3.5:10,3.3:0', env: 'POWER_DISCHARGE_CURVE', description: 'Battery level for supply voltages, as voltage:percent points (default: single-cell LiPo)' },
+    'power.usbVoltage': { type: 'number', default: 4.5, env: 'POWER_USB_VOLTAGE', min: 0, max: 10, description: 'Supply voltage (VSYS) from which the board counts as USB powered, unless the firmware reports whether USB power is present' },
+    'power.capacityMah': { type: 'number', default: 2000, env: 'POWER_CAPACITY_MAH', min: 1, description: 'Battery capacity (mAh)' },
+    'power.idleCurrentMa': { type: 'number', default: 30, env: 'POWER_IDLE_CURRENT_MA', min: 0, description: 'Current drawn by the board and sensor between samples (mA)' },
+    'power.sampleCurrentMa': { type: 'number', default: 150, env: 'POWER_SAMPLE_CURRENT_MA', min: 0, description: 'Extra current drawn while taking and sending a sample (mA)' },
+    'power.sampleDurationMs': { type: 'integer', default: 1000, env: 'POWER_SAMPLE_DURATION_MS', min: 0, max: 60000, description: 'How long taking and sending a sample draws the extra current (ms)' },
+    'power.simulatedLevel': { type: 'number', default: 85, env: 'POWER_SIMULATED_LEVEL', min: 0, max: 100, description: 'Battery level simulated devices start with (%)' },
+    'firmware.bootselTimeoutMs': { type: 'integer', default: 10000, env: 'FIRMWARE_BOOTSEL_TIMEOUT_MS', min: 0, max: 120000, description: 'Maximum wait for the BOOTSEL drive to appear after enter_bootloader (ms)' },
+    'simulation.scenario': { type: 'string', default: '', env: 'SIMULATION_SCENARIO', description: 'Scenario started on every device at startup: a built-in scenario name, or a JSON/YAML scenario file or a CSV file to replay in simulation.scenariosDir (empty for the default random walk)' },
+    'simulation.scenariosDir': { type: 'path', default: '~/co2_scenarios', env: 'SIMULATION_SCENARIOS_DIR', description: 'Directory scenario and CSV replay files are loaded from (empty allows built-in scenarios only)' },
+    'simulation.seed': { type: 'integer', default: 0, env: 'SIMULATION_SEED', min: 0, max: 4294967295, description: 'Seed for simulated data, to make simulations repeatable (0 for a random seed)' },
+    'log.file': { type: 'path', default: '~/co2_level.log', env: 'LOG_FILE', description: 'Log file path' },
+    'log.level': { type: 'string', default: 'info', env: 'LOG_LEVEL', enum: LOG_LEVELS, description: 'Minimum level written to the log file' },
+    'log.maxSizeMb': { type: 'number', default: 10, env: 'LOG_MAX_SIZE_MB', min: 0, description: 'Rotate the log file when it would grow beyond this size (MB, 0 disables)' },
+    'log.rotateDaily': { type: 'boolean', default: true, env: 'LOG_ROTATE_DAILY', description: 'Rotate the log file when the date (UTC) changes' },
+    'log.maxFiles': { type: 'integer', default: 5, env: 'LOG_MAX_FILES', min: 0, max: 1000, description: 'Number of rotated log files kept' },
+    'log.retentionDays': { type: 'number', default: 30, env: 'LOG_RETENTION_DAYS', min: 0.01, max: 3650, description: 'Delete rotated log files older than this (days)' },
+    'log.notifyLevel': { type: 'string', default: 'warning', env: 'LOG_NOTIFY_LEVEL', enum: LOG_LEVELS, description: 'Minimum level sent to MCP clients as notifications/message until they call logging/setLevel' },
+    'history.file': { type: 'path', default: '~/co2_history.jsonl', env: 'HISTORY_FILE', description: 'Sensor history file path' },
+    'history.retentionDays': { type: 'number', default: 7, env: 'HISTORY_RETENTION_DAYS', min: 0.01, max: 3650, description: 'Days of history kept in memory for queries and in the history file' },
+    'export.dir': { type: 'path', default: '~/co2_exports', env: 'EXPORT_DIR', description: 'Directory export_sensor_data writes files to when given a path (empty disables file exports)' },
+    'mqtt.url': { type: 'string', default: '', env: 'MQTT_URL', pattern: /^$|^(mqtt|mqtts|tcp|tls|ws|wss):\/\/.+/, description: 'Broker URL (empty disables MQTT)' },
+    'mqtt.username': { type: 'string', default: '', env: 'MQTT_USERNAME', description: 'Broker username' },
+    'mqtt.password': { type: 'string', default: '', env: 'MQTT_PASSWORD', secret: true, description: 'Broker password' },
+    'mqtt.clientId': { type: 'string', default: '', env: 'MQTT_CLIENT_ID', description: 'Client ID (empty for a random ID)' },
+    'mqtt.topic': { type: 'string', default: 'sensor/1', env: 'MQTT_TOPIC', pattern: /^[^#+]+$/, description: 'Topic that sensor data is published to' },
+    'mqtt.qos': { type: 'integer', default: 0, env: 'MQTT_QOS', enum: [0, 1, 2], description: 'QoS level' },
+    'mqtt.retain': { type: 'boolean', default: false, env: 'MQTT_RETAIN', description: 'Publish retained messages' },
+    'mqtt.willTopic': { type: 'string', default: '', env: 'MQTT_WILL_TOPIC', description: 'Last-will topic (empty disables the last will)' },
+    'mqtt.willPayload': { type: 'string', default: 'offline', env: 'MQTT_WILL_PAYLOAD', description: 'Last-will payload' },
+    'mqtt.ca': { type: 'path', default: '', env: 'MQTT_CA', description: 'TLS CA certificate file' },
+    'mqtt.cert': { type: 'path', default: '', env: 'MQTT_CERT', description: 'TLS client certificate file' },
+    'mqtt.key': { type: 'path', default: '', env: 'MQTT_KEY', secret: true, description: 'TLS client key file' },
+    'mqtt.rejectUnauthorized': { type: 'boolean', default: true, env: 'MQTT_REJECT_UNAUTHORIZED', description: 'Reject untrusted broker certificates' },
+    'subscriptions.minIntervalMs': { type: 'integer', default: 1000, env: 'SUBSCRIPTIONS_MIN_INTERVAL_MS', min: 100, max: 3600000, description: 'Minimum time between update notifications for a subscribed resource (ms)' },
+    'subscriptions.minChange': { type: 'number', default: 0, env: 'SUBSCRIPTIONS_MIN_CHANGE', min: 0, description: 'Minimum CO2 change (ppm) before a sensor data update is sent (0 for any change)' },
+    'stdio.enabled': { type: 'boolean', default: true, env: 'STDIO_ENABLED', description: 'Serve MCP over stdin/stdout' },
+    'http.enabled': { type: 'boolean', default: false, env: 'HTTP_ENABLED', description: 'Serve MCP over streamable HTTP' },
+    'http.host': { type: 'string', default: '127.0.0.1', env: 'HTTP_HOST', description: 'HTTP listen address' },
+    'http.port': { type: 'integer', default: 3000, env: 'HTTP_PORT', min: 1, max: 65535, description: 'HTTP listen port' },
+    'http.path': { type: 'string', default: '/mcp', env: 'HTTP_PATH', pattern: /^\/\S*$/, description: 'HTTP endpoint path' },
+    'http.authToken': { type: 'string', default: '', env: 'HTTP_AUTH_TOKEN', secret: true, description: 'Bearer token required from HTTP clients (required unless listening on localhost)' },
+    'http.allowedOrigins': { type: 'list', default: [], env: 'HTTP_ALLOWED_ORIGINS', description: 'Browser origins allowed besides localhost (e.g. https://app.example.com); requests from other origins are refused' },
+    'http.allowedHosts': { type: 'list', default: [], env: 'HTTP_ALLOWED_HOSTS', description: 'Host names clients may use besides localhost, http.host and the addresses of this machine' },
+    'http.maxBodyBytes': { type: 'integer', default: 1048576, env: 'HTTP_MAX_BODY_BYTES', min: 1024, max: 104857600, description: 'Largest request body accepted (bytes)' },
+    'http.sessionTimeoutMs': { type: 'integer', default: 3600000, env: 'HTTP_SESSION_TIMEOUT_MS', min: 1000, description: 'Close HTTP sessions idle for this long (ms)' },
+    'tools.allow': { type: 'list', default: [], env: 'TOOLS_ALLOW', description: 'Tools clients may call (empty for all tools)' },
+    'tools.deny': { type: 'list', default: [], env: 'TOOLS_DENY', description: 'Tools clients may not call, even when listed in tools.allow' },
+    'tools.readOnly': { type: 'boolean', default: false, env: 'TOOLS_READ_ONLY', description: 'Only allow tools that do not change anything (readOnlyHint)' },
+    'tools.rateLimits': { type: 'rateLimits', default: 'reconnect_wifi=1/60s,reconnect_mqtt=1/60s', env: 'TOOLS_RATE_LIMITS', description: 'Maximum calls per tool within a period, as tool=count/period entries (e.g. publish_mqtt_data=10/1m)' },
+    'audit.file': { type: 'path', default: '~/co2_audit.jsonl', env: 'AUDIT_FILE', description: 'File the audit trail of tool calls is appended to (empty keeps it in memory only)' },
+    'audit.maxSizeMb': { type: 'number', default: 10, env: 'AUDIT_MAX_SIZE_MB', min: 0, description: 'Rotate the audit file when it would grow beyond this size (MB, 0 disables)' },
+    'audit.maxFiles': { type: 'integer', default: 10, env: 'AUDIT_MAX_FILES', min: 0, max: 1000, description: 'Number of rotated audit files kept' },
+    'audit.retentionDays': { type: 'number', default: 90, env: 'AUDIT_RETENTION_DAYS', min: 0.01, max: 3650, description: 'Delete rotated audit files older than this (days)' },
+    'audit.maxEntries': { type: 'integer', default: 1000, env: 'AUDIT_MAX_ENTRIES', min: 1, max: 1000000, description: 'Number of recent tool calls kept in memory for device://audit/log' },
+    'alerts.rules': {
+        type: 'alertRules',
+        default: [
+            { id: 'co2', metric: 'co2', warn: 1000, critical: 1500, hysteresis: 50 },
+            { id: 'battery', metric: 'battery', direction: 'below', warn: 20, critical: 10, hysteresis: 2 }
+        ],
+        env: 'ALERT_RULES',
+        description: 'Threshold alert rules (JSON list)'
+    }
+};
+
+// Convert a raw setting value to the schema type; returns an error message on failure
+const coerceConfigValue = (key, spec, value) => {
+    let result = value;
+    switch (spec.type) {
+        case 'string':
+        case 'path':
+            if (typeof value === 'number') {
+                result = String(value);
+            } else if (typeof value !== 'string') {
+                return { error: `${key}: expected a string, got ${JSON.stringify(value)}` };
             }
-            // If in simulation mode
-            else {
-                // Update if in simulation mode
-                if (!this.port) {
-                    this.updateSensorData();
+            if (spec.type === 'path' && result.startsWith('~')) {
+                result = path.join(os.homedir(), result.slice(1));
+            }
+            break;
+        case 'integer':
+        case 'number':
+            result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof result !== 'number' || isNaN(result) || (spec.type === 'integer' && !Number.isInteger(result))) {
+                return { error: `${key}: expected ${spec.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}` };
+            }
+            break;
+        case 'boolean':
+            if (value === 'true' || value === '1') {
+                result = true;
+            } else if (value === 'false' || value === '0') {
+                result = false;
+            } else if (typeof value !== 'boolean') {
+                return { error: `${key}: expected true or false, got ${JSON.stringify(value)}` };
+            }
+            break;
+        case 'alertRules': {
+            let rules = value;
+            if (typeof value === 'string') {
+                try {
+                    rules = JSON.parse(value);
+                } catch (err) {
+                    return { error: `${key}: invalid JSON: ${err.message}` };
+                }
+            }
+            if (!Array.isArray(rules)) {
+                return { error: `${key}: expected a list of alert rules, got ${JSON.stringify(value)}` };
+            }
+            result = [];
+            for (const rule of rules) {
+                const { rule: normalized, error } = normalizeAlertRule(rule);
+                if (error) {
+                    return { error: `${key}: ${error}` };
+                }
+                if (result.some(existing => existing.id === normalized.id)) {
+                    return { error: `${key}: duplicate alert rule id "${normalized.id}"` };
+                }
+                result.push(normalized);
+            }
+            break;
+        }
+        case 'list': {
+            // "a,b,c" or a list of strings
+            const items = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+                return { error: `${key}: expected a comma-separated list, got ${JSON.stringify(value)}` };
+            }
+            result = items;
+            break;
+        }
+        case 'rateLimits': {
+            // "reconnect_wifi=1/60s,publish_mqtt_data=10/1m" or an object such as { reconnect_wifi: '1/60s' };
+            // periods are in ms, s (default), m or h
+            const entries = typeof value === 'string'
+                ? value.split(',').filter(entry => entry.trim()).map(entry => entry.split('=').map(part => part.trim()))
+                : value !== null && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : null;
+            if (!entries) {
+                return { error: `${key}: expected tool=count/period entries, got ${JSON.stringify(value)}` };
+            }
+            const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+            result = {};
+            for (const [tool, limit] of entries) {
+                const match = typeof limit === 'string' && limit.match(/^(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+                if (!tool || !match || Number(match[1]) < 1 || Number(match[2]) <= 0) {
+                    return { error: `${key}: invalid rate limit ${JSON.stringify(tool)}: ${JSON.stringify(limit ?? '')} (expected tool=count/period, e.g. reconnect_wifi=1/60s)` };
                 }
+                result[tool] = { count: Number(match[1]), periodMs: Number(match[2]) * units[match[3] || 's'] };
+            }
+            break;
+        }
+        case 'curve': {
+            // "4.2:100,3.7:35,3.3:0" or a list of { voltage, percent } objects, [voltage, percent] pairs or "voltage:percent" strings
+            const points = typeof value === 'string' ? value.split(',').filter(point => point.trim()) : value;
+            if (!Array.isArray(points)) {
+                return { error: `${key}: expected a list of voltage:percent points, got ${JSON.stringify(value)}` };
+            }
+            result = [];
+            for (const point of points) {
+                const pair = typeof point === 'string' ? point.split(':') : point;
+                const [voltage, percent] = Array.isArray(pair) && pair.length === 2
+                    ? pair.map(part => (typeof part === 'string' && part.trim() === '' ? NaN : Number(part)))
+                    : [Number(point?.voltage ?? NaN), Number(point?.percent ?? NaN)];
+                if (!isFinite(voltage) || !isFinite(percent) || voltage <= 0 || percent < 0 || percent > 100) {
+                    return { error: `${key}: invalid point ${JSON.stringify(point)} (expected voltage:percent with a positive voltage and 0-100 percent)` };
+                }
+                result.push({ voltage, percent });
+            }
+            result.sort((a, b) => b.voltage - a.voltage);
+            if (result.length < 2) {
+                return { error: `${key}: needs at least two points` };
+            }
+            for (let i = 1; i < result.length; i++) {
+                if (result[i].voltage === result[i - 1].voltage || result[i].percent >= result[i - 1].percent) {
+                    return { error: `${key}: the battery level must fall with the voltage (at ${result[i].voltage} V)` };
+                }
+            }
+            break;
+        }
+        case 'devices': {
+            // "office=/dev/ttyACM0,lab=/dev/ttyACM1:json-lines" or a list of { name, path, driver } objects / "name=path[:driver]" strings
+            const entries = typeof value === 'string' ? value.split(',').filter(entry => entry.trim()) : value;
+            if (!Array.isArray(entries)) {
+                return { error: `${key}: expected a list of name=path entries, got ${JSON.stringify(value)}` };
+            }
+            result = [];
+            for (const entry of entries) {
+                let device = entry;
+                if (typeof entry === 'string') {
+                    const separator = entry.indexOf('=');
+                    device = separator > 0 ? { name: entry.slice(0, separator).trim(), path: entry.slice(separator + 1).trim() } : null;
+                    // Optional ":driver" suffix (only when it names a driver, so Windows-style paths still work)
+                    const driverMatch = device?.path.match(/^(.+):([a-z0-9-]+)$/);
+                    if (driverMatch && SENSOR_DRIVERS[driverMatch[2]]) {
+                        device.path = driverMatch[1];
+                        device.driver = driverMatch[2];
+                    }
+                }
+                if (!device || typeof device.name !== 'string' || typeof device.path !== 'string' || !device.path) {
+                    return { error: `${key}: invalid device entry ${JSON.stringify(entry)} (expected name=path)` };
+                }
+                if (!/^[A-Za-z0-9_-]+$/.test(device.name)) {
+                    return { error: `${key}: invalid device name "${device.name}" (use letters, digits, "-" and "_")` };
+                }
+                if (result.some(existing => existing.name === device.name)) {
+                    return { error: `${key}: duplicate device name "${device.name}"` };
+                }
+                if (device.driver !== undefined && !SENSOR_DRIVERS[device.driver]) {
+                    return { error: `${key}: unknown driver "${device.driver}" for device "${device.name}" (available: ${Object.keys(SENSOR_DRIVERS).join(', ')})` };
+                }
+                if (isEmulatorPath(device.path)) {
+                    try {
+                        parseEmulatorPath(device.path);
+                    } catch (err) {
+                        return { error: `${key}: ${err.message}` };
+                    }
+                }
+                result.push({ name: device.name, path: device.path, driver: device.driver });
+            }
+            break;
+        }
+    }
+    if (spec.enum && !spec.enum.includes(result)) {
+        return { error: `${key}: must be one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}` };
+    }
+    if (spec.min !== undefined && result < spec.min) {
+        return { error: `${key}: must be at least ${spec.min}, got ${result}` };
+    }
+    if (spec.max !== undefined && result > spec.max) {
+        return { error: `${key}: must be at most ${spec.max}, got ${result}` };
+    }
+    if (spec.pattern && !spec.pattern.test(result)) {
+        return { error: `${key}: invalid value ${JSON.stringify(value)}` };
+    }
+    return { value: result };
+};
 
-                log2text(`sensor data requested: ${this.co2Level}`);
+// Flatten a nested config file object into dotted setting keys
+const flattenConfig = (object, prefix = '', result = {}) => {
+    for (const [name, value] of Object.entries(object)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[key]) {
+            flattenConfig(value, key, result);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+};
 
-                // Return the result
-                resolve({
-                    co2Level: this.co2Level,
-                    lastUpdate: this.lastSensorUpdate.toLocaleDateString('ja-JP', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }),
-                    status: "simulated_data"
-                });
+// Parse CLI flags: --config <file>, --<key> <value>, --<key>=<value> or --<key> for booleans
+const parseConfigArgs = (argv) => {
+    const flags = {};
+    let configFile;
+    const errors = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) {
+            errors.push(`Unexpected argument: ${arg}`);
+            continue;
+        }
+        const key = match[1];
+        let value = match[2];
+        if (key !== 'config' && !CONFIG_SCHEMA[key]) {
+            errors.push(`Unknown option: --${key}`);
+            continue;
+        }
+        if (value === undefined) {
+            if (CONFIG_SCHEMA[key]?.type === 'boolean' && (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) {
+                value = 'true';
+            } else if (i + 1 < argv.length) {
+                value = argv[++i];
+            } else {
+                errors.push(`Missing value for --${key}`);
+                continue;
             }
-        });
+        }
+        if (key === 'config') {
+            configFile = value;
+        } else {
+            flags[key] = value;
+        }
     }
+    return { flags, configFile, errors };
+};
 
-    // Getters for network status
-    getNetworkStatus() {
-        return {
-            wifiConnected: this.wifiConnected,
-            wifiSSID: this.wifiSSID,
-            ipAddress: this.ipAddress,
-            mqttConnected: this.mqttConnected,
-            mqttBroker: this.mqttBroker,
-            mqttPort: this.mqttPort,
-            mqttTopic: this.mqttTopic
-        };
+// Read a JSON or YAML config file
+const readConfigFile = (filePath) => {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+    if (parsed === null || parsed === undefined) {
+        return {};
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('top level must be an object');
     }
+    return parsed;
+};
 
-    // Method to simulate publishing data to MQTT
-    publishToMQTT() {
-        if (!this.mqttConnected) {
-            return {
-                success: false,
-                message: 'MQTT not connected'
-            };
+// Build the effective configuration from defaults, config file, environment and CLI flags
+const loadConfig = (argv = process.argv.slice(2), env = process.env) => {
+    const { flags, configFile, errors } = parseConfigArgs(argv);
+    const values = {};
+    const sources = {};
+
+    // Config file: --config flag, SENSOR_CONFIG environment variable or a file in the home directory
+    let filePath = configFile || env.SENSOR_CONFIG;
+    if (!filePath) {
+        filePath = ['co2-sensor.config.json', 'co2-sensor.config.yaml', 'co2-sensor.config.yml']
+            .map(name => path.join(os.homedir(), name))
+            .find(candidate => fs.existsSync(candidate));
+    }
+    let fileValues = {};
+    if (filePath) {
+        filePath = path.resolve(filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath);
+        try {
+            fileValues = flattenConfig(readConfigFile(filePath));
+        } catch (err) {
+            errors.push(`Cannot load config file ${filePath}: ${err.message}`);
+        }
+        for (const key of Object.keys(fileValues)) {
+            if (!CONFIG_SCHEMA[key]) {
+                errors.push(`Unknown setting in ${filePath}: ${key}`);
+            }
         }
-        const data = `${this.co2Level}`;
-        return {
-            success: true,
-            topic: this.mqttTopic,
-            data: data,
-            timestamp: new Date().toLocaleDateString('ja-JP', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' })
-        };
     }
 
-    // Method to simulate WiFi reconnection
-    reconnectWiFi() {
-        // Simulate connection process
-        this.wifiConnected = false;
-        setTimeout(() => {
-            this.wifiConnected = true;
-            this.ipAddress = '192.168.1.' + Math.floor(Math.random() * 255);
-        }, 2000);
-        return {
-            success: true,
-            message: 'WiFi reconnection initiated'
-        };
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        let raw = spec.default;
+        let source = 'default';
+        if (fileValues[key] !== undefined) {
+            raw = fileValues[key];
+            source = 'file';
+        }
+        if (env[spec.env] !== undefined && env[spec.env] !== '') {
+            raw = env[spec.env];
+            source = `env:${spec.env}`;
+        }
+        if (flags[key] !== undefined) {
+            raw = flags[key];
+            source = 'cli';
+        }
+        const { value, error } = coerceConfigValue(key, spec, raw);
+        if (error) {
+            errors.push(source === 'default' ? error : `${error} (from ${source})`);
+            continue;
+        }
+        // Store as a nested object, e.g. config.serial.baudRate
+        const [section, name] = key.split('.');
+        values[section] = values[section] || {};
+        values[section][name] = value;
+        sources[key] = source;
     }
 
-    // Method to simulate MQTT reconnection
-    reconnectMQTT() {
-        if (!this.wifiConnected) {
-            return {
-                success: false,
-                message: 'WiFi not connected'
-            };
+    // Settings that depend on each other
+    if (errors.length === 0) {
+        if (values.http.enabled && !values.http.authToken && !['127.0.0.1', 'localhost', '::1'].includes(values.http.host)) {
+            errors.push(`http.authToken: required when http.host (${values.http.host}) is not a loopback address`);
         }
-        // Simulate connection process
-        this.mqttConnected = false;
-        setTimeout(() => {
-            this.mqttConnected = true;
-        }, 1500);
-        return {
-            success: true,
-            message: 'MQTT reconnection initiated'
+        if (!values.stdio.enabled && !values.http.enabled) {
+            errors.push('stdio.enabled / http.enabled: at least one transport must be enabled');
+        }
+        if (values.sampling.window > values.sampling.bufferSize) {
+            errors.push(`sampling.window: must not exceed sampling.bufferSize (${values.sampling.bufferSize})`);
+        }
+        for (const key of ['allow', 'deny', 'rateLimits']) {
+            const names = Array.isArray(values.tools[key]) ? values.tools[key] : Object.keys(values.tools[key]);
+            const unknown = names.filter(name => !TOOLS.some(tool => tool.name === name));
+            if (unknown.length > 0) {
+                errors.push(`tools.${key}: unknown tool${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+            }
+        }
+        if (values.simulation.scenario) {
+            try {
+                loadScenario(values.simulation.scenario, values.simulation.scenariosDir);
+            } catch (err) {
+                errors.push(`simulation.scenario: ${err.message}`);
+            }
+        }
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return { ...values, configFile: filePath || null, sources };
+};
+
+// Effective configuration with secret settings redacted
+const redactConfig = (config) => {
+    const settings = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const [section, name] = key.split('.');
+        const value = config[section][name];
+        settings[key] = {
+            value: spec.secret && value ? '***' : value,
+            source: config.sources[key],
+            description: spec.description
         };
     }
-}
+    // Credentials may also be embedded in the broker URL
+    if (settings['mqtt.url'].value) {
+        settings['mqtt.url'].value = settings['mqtt.url'].value.replace(/\/\/([^/@]*)@/, '//***@');
+    }
+    return {
+        configFile: config.configFile,
+        settings
+    };
+};
 
-// Simple MCP Server implementation
-class McpServer {
-    constructor() {
-        this.nextId = 1;
-        this.deviceState = new DeviceState();
-        // Create readline interface for stdin/stdout
-        this.rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout,
-            terminal: false
-        });
-        // Listen for incoming messages
-        this.rl.on('line', (line) => {
+// Append-only file that is moved aside (as name.YYYY-MM-DD[.N].ext) when it would grow beyond maxSizeMb
+// or, with rotateDaily, when the date (UTC) changes; at most maxFiles rotated files are kept, none older
+// than retentionDays. Used by the log file and the audit trail.
+class RotatingFile {
+    constructor({ file, maxSizeMb, rotateDaily, maxFiles, retentionDays }) {
+        this.file = file;
+        this.maxBytes = Math.floor(maxSizeMb * 1024 * 1024);
+        this.rotateDaily = rotateDaily;
+        this.maxFiles = maxFiles;
+        this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+        // Size and date (UTC, YYYY-MM-DD) of the current file
+        try {
+            const stat = fs.statSync(file);
+            this.size = stat.size;
+            this.fileDate = stat.mtime.toISOString().slice(0, 10);
+        } catch (err) {
+            this.size = 0;
+            this.fileDate = null;
+        }
+        this.prune();
+    }
+
+    // Append a line (synchronously, so entries are on disk before the process exits); throws on errors
+    append(line, today = new Date().toISOString().slice(0, 10)) {
+        const bytes = Buffer.byteLength(line);
+        this.rotateIfNeeded(bytes, today);
+        fs.appendFileSync(this.file, line);
+        this.size += bytes;
+    }
+
+    // Move the current file aside when adding bytes would exceed the size limit or the date has changed
+    // since it was started
+    rotateIfNeeded(bytes, today) {
+        const dateChanged = this.rotateDaily && this.fileDate !== null && this.fileDate !== today;
+        const tooLarge = this.maxBytes > 0 && this.size > 0 && this.size + bytes > this.maxBytes;
+        if (this.size === 0 || (!dateChanged && !tooLarge)) {
+            this.fileDate = this.fileDate || today;
+            return;
+        }
+        const { dir, name, ext } = path.parse(this.file);
+        let target;
+        for (let n = 0; ; n++) {
+            target = path.join(dir, `${name}.${this.fileDate}${n > 0 ? `.${n}` : ''}${ext}`);
+            if (!fs.existsSync(target)) {
+                break;
+            }
+        }
+        fs.renameSync(this.file, target);
+        this.size = 0;
+        this.fileDate = today;
+        this.prune();
+    }
+
+    // Delete rotated files beyond the maximum count or older than the retention period
+    prune() {
+        const { dir, name, ext } = path.parse(this.file);
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escape(name)}\\.\\d{4}-\\d{2}-\\d{2}(\\.\\d+)?${escape(ext)}$`);
+        let rotated;
+        try {
+            rotated = fs.readdirSync(dir)
+                .filter(file => pattern.test(file))
+                .map(file => ({ file: path.join(dir, file), mtime: fs.statSync(path.join(dir, file)).mtimeMs }))
+                .sort((a, b) => b.mtime - a.mtime);
+        } catch (err) {
+            return;
+        }
+        const cutoff = Date.now() - this.retentionMs;
+        rotated.forEach(({ file, mtime }, index) => {
+            if (index >= this.maxFiles || mtime < cutoff) {
+                fs.rmSync(file, { force: true });
+            }
+        });
+    }
+}
+
+// Structured logger: JSON lines (timestamp, level, logger name, message, data) appended to the log file,
+// which is rotated when it grows too large or the date changes. Every entry is also emitted as 'entry'
+// so MCP sessions can forward it; errors are copied to stderr. Nothing is ever written to stdout.
+class Logger extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        // No file until configure() is called with the settings
+        this.output = null;
+        this.level = 'info';
+        this.writeFailed = false;
+    }
+
+    configure({ file, level, maxSizeMb, rotateDaily, maxFiles, retentionDays }) {
+        this.output = new RotatingFile({ file, maxSizeMb, rotateDaily, maxFiles, retentionDays });
+        this.level = level;
+    }
+
+    log(level, name, message, data) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            logger: name,
+            message,
+            ...(data !== undefined ? { data } : {})
+        };
+        this.emit('entry', entry);
+        if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf('error')) {
+            process.stderr.write(`${entry.timestamp} ${level} [${name}] ${message}\n`);
+        }
+        if (!this.output || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) {
+            return;
+        }
+        try {
+            this.output.append(JSON.stringify(entry) + '\n', entry.timestamp.slice(0, 10));
+            this.writeFailed = false;
+        } catch (err) {
+            // Report a failing log file once, not for every entry
+            if (!this.writeFailed) {
+                this.writeFailed = true;
+                process.stderr.write(`Error writing to log file: ${err.message}\n`);
+            }
+        }
+    }
+
+    debug(name, message, data) {
+        this.log('debug', name, message, data);
+    }
+
+    info(name, message, data) {
+        this.log('info', name, message, data);
+    }
+
+    warning(name, message, data) {
+        this.log('warning', name, message, data);
+    }
+
+    error(name, message, data) {
+        this.log('error', name, message, data);
+    }
+}
+
+// Shared logger (configured from the log.* settings at startup)
+const logger = new Logger();
+
+// Downsampling bucket sizes for sensor history (milliseconds)
+const HISTORY_RESOLUTIONS = {
+    raw: 0,
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000
+};
+
+// Parse a time value: ISO 8601 string, epoch milliseconds or relative duration ago (e.g. "8h", "30m", "2d")
+const parseTimeArg = (value, fallback) => {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    const relative = String(value).trim().match(/^-?(\d+(?:\.\d+)?)\s*(s|m|h|d)$/);
+    if (relative) {
+        const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return Date.now() - parseFloat(relative[1]) * units[relative[2]];
+    }
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        throw new Error(`Invalid time value: ${value}`);
+    }
+    return time;
+};
+
+// How often the history file is rewritten without readings older than the retention period
+const HISTORY_COMPACT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Persistent time-series store of sensor readings (JSONL, appended to and pruned to the retention window)
+class SensorHistory {
+    constructor(filePath, retentionDays) {
+        this.filePath = filePath;
+        this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+        this.readings = [];
+        // Appends and rewrites of the file run one after another, in the order they were requested
+        this.writes = Promise.resolve();
+        // When the file was last rewritten without expired readings
+        this.compactedAt = Date.now();
+        this.load();
+    }
+
+    // Load previously recorded readings within the retention window; the file is rewritten
+    // without the expired (or corrupted) lines
+    load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.filePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('history', `Error reading history file: ${err.message}`);
+            }
+            return;
+        }
+        const cutoff = Date.now() - this.retentionMs;
+        let dropped = 0;
+        for (const line of text.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
             try {
-                this.handleMessage(line);
-            } catch (error) {
-                // Handle error
+                const reading = JSON.parse(line);
+                if (Date.parse(reading.timestamp) >= cutoff) {
+                    this.readings.push(reading);
+                } else {
+                    dropped++;
+                }
+            } catch (err) {
+                // Skip corrupted lines (e.g. a partial write before a crash)
+                dropped++;
+            }
+        }
+        if (dropped > 0) {
+            this.compact();
+        }
+    }
+
+    // Queue a write to the history file behind the ones already pending
+    enqueueWrite(write) {
+        this.writes = this.writes.then(write).catch((err) => {
+            logger.error('history', `Error writing history file: ${err.message}`);
+        });
+        return this.writes;
+    }
+
+    // Replace the history file with the readings in memory now (written to a temporary file first,
+    // so a crash cannot leave it half written); readings recorded later are appended after it
+    compact() {
+        const text = this.readings.map(reading => JSON.stringify(reading) + '\n').join('');
+        const tempPath = `${this.filePath}.tmp`;
+        this.compactedAt = Date.now();
+        return this.enqueueWrite(async () => {
+            try {
+                await fs.promises.writeFile(tempPath, text);
+                await fs.promises.rename(tempPath, this.filePath);
+            } catch (err) {
+                await fs.promises.rm(tempPath, { force: true });
+                throw err;
+            }
+        });
+    }
+
+    // Append a reading to memory and to the history file
+    record(reading) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            ...reading
+        };
+        this.readings.push(entry);
+        // Drop readings outside the retention window from memory
+        const cutoff = Date.now() - this.retentionMs;
+        while (this.readings.length > 0 && Date.parse(this.readings[0].timestamp) < cutoff) {
+            this.readings.shift();
+        }
+        // ... and from the file once a day; the rewritten file already has this reading
+        if (Date.now() - this.compactedAt >= HISTORY_COMPACT_INTERVAL_MS) {
+            this.compact();
+        } else {
+            this.enqueueWrite(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'));
+        }
+        return entry;
+    }
+
+    // Raw readings of a device in [from, to] (default: the last 24 hours)
+    select({ device, from, to } = {}) {
+        const fromTime = parseTimeArg(from, Date.now() - 24 * 60 * 60 * 1000);
+        const toTime = parseTimeArg(to, Date.now());
+        const readings = this.readings.filter(reading => {
+            const time = Date.parse(reading.timestamp);
+            // Readings recorded before multi-device support belong to the default device
+            return time >= fromTime && time <= toTime && (!device || (reading.device || 'default') === device);
+        });
+        return { fromTime, toTime, readings };
+    }
+
+    // Return readings in [from, to], optionally downsampled into min/max/avg buckets
+    query({ device, from, to, limit = 500, resolution = 'raw' } = {}) {
+        const bucketMs = HISTORY_RESOLUTIONS[resolution];
+        if (bucketMs === undefined) {
+            throw new Error(`Invalid resolution: ${resolution}`);
+        }
+        const { fromTime, toTime, readings: selected } = this.select({ device, from, to });
+        const maxPoints = Math.max(1, Math.floor(Number(limit) || 500));
+
+        let points;
+        if (bucketMs === 0) {
+            points = selected;
+        } else {
+            const buckets = new Map();
+            for (const reading of selected) {
+                const start = Math.floor(Date.parse(reading.timestamp) / bucketMs) * bucketMs;
+                let bucket = buckets.get(start);
+                if (!bucket) {
+                    bucket = { start, min: Infinity, max: -Infinity, sum: 0, count: 0, statuses: {}, metrics: {} };
+                    buckets.set(start, bucket);
+                }
+                bucket.min = Math.min(bucket.min, reading.co2Level);
+                bucket.max = Math.max(bucket.max, reading.co2Level);
+                bucket.sum += reading.co2Level;
+                bucket.count++;
+                bucket.statuses[reading.status] = (bucket.statuses[reading.status] || 0) + 1;
+                // Every recorded measurement (readings from before multi-metric support only have co2Level)
+                for (const [name, value] of Object.entries({ co2: reading.co2Level, ...reading.measurements })) {
+                    if (typeof value !== 'number') {
+                        continue;
+                    }
+                    const metric = bucket.metrics[name] || (bucket.metrics[name] = { min: Infinity, max: -Infinity, sum: 0, count: 0 });
+                    metric.min = Math.min(metric.min, value);
+                    metric.max = Math.max(metric.max, value);
+                    metric.sum += value;
+                    metric.count++;
+                }
+            }
+            points = [...buckets.values()].map(bucket => ({
+                timestamp: new Date(bucket.start).toISOString(),
+                min: bucket.min,
+                max: bucket.max,
+                avg: Math.round(bucket.sum / bucket.count * 10) / 10,
+                count: bucket.count,
+                statuses: bucket.statuses,
+                measurements: Object.fromEntries(Object.entries(bucket.metrics).map(([name, metric]) => [name, {
+                    min: metric.min,
+                    max: metric.max,
+                    avg: Math.round(metric.sum / metric.count * 10) / 10,
+                    count: metric.count
+                }]))
+            }));
+        }
+
+        // Keep the most recent points when over the limit
+        const truncated = points.length > maxPoints;
+        if (truncated) {
+            points = points.slice(points.length - maxPoints);
+        }
+
+        return {
+            device,
+            from: new Date(fromTime).toISOString(),
+            to: new Date(toTime).toISOString(),
+            resolution,
+            count: points.length,
+            truncated,
+            points
+        };
+    }
+}
+
+// Quote a CSV field when it contains a comma, quote or line break
+const csvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Escape commas, equals signs and spaces in an InfluxDB line protocol tag key or value
+const influxTag = (value) => String(value).replace(/[,= ]/g, '\\$&');
+
+// Export formats for recorded readings; render() gets rows of { timestamp, device, deviceId, status, source,
+// measurements } and the names of the measurements present in any row
+const EXPORT_FORMATS = {
+    csv: {
+        mimeType: 'text/csv',
+        render(rows, metrics) {
+            const header = ['timestamp', 'device', 'device_id', 'status', 'source', ...metrics];
+            const lines = rows.map(row => [row.timestamp, row.device, row.deviceId, row.status, row.source, ...metrics.map(name => row.measurements[name])]
+                .map(csvField)
+                .join(','));
+            return [header.join(','), ...lines].join('\n') + '\n';
+        }
+    },
+    json: {
+        mimeType: 'application/json',
+        render: (rows) => JSON.stringify(rows, null, 2)
+    },
+    influx: {
+        mimeType: 'text/plain',
+        // Measurement "co2_sensor" with device, device_id, status and source tags and nanosecond timestamps
+        render(rows) {
+            const lines = rows.map(row => {
+                const tags = [['device', row.device], ['device_id', row.deviceId], ['status', row.status], ['source', row.source]]
+                    .filter(([, value]) => value)
+                    .map(([key, value]) => `${key}=${influxTag(value)}`)
+                    .join(',');
+                const fields = Object.entries(row.measurements)
+                    .map(([name, value]) => `${influxTag(name)}=${value}`)
+                    .join(',');
+                return `co2_sensor,${tags} ${fields} ${Date.parse(row.timestamp)}000000`;
+            });
+            return lines.length > 0 ? lines.join('\n') + '\n' : '';
+        }
+    }
+};
+
+// CO2 air quality categories by upper bound in ppm (ASHRAE-style bands relative to ~400 ppm outdoors)
+const AIR_QUALITY_BANDS = [
+    { category: 'good', below: 800, description: 'Well ventilated' },
+    { category: 'moderate', below: 1000, description: 'Acceptable, ventilation could be improved' },
+    { category: 'poor', below: 1500, description: 'Insufficient ventilation, concentration may suffer' },
+    { category: 'very_poor', below: Infinity, description: 'Ventilate now' }
+];
+
+// Readings further apart than this are treated as a gap in the data when measuring time
+const ANALYSIS_MAX_GAP_MS = 5 * 60 * 1000;
+
+const airQualityBand = (co2) => AIR_QUALITY_BANDS.find(band => co2 < band.below);
+
+// Value at fraction p of sorted values, interpolating between neighbours
+const percentile = (sorted, p) => {
+    const rank = (sorted.length - 1) * p;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Statistics over CO2 readings (sorted by time): distribution, time above thresholds and per
+// category, trend, and ventilation events (drops of at least dropPpm within windowMs)
+const analyzeAirQuality = (readings, { fromTime, toTime, thresholds, dropPpm = 200, windowMs = 10 * 60 * 1000 }) => {
+    const analysis = {
+        from: new Date(fromTime).toISOString(),
+        to: new Date(toTime).toISOString(),
+        samples: readings.length
+    };
+    if (readings.length === 0) {
+        return { ...analysis, message: 'No readings in this time range' };
+    }
+    const times = readings.map(reading => Date.parse(reading.timestamp));
+    const values = readings.map(reading => reading.co2Level);
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    // Each reading stands for the time until the next one (or the end of the window), up to the gap limit
+    const durations = times.map((time, i) => Math.max(0, Math.min((i + 1 < times.length ? times[i + 1] : toTime) - time, ANALYSIS_MAX_GAP_MS)));
+    const coveredMs = durations.reduce((sum, duration) => sum + duration, 0);
+    const timeAbove = thresholds.map(threshold => {
+        const ms = durations.reduce((sum, duration, i) => sum + (values[i] > threshold ? duration : 0), 0);
+        return {
+            threshold,
+            minutes: round1(ms / 60000),
+            percent: coveredMs > 0 ? round1(ms / coveredMs * 100) : 0
+        };
+    });
+    const timeInCategory = Object.fromEntries(AIR_QUALITY_BANDS.map(band => [band.category, 0]));
+    durations.forEach((duration, i) => {
+        timeInCategory[airQualityBand(values[i]).category] += duration;
+    });
+
+    // Trend: least-squares slope over the window; rise/drop: steepest change between readings
+    const meanTime = times.reduce((sum, time) => sum + time, 0) / times.length;
+    let covariance = 0;
+    let variance = 0;
+    times.forEach((time, i) => {
+        covariance += (time - meanTime) * (values[i] - mean);
+        variance += (time - meanTime) ** 2;
+    });
+    let maxRise = 0;
+    let maxDrop = 0;
+    for (let i = 1; i < values.length; i++) {
+        const minutes = (times[i] - times[i - 1]) / 60000;
+        if (minutes > 0 && minutes * 60000 <= ANALYSIS_MAX_GAP_MS) {
+            const rate = (values[i] - values[i - 1]) / minutes;
+            maxRise = Math.max(maxRise, rate);
+            maxDrop = Math.min(maxDrop, rate);
+        }
+    }
+
+    // Ventilation events: from a local peak, the lowest reading within the window is at least dropPpm lower
+    const ventilationEvents = [];
+    let i = 0;
+    while (i < values.length - 1) {
+        if (values[i + 1] >= values[i]) {
+            // Still rising: the peak is further on
+            i++;
+            continue;
+        }
+        let trough = i;
+        for (let j = i + 1; j < values.length && times[j] - times[i] <= windowMs; j++) {
+            if (values[j] < values[trough]) {
+                trough = j;
+            }
+        }
+        if (values[i] - values[trough] >= dropPpm) {
+            const minutes = (times[trough] - times[i]) / 60000;
+            ventilationEvents.push({
+                start: readings[i].timestamp,
+                end: readings[trough].timestamp,
+                fromPpm: values[i],
+                toPpm: values[trough],
+                dropPpm: values[i] - values[trough],
+                durationMinutes: round1(minutes),
+                ratePpmPerMinute: minutes > 0 ? round1((values[trough] - values[i]) / minutes) : null
+            });
+            i = trough;
+        } else {
+            i++;
+        }
+    }
+
+    const band = airQualityBand(mean);
+    const sources = {};
+    for (const reading of readings) {
+        const source = reading.source || 'unknown';
+        sources[source] = (sources[source] || 0) + 1;
+    }
+    return {
+        ...analysis,
+        sources,
+        coveredMinutes: round1(coveredMs / 60000),
+        co2: {
+            unit: 'ppm',
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: round1(mean),
+            median: round1(percentile(sorted, 0.5)),
+            p95: round1(percentile(sorted, 0.95)),
+            latest: values[values.length - 1]
+        },
+        category: band.category,
+        categoryDescription: band.description,
+        timeAboveThresholds: timeAbove,
+        minutesInCategory: Object.fromEntries(Object.entries(timeInCategory).map(([category, ms]) => [category, round1(ms / 60000)])),
+        rateOfChange: {
+            trendPpmPerHour: variance > 0 ? round1(covariance / variance * 3600000) : 0,
+            maxRisePpmPerMinute: round1(maxRise),
+            maxDropPpmPerMinute: round1(maxDrop)
+        },
+        ventilationEvents
+    };
+};
+
+// Alert levels in increasing severity
+const ALERT_LEVELS = ['normal', 'warning', 'critical'];
+
+// Metrics alert rules can watch: the measurements and the battery level of the power subsystem
+const ALERT_METRICS = {
+    ...METRICS,
+    battery: { unit: '%', description: 'Battery level' }
+};
+
+// What to do about an alert, added to its notification
+const ALERT_ADVICE = {
+    co2: ' - open a window or increase ventilation',
+    battery: ' - connect USB power or replace the battery'
+};
+
+// Validate an alert rule and fill in defaults; returns { rule } or { error }
+const normalizeAlertRule = (rule) => {
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+        return { error: `alert rule must be an object, got ${JSON.stringify(rule)}` };
+    }
+    const normalized = {
+        id: rule.id ?? rule.metric,
+        metric: rule.metric,
+        // 'above': alert when the value rises to a threshold, 'below': when it falls to one
+        direction: rule.direction ?? 'above',
+        warn: rule.warn ?? null,
+        critical: rule.critical ?? null,
+        hysteresis: rule.hysteresis ?? 0,
+        minDurationSec: rule.minDurationSec ?? 60,
+        cooldownSec: rule.cooldownSec ?? 900,
+        enabled: rule.enabled ?? true
+    };
+    if (typeof normalized.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(normalized.id)) {
+        return { error: `invalid alert rule id ${JSON.stringify(normalized.id)}` };
+    }
+    if (!ALERT_METRICS[normalized.metric]) {
+        return { error: `alert rule "${normalized.id}": unknown metric ${JSON.stringify(normalized.metric)}` };
+    }
+    if (!['above', 'below'].includes(normalized.direction)) {
+        return { error: `alert rule "${normalized.id}": direction must be above or below` };
+    }
+    for (const field of ['warn', 'critical']) {
+        if (normalized[field] !== null && (typeof normalized[field] !== 'number' || !isFinite(normalized[field]))) {
+            return { error: `alert rule "${normalized.id}": ${field} must be a number` };
+        }
+    }
+    if (normalized.warn === null && normalized.critical === null) {
+        return { error: `alert rule "${normalized.id}": needs a warn or critical threshold` };
+    }
+    if (normalized.warn !== null && normalized.critical !== null
+        && (normalized.direction === 'above' ? normalized.critical < normalized.warn : normalized.critical > normalized.warn)) {
+        return { error: `alert rule "${normalized.id}": critical must not be ${normalized.direction === 'above' ? 'below' : 'above'} warn` };
+    }
+    for (const field of ['hysteresis', 'minDurationSec', 'cooldownSec']) {
+        if (typeof normalized[field] !== 'number' || !(normalized[field] >= 0)) {
+            return { error: `alert rule "${normalized.id}": ${field} must be a non-negative number` };
+        }
+    }
+    if (typeof normalized.enabled !== 'boolean') {
+        return { error: `alert rule "${normalized.id}": enabled must be true or false` };
+    }
+    return { rule: normalized };
+};
+
+// Threshold alerting: evaluates every reading against the rules and emits 'notification' events
+// when an alert is raised, escalated or resolved
+class AlertManager extends EventEmitter {
+    constructor(rules) {
+        super();
+        this.rules = new Map(rules.map(rule => [rule.id, rule]));
+        // Per rule and device evaluation state, keyed by "<rule id>:<device>"
+        this.states = new Map();
+        // Active alerts keyed like states; resolved alerts are kept in a short history
+        this.active = new Map();
+        this.resolved = [];
+        this.nextAlertId = 1;
+    }
+
+    // Add or replace a rule; the evaluation state of a replaced rule is reset
+    setRule(rule) {
+        this.rules.set(rule.id, rule);
+        for (const key of [...this.states.keys()]) {
+            if (key.startsWith(`${rule.id}:`)) {
+                this.states.delete(key);
+                if (this.active.has(key)) {
+                    this.resolve(key, null, 'rule changed');
+                }
+            }
+        }
+        return rule;
+    }
+
+    getRules() {
+        return [...this.rules.values()];
+    }
+
+    // Level a value falls into for a rule, applying hysteresis when dropping from the current level
+    levelFor(rule, value, currentLevel) {
+        const thresholds = { warning: rule.warn, critical: rule.critical };
+        let level = 'normal';
+        for (const candidate of ['warning', 'critical']) {
+            const threshold = thresholds[candidate];
+            if (threshold === null) {
+                continue;
+            }
+            // Stay at a level until the value moves back past its threshold by the hysteresis
+            const margin = ALERT_LEVELS.indexOf(currentLevel) >= ALERT_LEVELS.indexOf(candidate) ? rule.hysteresis : 0;
+            const reached = rule.direction === 'below'
+                ? value <= threshold + margin
+                : value >= threshold - margin;
+            if (reached) {
+                level = candidate;
+            }
+        }
+        return level;
+    }
+
+    // Evaluate a device's latest measurement values against every enabled rule; alerts on the metrics in
+    // simulatedMetrics (e.g. the battery of a simulated device) are worded as simulated
+    evaluate(device, values, now = new Date(), simulatedMetrics = []) {
+        for (const rule of this.rules.values()) {
+            const value = values[rule.metric];
+            if (!rule.enabled || typeof value !== 'number') {
+                continue;
+            }
+            const key = `${rule.id}:${device}`;
+            let state = this.states.get(key);
+            if (!state) {
+                state = { level: 'normal', pendingLevel: null, pendingSince: null, lastRaised: null };
+                this.states.set(key, state);
+            }
+            const target = this.levelFor(rule, value, state.level);
+            const alert = this.active.get(key);
+            if (alert) {
+                alert.value = value;
+            }
+            if (ALERT_LEVELS.indexOf(target) < ALERT_LEVELS.indexOf(state.level)) {
+                // Dropping a level takes effect immediately (hysteresis already applied)
+                state.level = target;
+                state.pendingLevel = null;
+                if (target === 'normal') {
+                    this.resolve(key, value);
+                } else if (alert) {
+                    alert.level = target;
+                    alert.threshold = target === 'critical' ? rule.critical : rule.warn;
+                }
+                continue;
+            }
+            if (target === state.level) {
+                state.pendingLevel = null;
+                continue;
+            }
+            // Rising to a higher level must persist for the minimum duration
+            if (state.pendingLevel !== target) {
+                state.pendingLevel = target;
+                state.pendingSince = now;
+            }
+            if (now - state.pendingSince < rule.minDurationSec * 1000) {
+                continue;
+            }
+            const escalation = state.level !== 'normal';
+            state.level = target;
+            state.pendingLevel = null;
+            this.raise(key, rule, device, target, value, now, state, escalation, simulatedMetrics.includes(rule.metric));
+        }
+    }
+
+    raise(key, rule, device, level, value, now, state, escalation, simulated) {
+        const threshold = level === 'critical' ? rule.critical : rule.warn;
+        let alert = this.active.get(key);
+        if (!alert) {
+            alert = {
+                id: `alert-${this.nextAlertId++}`,
+                ruleId: rule.id,
+                device,
+                metric: rule.metric,
+                raisedAt: now.toISOString(),
+                acknowledged: false,
+                acknowledgedAt: null
+            };
+            this.active.set(key, alert);
+        }
+        Object.assign(alert, { level, value, threshold, simulated, updatedAt: now.toISOString() });
+        // Escalations are always reported; new alerts only once the cooldown has passed
+        const coolingDown = state.lastRaised && now - state.lastRaised < rule.cooldownSec * 1000;
+        state.lastRaised = now;
+        if (escalation || !coolingDown) {
+            const unit = ALERT_METRICS[rule.metric].unit;
+            // Nothing to do about a simulated value
+            const advice = simulated ? '' : ALERT_ADVICE[rule.metric] || '';
+            this.emit('notification', {
+                level,
+                alert: { ...alert },
+                message: `${level === 'critical' ? 'CRITICAL' : 'Warning'}: ${simulated ? 'simulated ' : ''}${rule.metric} on ${device} is ${value} ${unit} (threshold ${threshold} ${unit})${advice}`
+            });
+        }
+    }
+
+    resolve(key, value, reason = 'back to normal') {
+        const alert = this.active.get(key);
+        if (!alert) {
+            return;
+        }
+        this.active.delete(key);
+        // Reported at the level the alert had, so clients that were told about it also learn it cleared
+        const level = alert.level;
+        alert.resolvedAt = new Date().toISOString();
+        alert.level = 'resolved';
+        this.resolved.push(alert);
+        if (this.resolved.length > 100) {
+            this.resolved.shift();
+        }
+        const unit = ALERT_METRICS[alert.metric].unit;
+        this.emit('notification', {
+            level,
+            alert: { ...alert },
+            message: `Resolved: ${alert.simulated ? 'simulated ' : ''}${alert.metric} on ${alert.device} is ${value === null ? 'no longer checked' : `${value} ${unit}`} (${reason})`
+        });
+    }
+
+    acknowledge(id) {
+        const alert = [...this.active.values()].find(candidate => candidate.id === id);
+        if (!alert) {
+            throw new Error(`No active alert with id ${id}`);
+        }
+        alert.acknowledged = true;
+        alert.acknowledgedAt = new Date().toISOString();
+        return alert;
+    }
+
+    list({ device, includeResolved = false } = {}) {
+        const matches = alert => !device || alert.device === device;
+        const result = { active: [...this.active.values()].filter(matches) };
+        if (includeResolved) {
+            result.resolved = this.resolved.filter(matches);
+        }
+        return result;
+    }
+}
+
+// Longest tool result text kept in an audit entry
+const AUDIT_RESULT_MAX_CHARS = 2000;
+
+// Audit trail of tool calls from every client session: the recent calls in memory (device://audit/log),
+// and every call appended to a JSONL file that is rotated like the log file
+class AuditLog {
+    constructor({ file, maxEntries, maxSizeMb, maxFiles, retentionDays }) {
+        this.output = file ? new RotatingFile({ file, maxSizeMb, rotateDaily: false, maxFiles, retentionDays }) : null;
+        this.entries = new RingBuffer(maxEntries);
+        this.nextId = 1;
+        this.writeFailed = false;
+    }
+
+    // Record a call; outcome is ok, failed (tool error result), error, cancelled, invalid, denied,
+    // unconfirmed or rate_limited
+    record({ session, client, tool, arguments: args, outcome, result, error, durationMs }) {
+        const entry = {
+            id: this.nextId++,
+            timestamp: new Date().toISOString(),
+            session,
+            client,
+            tool,
+            arguments: args,
+            outcome,
+            durationMs
+        };
+        if (result !== undefined) {
+            entry.result = result.length > AUDIT_RESULT_MAX_CHARS ? result.slice(0, AUDIT_RESULT_MAX_CHARS) : result;
+            entry.resultTruncated = result.length > AUDIT_RESULT_MAX_CHARS;
+        }
+        if (error !== undefined) {
+            entry.error = error;
+        }
+        this.entries.push(entry);
+        if (this.output) {
+            try {
+                this.output.append(JSON.stringify(entry) + '\n');
+                this.writeFailed = false;
+            } catch (err) {
+                // Report a failing audit file once, not for every call
+                if (!this.writeFailed) {
+                    this.writeFailed = true;
+                    logger.error('audit', `Error writing audit file: ${err.message}`);
+                }
+            }
+        }
+        return entry;
+    }
+
+    // The last limit entries, oldest first, optionally only those of one tool or outcome
+    list({ tool, outcome, limit = 100 } = {}) {
+        return this.entries.last()
+            .filter(entry => (!tool || entry.tool === tool) && (!outcome || entry.outcome === outcome))
+            .slice(-limit);
+    }
+}
+
+// Per-tool rate limits (tools.rateLimits): at most count calls within any periodMs, shared by all sessions
+// and counted per device for tools that act on a device
+class ToolRateLimiter {
+    constructor(limits) {
+        this.limits = limits;
+        // Times of the recent calls by tool name, or tool name and device ("tool@device")
+        this.calls = new Map();
+    }
+
+    // Count a call if the tool's limit allows it; returns 0, or the milliseconds until a call is allowed again
+    take(tool, device = null, now = Date.now()) {
+        const limit = this.limits[tool];
+        if (!limit) {
+            return 0;
+        }
+        const key = device ? `${tool}@${device}` : tool;
+        const calls = (this.calls.get(key) || []).filter(time => now - time < limit.periodMs);
+        this.calls.set(key, calls);
+        if (calls.length >= limit.count) {
+            return calls[0] + limit.periodMs - now;
+        }
+        calls.push(now);
+        return 0;
+    }
+}
+
+// MQTT 3.1.1 client wrapper that tracks connection state and the last error
+class MqttPublisher {
+    constructor(config) {
+        this.config = config;
+        this.client = null;
+        this.connected = false;
+        this.lastError = null;
+        this.lastPublish = null;
+        if (config.url) {
+            const url = new URL(config.url);
+            this.broker = url.hostname;
+            this.port = parseInt(url.port) || (url.protocol === 'mqtts:' ? 8883 : 1883);
+        } else {
+            this.broker = null;
+            this.port = null;
+        }
+    }
+
+    get configured() {
+        return Boolean(this.config.url);
+    }
+
+    connect() {
+        if (!this.configured) {
+            return;
+        }
+        if (this.client) {
+            this.client.end(true);
+        }
+        const options = {
+            protocolVersion: 4, // MQTT 3.1.1
+            clientId: this.config.clientId || undefined,
+            username: this.config.username || undefined,
+            password: this.config.password || undefined,
+            reconnectPeriod: 5000,
+            connectTimeout: 10000,
+            rejectUnauthorized: this.config.rejectUnauthorized
+        };
+        if (this.config.willTopic) {
+            options.will = {
+                topic: this.config.willTopic,
+                payload: this.config.willPayload,
+                qos: this.config.qos,
+                retain: true
+            };
+        }
+        // TLS certificates are given as file paths
+        try {
+            for (const name of ['ca', 'cert', 'key']) {
+                if (this.config[name]) {
+                    options[name] = fs.readFileSync(this.config[name]);
+                }
+            }
+        } catch (err) {
+            this.lastError = `Error reading TLS file: ${err.message}`;
+            logger.warning('mqtt', `MQTT ${this.lastError}`);
+            return;
+        }
+        this.client = mqtt.connect(this.config.url, options);
+        this.client.on('connect', () => {
+            this.connected = true;
+            this.lastError = null;
+            logger.info('mqtt', `MQTT connected to ${this.config.url}`);
+        });
+        this.client.on('close', () => {
+            this.connected = false;
+        });
+        this.client.on('offline', () => {
+            this.connected = false;
+        });
+        // Log each distinct error once until the connection succeeds, not on every reconnect attempt
+        this.client.on('error', (err) => {
+            if (err.message !== this.lastError) {
+                logger.warning('mqtt', `MQTT error: ${err.message}`);
+            }
+            this.lastError = err.message;
+        });
+    }
+
+    // Force a new connection to the broker
+    reconnect() {
+        if (!this.client) {
+            this.connect();
+        } else {
+            this.connected = false;
+            this.client.reconnect();
+        }
+    }
+
+    publish(payload) {
+        return new Promise((resolve) => {
+            if (!this.connected) {
+                resolve({
+                    success: false,
+                    message: this.configured ? 'MQTT not connected' : 'MQTT not configured (set mqtt.url)',
+                    lastError: this.lastError
+                });
+                return;
+            }
+            const message = JSON.stringify(payload);
+            this.client.publish(this.config.topic, message, { qos: this.config.qos, retain: this.config.retain }, (err) => {
+                if (err) {
+                    this.lastError = err.message;
+                    logger.warning('mqtt', `MQTT publish error: ${err.message}`);
+                    resolve({
+                        success: false,
+                        message: `Publish failed: ${err.message}`
+                    });
+                    return;
+                }
+                this.lastPublish = new Date();
+                resolve({
+                    success: true,
+                    topic: this.config.topic,
+                    qos: this.config.qos,
+                    retain: this.config.retain,
+                    data: payload
+                });
+            });
+        });
+    }
+
+    close() {
+        if (this.client) {
+            this.client.end();
+        }
+    }
+}
+
+// Whether a listed serial port is a sensor board (IDs are reported in either case depending on the OS)
+const matchesSensorPort = (port, { vendorId, productId }) =>
+    port.vendorId?.toUpperCase() === vendorId.toUpperCase() && port.productId?.toUpperCase() === productId.toUpperCase();
+
+// Emulated boards are selected by path: emulator:<id>[?option=value&...], e.g. emulator:lab?latencyMs=200&errorRate=0.1
+const EMULATOR_PREFIX = 'emulator:';
+
+// Emulator options (numbers); "protocol" additionally picks the firmware protocol by driver name
+const EMULATOR_OPTIONS = {
+    latencyMs: { default: 50, min: 0, max: 60000, description: 'Delay before each answer (ms)' },
+    co2: { default: 650, min: 0, max: 10000, description: 'CO2 level the readings wander around (ppm)' },
+    seed: { default: 0, min: 0, max: 4294967295, description: 'Random seed (0 for a random seed)' },
+    errorRate: { default: 0, min: 0, max: 1, description: 'Share of reading requests answered with a sensor error' },
+    garbageRate: { default: 0, min: 0, max: 1, description: 'Share of reading requests answered with corrupted bytes' },
+    timeoutRate: { default: 0, min: 0, max: 1, description: 'Share of reading requests left unanswered' },
+    disconnectAfter: { default: 0, min: 0, max: 1000000, description: 'Unplug after this many reading requests (0 never)' },
+    reconnectAfterMs: { default: 2000, min: 0, max: 3600000, description: 'How long the board stays unplugged (ms)' },
+    rejectCommands: { default: 0, min: 0, max: 1, description: 'Answer configuration commands with ERR (1) instead of OK (0)' },
+    wifi: { default: 1, min: 0, max: 1, description: 'Emulate a Pico W that reports and reconnects its WiFi (1) or a Pico without WiFi (0)' },
+    wifiReconnectMs: { default: 1500, min: 0, max: 600000, description: 'How long a WiFi reconnect takes (ms)' },
+    wifiFailRate: { default: 0, min: 0, max: 1, description: 'Share of WiFi reconnects that fail' },
+    vsys: { default: 0, min: 0, max: 10, description: 'Supply voltage reported after each reading (V, 0 reports no power)' },
+    vsysDrop: { default: 0, min: 0, max: 1, description: 'How much the reported supply voltage drops with each reading (V)' },
+    info: { default: 1, min: 0, max: 1, description: 'Answer the firmware info command (1) or reject it like older firmware (0)' },
+    bootselMs: { default: 3000, min: 0, max: 600000, description: 'How long the board stays in BOOTSEL after the 1200-baud touch before it runs (updated) firmware again (ms)' }
+};
+
+const isEmulatorPath = (portPath) => typeof portPath === 'string' && portPath.startsWith(EMULATOR_PREFIX);
+
+// Split an emulator path into its ID and options; throws on unknown or out-of-range options
+const parseEmulatorPath = (portPath) => {
+    const [id, query = ''] = portPath.slice(EMULATOR_PREFIX.length).split('?');
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+        throw new Error(`${portPath}: invalid emulator ID (use letters, digits, "-" and "_")`);
+    }
+    const options = { protocol: null };
+    for (const [name, option] of Object.entries(EMULATOR_OPTIONS)) {
+        options[name] = option.default;
+    }
+    for (const [name, value] of new URLSearchParams(query)) {
+        if (name === 'protocol') {
+            if (!SENSOR_DRIVERS[value]) {
+                throw new Error(`${portPath}: unknown protocol "${value}" (available: ${Object.keys(SENSOR_DRIVERS).join(', ')})`);
+            }
+            options.protocol = value;
+            continue;
+        }
+        const option = EMULATOR_OPTIONS[name];
+        if (!option) {
+            throw new Error(`${portPath}: unknown emulator option "${name}" (available: protocol, ${Object.keys(EMULATOR_OPTIONS).join(', ')})`);
+        }
+        const number = Number(value);
+        if (value.trim() === '' || isNaN(number) || number < option.min || number > option.max) {
+            throw new Error(`${portPath}: ${name} must be a number between ${option.min} and ${option.max}`);
+        }
+        options[name] = number;
+    }
+    return { id, options };
+};
+
+// Emulates the Pico firmware behind a virtual serial port: answers reading requests and
+// configuration commands in the protocol of a sensor driver, with configurable latency,
+// errors, corrupted frames, missing answers and unplugging
+class PicoEmulator {
+    constructor(portPath) {
+        const { id, options } = parseEmulatorPath(portPath);
+        this.path = portPath;
+        this.id = id;
+        this.options = options;
+        this.random = new SeededRandom(options.seed || undefined, id);
+        this.values = { co2: options.co2, temperature: 23, humidity: 41 };
+        this.wifi = { state: 'connected', ssid: 'EmulatedWiFi', rssi: -55, ip: '10.0.0.23', reason: null };
+        this.vsys = options.vsys;
+        // Flash unique ID as the RP2040 reports it (16 hex digits, also the USB serial number), and the
+        // firmware version, which goes up with every trip through BOOTSEL as if new firmware was copied
+        this.uniqueId = crypto.createHash('sha1').update(id).digest('hex').slice(0, 16).toUpperCase();
+        this.firmwareVersion = [1, 2, 0];
+        this.requests = 0;
+        this.unpluggedUntil = 0;
+        this.bootselUntil = 0;
+        this.binding = null;
+        this.input = Buffer.alloc(0);
+    }
+
+    // Whether the board is plugged in
+    get present() {
+        return Date.now() >= this.unpluggedUntil;
+    }
+
+    get portInfo() {
+        return {
+            path: this.path,
+            manufacturer: 'Raspberry Pi (emulated)',
+            serialNumber: this.uniqueId,
+            pnpId: undefined,
+            locationId: undefined,
+            vendorId: '2E8A',
+            productId: '0005'
+        };
+    }
+
+    // The mass-storage drive of the boot ROM while in BOOTSEL (see findBootselDrive()), else null
+    get bootselDrive() {
+        if (Date.now() >= this.bootselUntil) {
+            return null;
+        }
+        return {
+            label: 'RPI-RP2',
+            device: null,
+            mountPoint: `emulator:${this.id}/RPI-RP2`,
+            bootloader: 'UF2 Bootloader v3.0',
+            model: 'Raspberry Pi RP2',
+            boardId: 'RPI-RP2'
+        };
+    }
+
+    attach(binding, protocol) {
+        this.binding = binding;
+        this.protocol = protocol;
+        this.input = Buffer.alloc(0);
+    }
+
+    detach(binding) {
+        if (this.binding === binding) {
+            this.binding = null;
+        }
+    }
+
+    // Bytes written by the server: 9-byte frames for the UART protocol, lines otherwise
+    receive(data) {
+        this.input = Buffer.concat([this.input, data]);
+        if (this.protocol === 'mhz19b-uart') {
+            while (this.input.length >= 9) {
+                if (this.input[0] !== 0xff) {
+                    this.input = this.input.subarray(1);
+                    continue;
+                }
+                const frame = this.input.subarray(0, 9);
+                this.input = this.input.subarray(9);
+                // Only reads are answered; the sensor does not acknowledge configuration commands
+                if (frame[2] === 0x86) {
+                    this.handleRead();
+                }
+            }
+            return;
+        }
+        let newline;
+        while ((newline = this.input.indexOf('\n')) >= 0) {
+            const line = this.input.subarray(0, newline).toString().trim();
+            this.input = this.input.subarray(newline + 1);
+            if (line === 'getdata') {
+                this.handleRead();
+            } else if (line) {
+                this.handleCommand(line);
+            }
+        }
+    }
+
+    handleRead() {
+        this.requests++;
+        const { errorRate, garbageRate, timeoutRate, disconnectAfter } = this.options;
+        if (disconnectAfter > 0 && this.requests >= disconnectAfter) {
+            this.unplug();
+            return;
+        }
+        if (this.chance(timeoutRate)) {
+            return;
+        }
+        if (this.chance(garbageRate)) {
+            // Bytes as received at a wrong baud rate or over a noisy line
+            const garbage = Buffer.from(Array.from({ length: 9 }, () => 0x80 + Math.floor(this.random.next() * 0x7f)));
+            this.send(this.protocol === 'mhz19b-uart' ? garbage : Buffer.concat([garbage, Buffer.from('\r\n')]));
+            return;
+        }
+        if (this.chance(errorRate)) {
+            this.send(this.protocol === 'json-lines' ? '{"error":"sensor read failed"}\n' : 'ERR getdata: sensor read failed\r\n');
+            return;
+        }
+        const values = this.values;
+        values.co2 = Math.max(0, Math.round(values.co2 + (this.options.co2 - values.co2) * 0.1 + this.random.gaussian() * 10));
+        values.temperature = Math.round((values.temperature + (23 - values.temperature) * 0.1 + this.random.gaussian() * 0.05) * 10) / 10;
+        values.humidity = Math.round((values.humidity + (41 - values.humidity) * 0.1 + this.random.gaussian() * 0.3) * 10) / 10;
+        // The supply voltage as the firmware measures it on VSYS (the UART sensor has no such report)
+        const vsys = this.vsys > 0 ? Math.round(this.vsys * 100) / 100 : null;
+        this.vsys = Math.max(0, this.vsys - this.options.vsysDrop);
+        switch (this.protocol) {
+            case 'mhz19b-uart': {
+                const frame = Buffer.from([0xff, 0x86, values.co2 >> 8, values.co2 & 0xff, Math.round(values.temperature) + 40, 0, 0, 0, 0]);
+                frame[8] = mhz19bChecksum(frame);
+                this.send(frame);
+                break;
+            }
+            case 'json-lines':
+                this.send(`${JSON.stringify({ co2: values.co2, temp: values.temperature, rh: values.humidity, ...(vsys !== null && { vsys }) })}\n`);
+                break;
+            default:
+                this.send(`CO2 (ppm):${values.co2}\r\n${vsys !== null ? `VSYS (V):${vsys.toFixed(2)}\r\n` : ''}`);
+        }
+    }
+
+    // Configuration commands are acknowledged as the firmware does (see parseAck of the drivers)
+    handleCommand(line) {
+        const reject = this.options.rejectCommands === 1;
+        if (this.protocol === 'json-lines') {
+            let command;
+            try {
+                command = JSON.parse(line);
+            } catch (err) {
+                return;
+            }
+            if (typeof command.cmd === 'string' && command.cmd.startsWith('wifi_')) {
+                this.handleWifi(command.cmd.slice('wifi_'.length));
+            } else if (command.cmd === 'info') {
+                this.handleInfo();
+            } else {
+                this.sendAck(command.cmd, !reject, 'rejected by emulator');
+            }
+            return;
+        }
+        const wifi = line.match(/^wifi (\w+)$/);
+        if (wifi) {
+            this.handleWifi(wifi[1]);
+        } else if (line === 'info') {
+            this.handleInfo();
+        } else if (!/^(calibrate zero|calibrate span \d+|abc (on|off)|range \d+)$/.test(line)) {
+            this.sendAck(line, false, 'unknown command');
+        } else {
+            this.sendAck(line, !reject, 'rejected by emulator');
+        }
+    }
+
+    sendAck(command, ok, error) {
+        if (this.protocol === 'json-lines') {
+            this.send(`${JSON.stringify(ok ? { ack: command, ok } : { ack: command, ok, error })}\n`);
+        } else {
+            this.send(ok ? `OK ${command}\r\n` : `ERR ${command}: ${error}\r\n`);
+        }
+    }
+
+    // Firmware info (see parseInfo of the drivers); with info=0 the firmware does not know the command
+    handleInfo() {
+        if (!this.options.info) {
+            this.sendAck('info', false, 'unknown command');
+            return;
+        }
+        const info = { version: this.firmwareVersion.join('.'), board: this.options.wifi ? 'pico_w' : 'pico', id: this.uniqueId };
+        if (this.protocol === 'json-lines') {
+            this.send(`${JSON.stringify({ ack: 'info', ok: true, ...info })}\n`);
+        } else {
+            this.send(`INFO version=${info.version} board=${info.board} id=${info.id}\r\n`);
+        }
+    }
+
+    // Pico W network commands; with wifi=0 the firmware does not know them, like a Pico without WiFi
+    handleWifi(command) {
+        const name = this.protocol === 'json-lines' ? `wifi_${command}` : `wifi ${command}`;
+        if (!this.options.wifi || !['status', 'reconnect'].includes(command)) {
+            this.sendAck(name, false, 'unknown command');
+            return;
+        }
+        if (command === 'status') {
+            this.sendWifiStatus();
+            return;
+        }
+        this.sendAck(name, true);
+        this.wifi = { ...this.wifi, state: 'connecting', rssi: null, ip: null, reason: null };
+        this.sendWifiStatus();
+        setTimeout(() => {
+            this.wifi = this.chance(this.options.wifiFailRate)
+                ? { ...this.wifi, state: 'failed', reason: 'no answer from the access point' }
+                : { ...this.wifi, state: 'connected', rssi: -40 - Math.floor(this.random.next() * 40), ip: `10.0.0.${2 + Math.floor(this.random.next() * 250)}` };
+            this.sendWifiStatus();
+        }, this.options.wifiReconnectMs);
+    }
+
+    sendWifiStatus() {
+        const { state, ssid, rssi, ip, reason } = this.wifi;
+        if (this.protocol === 'json-lines') {
+            this.send(`${JSON.stringify({ wifi: state, ssid, rssi, ip, ...(reason ? { reason } : {}) })}\n`);
+            return;
+        }
+        const fields = [`ssid="${ssid}"`, rssi !== null ? `rssi=${rssi}` : '', ip ? `ip=${ip}` : '', reason ? `reason="${reason}"` : ''];
+        this.send(`WIFI ${state} ${fields.filter(field => field).join(' ')}\r\n`);
+    }
+
+    chance(rate) {
+        return rate > 0 && this.random.next() < rate;
+    }
+
+    // Answer after the configured latency, unless the port was closed in the meantime
+    send(data) {
+        const binding = this.binding;
+        setTimeout(() => {
+            if (binding && this.binding === binding) {
+                binding.emitData(data);
+            }
+        }, this.options.latencyMs);
+    }
+
+    // Simulate pulling the USB cable: the open port fails and the board is gone for reconnectAfterMs
+    unplug() {
+        this.requests = 0;
+        this.unpluggedUntil = Date.now() + this.options.reconnectAfterMs;
+        if (this.binding) {
+            this.binding.unplug();
+        }
+        logger.info('emulator', `Emulated board ${this.id} unplugged for ${this.options.reconnectAfterMs} ms`);
+    }
+
+    // The 1200-baud touch: the board resets into BOOTSEL, shows up as a drive instead of a serial port
+    // for bootselMs, then runs the next firmware version
+    enterBootloader() {
+        this.requests = 0;
+        this.bootselUntil = Date.now() + this.options.bootselMs;
+        this.unpluggedUntil = this.bootselUntil;
+        this.firmwareVersion = [this.firmwareVersion[0], this.firmwareVersion[1], this.firmwareVersion[2] + 1];
+        logger.info('emulator', `Emulated board ${this.id} in BOOTSEL for ${this.options.bootselMs} ms`);
+    }
+}
+
+// Open port of an emulated board (implements the serialport binding port interface)
+class EmulatedPortBinding {
+    constructor(emulator, openOptions) {
+        this.emulator = emulator;
+        this.openOptions = openOptions;
+        this.isOpen = true;
+        this.unplugged = false;
+        this.data = Buffer.alloc(0);
+        this.pendingRead = null;
+    }
+
+    emitData(data) {
+        if (!this.isOpen) {
+            return;
+        }
+        this.data = Buffer.concat([this.data, Buffer.isBuffer(data) ? data : Buffer.from(data)]);
+        this.settleRead();
+    }
+
+    // Reads and writes fail from now on, which the stream reports as a disconnect
+    unplug() {
+        this.unplugged = true;
+        this.settleRead(new Error('Emulated board unplugged'));
+    }
+
+    settleRead(error) {
+        const pendingRead = this.pendingRead;
+        this.pendingRead = null;
+        if (pendingRead) {
+            if (error) {
+                pendingRead.reject(error);
+            } else {
+                pendingRead.resolve();
+            }
+        }
+    }
+
+    async read(buffer, offset, length) {
+        if (this.unplugged) {
+            throw new Error('Emulated board unplugged');
+        }
+        if (!this.isOpen) {
+            throw Object.assign(new Error('Port is closed'), { canceled: true });
+        }
+        if (this.data.length === 0) {
+            await new Promise((resolve, reject) => {
+                this.pendingRead = { resolve, reject };
+            });
+            return this.read(buffer, offset, length);
+        }
+        const bytesRead = this.data.copy(buffer, offset, 0, length);
+        this.data = this.data.subarray(bytesRead);
+        return { buffer, bytesRead };
+    }
+
+    async write(buffer) {
+        if (this.unplugged) {
+            throw new Error('Emulated board unplugged');
+        }
+        if (!this.isOpen) {
+            throw new Error('Port is not open');
+        }
+        this.emulator.receive(Buffer.from(buffer));
+    }
+
+    // Closing the port at 1200 baud is the touch that resets the Pico into BOOTSEL
+    async close() {
+        this.isOpen = false;
+        this.emulator.detach(this);
+        if (this.openOptions.baudRate === 1200 && !this.unplugged) {
+            this.emulator.enterBootloader();
+        }
+        this.settleRead(Object.assign(new Error('Port is closed'), { canceled: true }));
+    }
+
+    async update(options) {
+        this.openOptions = { ...this.openOptions, ...options };
+    }
+
+    async set() {}
+
+    async get() {
+        return { cts: true, dsr: false, dcd: false };
+    }
+
+    async getBaudRate() {
+        return { baudRate: this.openOptions.baudRate };
+    }
+
+    async flush() {
+        this.data = Buffer.alloc(0);
+    }
+
+    async drain() {}
+}
+
+// serialport binding for emulator paths; emulators keep their state (e.g. unplugged) across reopens
+const emulators = new Map();
+
+const getEmulator = (portPath) => {
+    if (!emulators.has(portPath)) {
+        emulators.set(portPath, new PicoEmulator(portPath));
+    }
+    return emulators.get(portPath);
+};
+
+const EmulatorBinding = {
+    async list() {
+        return [...emulators.values()].filter(emulator => emulator.present).map(emulator => emulator.portInfo);
+    },
+
+    // The device's driver (passed through the port options) picks the protocol unless the path names one
+    async open(options) {
+        const emulator = getEmulator(options.path);
+        if (!emulator.present) {
+            throw new Error(`No such file or directory, cannot open ${options.path}`);
+        }
+        if (emulator.binding) {
+            throw new Error('Resource temporarily unavailable Cannot lock port');
+        }
+        const binding = new EmulatedPortBinding(emulator, options);
+        emulator.attach(binding, emulator.options.protocol || options.driver || 'mhz19b-text');
+        return binding;
+    }
+};
+
+// Faults a simulation scenario can inject, and what they do to a simulated device
+const SIMULATION_FAULTS = {
+    serial_timeout: 'The sensor stops answering; requests wait for sensor.readTimeoutMs and time out',
+    garbage_lines: 'The sensor sends corrupted frames instead of readings',
+    disconnect: 'The board disconnects: no readings and a reconnecting connection state',
+    wifi_drop: 'The device loses WiFi',
+    mqtt_drop: 'The device loses its MQTT connection; publishing fails',
+    battery_drain: 'The battery drains at ratePerHour percent per (scenario) hour; at 0% the device goes silent'
+};
+
+// Built-in scenarios. Phases drive a single-zone CO2 mass balance: occupants exhale CO2 and
+// ventilation (air changes per hour) mixes in outdoor air. Times are in scenario seconds,
+// which run timeScale times faster than real time.
+const SIMULATION_SCENARIOS = {
+    'office-day': {
+        description: 'A working day in a small office: empty at night, busy morning and afternoon, quieter over lunch',
+        timeScale: 120,
+        loop: true,
+        room: { volumeM3: 60, outdoorPpm: 420, initialPpm: 450 },
+        phases: [
+            { name: 'night', durationSec: 8 * 3600, occupants: 0, ach: 0.3 },
+            { name: 'arrival', durationSec: 3600, occupants: 3, ach: 1 },
+            { name: 'morning', durationSec: 3 * 3600, occupants: 6, ach: 1 },
+            { name: 'lunch', durationSec: 3600, occupants: 2, ach: 1 },
+            { name: 'afternoon', durationSec: 4 * 3600, occupants: 6, ach: 1 },
+            { name: 'evening', durationSec: 2 * 3600, occupants: 1, ach: 0.5 },
+            { name: 'late night', durationSec: 5 * 3600, occupants: 0, ach: 0.3 }
+        ]
+    },
+    'meeting-window': {
+        description: 'A meeting room fills up, CO2 climbs past 1500 ppm, then a window is opened',
+        timeScale: 10,
+        room: { volumeM3: 40, outdoorPpm: 420, initialPpm: 480 },
+        phases: [
+            { name: 'empty', durationSec: 10 * 60, occupants: 0, ach: 0.5 },
+            { name: 'meeting', durationSec: 60 * 60, occupants: 10, ach: 0.5 },
+            { name: 'window open', durationSec: 20 * 60, occupants: 10, ach: 12 },
+            { name: 'window closed', durationSec: 30 * 60, occupants: 4, ach: 0.5 }
+        ]
+    },
+    'sensor-drift': {
+        description: 'A steadily used room while the sensor baseline drifts upwards by 3 ppm per hour',
+        timeScale: 600,
+        room: { volumeM3: 50, outdoorPpm: 420, initialPpm: 600 },
+        phases: [
+            { name: 'steady', durationSec: 7 * 24 * 3600, occupants: 2, ach: 1.5, driftPpmPerHour: 3 }
+        ]
+    },
+    'fault-cycle': {
+        description: 'Steady readings with one of each fault in turn: serial timeouts, garbage lines, a disconnect, WiFi and MQTT drops',
+        timeScale: 1,
+        loop: true,
+        room: { volumeM3: 40, outdoorPpm: 420, initialPpm: 650 },
+        phases: [
+            { name: 'steady', durationSec: 600, occupants: 2, ach: 2 }
+        ],
+        faults: [
+            { type: 'serial_timeout', atSec: 60, durationSec: 30 },
+            { type: 'garbage_lines', atSec: 150, durationSec: 30 },
+            { type: 'disconnect', atSec: 240, durationSec: 60 },
+            { type: 'wifi_drop', atSec: 360, durationSec: 60 },
+            { type: 'mqtt_drop', atSec: 480, durationSec: 60 }
+        ]
+    },
+    'dying-battery': {
+        description: 'Normal readings while the battery drains to empty within about 10 minutes',
+        timeScale: 1,
+        room: { volumeM3: 40, outdoorPpm: 420, initialPpm: 600 },
+        phases: [
+            { name: 'steady', durationSec: 900, occupants: 2, ach: 2 }
+        ],
+        faults: [
+            { type: 'battery_drain', atSec: 0, ratePerHour: 600 }
+        ]
+    }
+};
+
+// Check and complete fault definitions: { type, atSec (default 0), durationSec (default: until the end), ratePerHour }
+const normalizeFaults = (faults, label) => faults.map((fault, index) => {
+    if (!SIMULATION_FAULTS[fault?.type]) {
+        throw new Error(`${label}[${index}].type must be one of ${Object.keys(SIMULATION_FAULTS).join(', ')}`);
+    }
+    if (fault.durationSec !== undefined && !(typeof fault.durationSec === 'number' && fault.durationSec > 0)) {
+        throw new Error(`${label}[${index}].durationSec must be a positive number`);
+    }
+    return {
+        type: fault.type,
+        atSec: Math.max(0, Number(fault.atSec) || 0),
+        durationSec: fault.durationSec ?? Infinity,
+        ratePerHour: Number(fault.ratePerHour) || 100
+    };
+});
+
+// Check and complete a scenario definition (built-in or from a file); throws on invalid definitions
+const normalizeScenario = (name, definition) => {
+    if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`Scenario ${name}: expected an object`);
+    }
+    const positive = (value, field) => {
+        if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+            throw new Error(`Scenario ${name}: ${field} must be a positive number`);
+        }
+        return value;
+    };
+    const scenario = {
+        name,
+        description: definition.description || '',
+        timeScale: positive(definition.timeScale ?? 1, 'timeScale'),
+        loop: Boolean(definition.loop),
+        room: {
+            volumeM3: positive(definition.room?.volumeM3 ?? 40, 'room.volumeM3'),
+            outdoorPpm: positive(definition.room?.outdoorPpm ?? 420, 'room.outdoorPpm'),
+            initialPpm: positive(definition.room?.initialPpm ?? 450, 'room.initialPpm')
+        },
+        phases: [],
+        faults: [],
+        replay: definition.replay || null
+    };
+    if (!scenario.replay) {
+        if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+            throw new Error(`Scenario ${name}: needs a list of phases (or replay data)`);
+        }
+        scenario.phases = definition.phases.map((phase, index) => ({
+            name: phase.name || `phase ${index + 1}`,
+            durationSec: positive(phase.durationSec, `phases[${index}].durationSec`),
+            occupants: Math.max(0, Number(phase.occupants) || 0),
+            ach: Math.max(0, Number(phase.ach) || 0),
+            driftPpmPerHour: Number(phase.driftPpmPerHour) || 0
+        }));
+    }
+    scenario.faults = normalizeFaults(definition.faults || [], `Scenario ${name}: faults`);
+    scenario.durationSec = scenario.replay
+        ? Math.max(1, scenario.replay[scenario.replay.length - 1].offsetSec)
+        : scenario.phases.reduce((sum, phase) => sum + phase.durationSec, 0);
+    return scenario;
+};
+
+// Readings to replay from a CSV file with a header row: timestamp and co2 (or co2Level) columns,
+// optionally temperature and humidity (the export_sensor_data CSV works as is)
+const parseReplayCsv = (text, file) => {
+    const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+    const columns = (header || '').split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+    const timeColumn = columns.indexOf('timestamp');
+    const co2Column = columns.includes('co2') ? columns.indexOf('co2') : columns.indexOf('co2Level');
+    if (timeColumn < 0 || co2Column < 0) {
+        throw new Error(`${file}: CSV needs timestamp and co2 columns`);
+    }
+    const rows = [];
+    for (const line of lines) {
+        const fields = line.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
+        const time = Date.parse(fields[timeColumn]);
+        const co2 = Number(fields[co2Column]);
+        if (isNaN(time) || fields[co2Column] === '' || isNaN(co2)) {
+            continue;
+        }
+        const values = { co2 };
+        for (const name of ['temperature', 'humidity']) {
+            const column = columns.indexOf(name);
+            if (column >= 0 && fields[column] !== '' && !isNaN(Number(fields[column]))) {
+                values[name] = Number(fields[column]);
+            }
+        }
+        rows.push({ time, values });
+    }
+    if (rows.length === 0) {
+        throw new Error(`${file}: no readings to replay`);
+    }
+    rows.sort((a, b) => a.time - b.time);
+    return rows.map(row => ({ offsetSec: (row.time - rows[0].time) / 1000, values: row.values }));
+};
+
+// Whether a path lies inside a directory (after resolving both)
+const isInsideDir = (dir, file) => {
+    const relative = path.relative(path.resolve(dir), path.resolve(file));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Load a scenario: a built-in name, or a JSON/YAML scenario file or a CSV file to replay from the
+// scenarios directory. Files elsewhere are refused, and parse errors do not echo the file's contents.
+const loadScenario = (nameOrFile, scenariosDir) => {
+    if (SIMULATION_SCENARIOS[nameOrFile]) {
+        return normalizeScenario(nameOrFile, SIMULATION_SCENARIOS[nameOrFile]);
+    }
+    const unknown = (reason) => new Error(`Unknown scenario ${nameOrFile}: not a built-in scenario (${Object.keys(SIMULATION_SCENARIOS).join(', ')}) and ${reason}`);
+    if (!scenariosDir) {
+        throw unknown('scenario files are disabled (simulation.scenariosDir is empty)');
+    }
+    const file = path.resolve(scenariosDir, nameOrFile);
+    let text;
+    try {
+        // Symbolic links must not lead out of the directory either
+        if (!isInsideDir(fs.realpathSync(scenariosDir), fs.realpathSync(file))) {
+            throw unknown(`not a file in ${scenariosDir}`);
+        }
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            throw unknown(`no such file in ${scenariosDir}`);
+        }
+        throw err.code ? unknown(`the file cannot be read (${err.code})`) : err;
+    }
+    const name = path.basename(file);
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.csv') {
+        return normalizeScenario(name, { description: `Replay of ${name}`, replay: parseReplayCsv(text, name) });
+    }
+    let definition;
+    try {
+        definition = ['.yaml', '.yml'].includes(extension) ? YAML.parse(text) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid scenario file ${name}: not valid ${['.yaml', '.yml'].includes(extension) ? 'YAML' : 'JSON'}`);
+    }
+    return normalizeScenario(definition?.name || name, definition);
+};
+
+// Plays a scenario for one device: advanced one step per sensor update, it returns simulated
+// measurements, the active faults and the battery drain. Deterministic for a given seed.
+class SimulationEngine {
+    constructor(scenario, { seed, timeScale, loop, faults = [] } = {}) {
+        this.scenario = scenario;
+        this.random = new SeededRandom(seed);
+        this.timeScale = timeScale ?? scenario.timeScale;
+        this.loop = loop ?? scenario.loop;
+        this.faults = [...scenario.faults, ...faults];
+        this.elapsedSec = 0;
+        this.steps = 0;
+        this.finished = false;
+        this.startedAt = new Date();
+        this.room = { co2: scenario.room.initialPpm, temperature: 21, humidity: 40 };
+        this.driftPpm = 0;
+        this.values = this.measure(0);
+    }
+
+    // Scenario time within the current loop
+    get positionSec() {
+        return this.loop ? this.elapsedSec % this.scenario.durationSec : Math.min(this.elapsedSec, this.scenario.durationSec);
+    }
+
+    phaseAt(positionSec) {
+        let end = 0;
+        for (const phase of this.scenario.phases) {
+            end += phase.durationSec;
+            if (positionSec < end) {
+                return phase;
+            }
+        }
+        return this.scenario.phases[this.scenario.phases.length - 1];
+    }
+
+    activeFaults(positionSec) {
+        return this.faults.filter(fault => positionSec >= fault.atSec && positionSec < fault.atSec + fault.durationSec);
+    }
+
+    // Advance the room model by dtSec scenario seconds and return the measured values
+    measure(dtSec) {
+        if (this.scenario.replay) {
+            // Latest replayed reading at or before the current position
+            const replay = this.scenario.replay;
+            let row = replay[0];
+            for (const candidate of replay) {
+                if (candidate.offsetSec > this.positionSec) {
+                    break;
+                }
+                row = candidate;
+            }
+            return { ...row.values };
+        }
+        const phase = this.phaseAt(this.positionSec);
+        const { volumeM3, outdoorPpm } = this.scenario.room;
+        const dtMin = dtSec / 60;
+        const room = this.room;
+        // About 0.3 L of CO2 per person per minute: 300 / volume ppm per minute
+        room.co2 += phase.occupants * 300 / volumeM3 * dtMin;
+        room.co2 += (outdoorPpm - room.co2) * Math.min(1, phase.ach / 60 * dtMin);
+        const mixing = Math.min(1, dtMin / 15);
+        room.temperature += (20.5 + Math.min(4, phase.occupants * 0.4) - room.temperature) * mixing;
+        room.humidity += (35 + Math.min(25, phase.occupants * 2.5) - room.humidity) * mixing;
+        this.driftPpm += phase.driftPpmPerHour * dtSec / 3600;
+        return {
+            co2: Math.max(0, Math.round(room.co2 + this.driftPpm + this.random.gaussian() * 5)),
+            temperature: Math.round((room.temperature + this.random.gaussian() * 0.05) * 10) / 10,
+            humidity: Math.round(Math.min(100, Math.max(0, room.humidity + this.random.gaussian() * 0.3)) * 10) / 10
+        };
+    }
+
+    // Advance by one sensor update of tickMs real milliseconds
+    step(tickMs) {
+        const dtSec = tickMs / 1000 * this.timeScale;
+        this.elapsedSec += dtSec;
+        this.steps++;
+        if (!this.loop && this.elapsedSec >= this.scenario.durationSec) {
+            this.finished = true;
+        }
+        this.values = this.measure(dtSec);
+        const faults = this.activeFaults(this.positionSec);
+        const batteryDrain = faults
+            .filter(fault => fault.type === 'battery_drain')
+            .reduce((sum, fault) => sum + fault.ratePerHour * dtSec / 3600, 0);
+        let garbage = null;
+        if (faults.some(fault => fault.type === 'garbage_lines')) {
+            // A line of random printable characters where a reading should be
+            garbage = 'CO2 (ppm):' + Array.from({ length: 8 }, () => String.fromCharCode(33 + Math.floor(this.random.next() * 94))).join('') + '\r\n';
+        }
+        return {
+            values: this.values,
+            faults: new Set(faults.map(fault => fault.type)),
+            batteryDrain,
+            garbage
+        };
+    }
+
+    getStatus() {
+        return {
+            scenario: this.scenario.name,
+            description: this.scenario.description,
+            seed: this.random.seed,
+            timeScale: this.timeScale,
+            loop: this.loop,
+            startedAt: this.startedAt.toISOString(),
+            steps: this.steps,
+            scenarioSec: Math.round(this.elapsedSec),
+            durationSec: this.scenario.durationSec,
+            phase: this.scenario.replay ? 'replay' : this.phaseAt(this.positionSec).name,
+            activeFaults: this.activeFaults(this.positionSec).map(fault => fault.type),
+            finished: this.finished,
+            values: this.values
+        };
+    }
+}
+
+// Simulated device state
+class DeviceState {
+    constructor(config, { name, portPath, serialNumber, driver, history, mqtt, alerts }) {
+        this.config = config;
+        // Device information
+        this.name = name;
+        this.portPath = portPath;
+        // USB serial number, used to find the board again if it comes back on another path
+        this.serialNumber = serialNumber || null;
+        this.driverName = driver || config.sensor.driver;
+        this.driver = SENSOR_DRIVERS[this.driverName];
+        // What the firmware reported about itself (see identifyBoard(); null until the board answers),
+        // the result of the last enter_bootloader, and the device ID derived from them (see updateIdentity())
+        this.firmware = { version: null, board: null, uniqueId: null, source: null, updatedAt: null };
+        this.bootloader = null;
+        this.deviceId = null;
+        this.updateIdentity();
+        this.bootTime = new Date();
+        this.dataHandlerSet = false;
+        // Connection health
+        this.connectionState = portPath ? 'idle' : 'simulation';
+        this.reconnectCount = 0;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.lastError = null;
+        this.lastErrorAt = null;
+        this.lastRealReadingAt = null;
+        this.lastRealReading = null;
+        this.readingCounts = { real: 0, simulated: 0 };
+        this.closed = false;
+        // Sensor data
+        this.co2Level = 0;
+        // Latest measurements by metric name: { value, unit, timestamp }
+        this.measurements = {};
+        // State of the simulated room
+        this.simulation = { co2: 600, temperature: 21.5, humidity: 42 };
+        this.random = new SeededRandom(config.simulation.seed || undefined, name);
+        // Running simulation scenario (SimulationEngine) and the faults it currently injects
+        this.scenario = null;
+        this.activeFaults = new Set();
+        this.mqttDropped = false;
+        // Frames from the sensor that did not contain a reading
+        this.unparsedFrames = 0;
+        // Recent raw samples from the device ({ at, values, rejected }) and the number of rejected outliers
+        this.samples = new RingBuffer(config.sampling.bufferSize);
+        this.rejectedSamples = 0;
+        this.sensorStatus = 'no_data';
+        this.lastSensorUpdate = new Date();
+        // Calibration/configuration commands sent to the sensor, and the settings they changed (null: unknown)
+        this.calibrations = [];
+        this.sensorSettings = { autoBaseline: null, detectionRange: null };
+        // Persistent history of readings (shared by all devices)
+        this.history = history;
+        // Network status (see refreshNetworkStatus()); firmwareNetwork: whether the firmware reports
+        // its network (null until asked), wifiDropped: simulated WiFi drop
+        this.network = config.network.provider === 'firmware'
+            ? { source: 'firmware', state: 'unknown', ssid: null, rssi: null, ip: null, interface: null, error: 'Not queried yet', updatedAt: null }
+            : hostNetworkStatus(config.network.interface);
+        this.firmwareNetwork = null;
+        this.wifiDropped = false;
+        this.wifiReconnect = null;
+        // MQTT client (shared by all devices)
+        this.mqtt = mqtt;
+        // Threshold alerting (shared by all devices)
+        this.alerts = alerts;
+        // Power subsystem: the latest power report from the firmware ({ voltage, level, usb, at }, null until
+        // the board sends one), the battery level of the simulated board, and the power mode, which sets
+        // the sampling interval
+        this.powerReport = null;
+        this.simulatedBattery = config.power.simulatedLevel;
+        this.powerMode = config.power.mode;
+        this.samplingIntervalMs = POWER_MODES[this.powerMode].intervalMs(config);
+        // Simulate sensor data changes
+        this.updateTimer = setInterval(() => {
+            this.updateSensorData();
+        }, config.sensor.updateIntervalMs);
+        // Read connected devices in the background, so get_sensor_data can answer without waiting
+        this.samplingTimer = null;
+        this.scheduleSampling();
+        this.networkTimer = config.network.refreshIntervalMs > 0
+            ? setInterval(() => this.refreshNetworkStatus().catch(err => {
+                logger.warning('network', `Error refreshing the network status: ${err.message}`, { device: this.name });
+            }), config.network.refreshIntervalMs)
+            : null;
+        if (config.simulation.scenario) {
+            this.startScenario({ scenario: config.simulation.scenario, seed: config.simulation.seed || undefined });
+        }
+    }
+
+    handleData(data) {
+        const power = this.driver.parsePower ? this.driver.parsePower(data) : null;
+        if (power) {
+            this.updatePower(power);
+        }
+        const values = this.driver.parse(data);
+        if (values && (values.co2 === undefined || values.co2 > 0)) {
+            this.addSample(values);
+        } else if (!power) {
+            this.unparsedFrames++;
+        }
+    }
+
+    // Merge a power report from the firmware; the voltage, level and USB flag may come in separate frames
+    updatePower(power) {
+        const previousSupply = this.powerReport ? this.getPowerStatus().supply : null;
+        this.powerReport = { ...this.powerReport, ...power, at: new Date() };
+        const status = this.getPowerStatus();
+        if (status.supply && status.supply !== previousSupply) {
+            logger.info('power', `Running on ${status.supply === 'usb' ? 'USB power' : 'battery'}`, { device: this.name });
+        }
+        this.evaluateAlerts(this.powerReport.at);
+    }
+
+    // Buffer a reading from the device, reject outliers and store the (smoothed) values
+    addSample(values) {
+        const { window, outlierPpm, smoothing } = this.config.sampling;
+        const recent = this.samples.last(window);
+        const sample = { at: new Date(), values, rejected: false };
+        this.samples.push(sample);
+        // Compared with the median of the recent raw samples, rejected ones included, so a lasting
+        // change in CO2 is accepted once it makes up half of the window
+        const recentCo2 = recent.map(({ values }) => values.co2).filter(co2 => typeof co2 === 'number');
+        if (outlierPpm > 0 && typeof values.co2 === 'number' && recentCo2.length > 0) {
+            const median = SAMPLE_SMOOTHING.median(recentCo2);
+            if (Math.abs(values.co2 - median) > outlierPpm) {
+                sample.rejected = true;
+                this.rejectedSamples++;
+                logger.debug('sensor', `Outlier rejected: ${values.co2} ppm (median of recent samples: ${median} ppm)`, { device: this.name });
+                return;
+            }
+        }
+        const combine = SAMPLE_SMOOTHING[smoothing];
+        if (!combine) {
+            this.setMeasurements(values, 'data_received');
+            return;
+        }
+        const accepted = [...recent.filter(({ rejected }) => !rejected), sample].slice(-window);
+        const smoothed = Object.fromEntries(Object.keys(values).map(name => {
+            const value = combine(accepted.map(({ values }) => values[name]).filter(value => typeof value === 'number'));
+            return [name, name === 'co2' ? Math.round(value) : round1(value)];
+        }));
+        this.setMeasurements(smoothed, 'data_received');
+    }
+
+    // (Re)start background sampling at the interval of the power mode
+    scheduleSampling() {
+        clearInterval(this.samplingTimer);
+        this.samplingTimer = this.samplingIntervalMs > 0
+            ? setInterval(() => this.pollDevice(), this.samplingIntervalMs)
+            : null;
+    }
+
+    // Ask the device for a reading in the background; the answer goes through handleData() like any frame
+    pollDevice() {
+        if (!this.port || !this.port.isOpen) {
+            return;
+        }
+        this.port.write(this.driver.requestCommand, (err) => {
+            if (err) {
+                logger.warning('serial', `Error polling the device: ${err.message}`, { device: this.name });
+            }
+        });
+    }
+
+    // Whether the background sampler has a reading recent enough to return instead of asking the device
+    // (one sampling interval plus the time an answer may take)
+    hasFreshSample() {
+        const intervalMs = this.samplingIntervalMs;
+        return intervalMs > 0 && this.lastRealReading !== null
+            && Date.now() - this.lastRealReading.at.getTime() <= intervalMs + this.config.sensor.readTimeoutMs;
+    }
+
+    // Store a set of measured values, add derived metrics and record the reading
+    setMeasurements(values, status) {
+        const now = new Date();
+        const all = { ...values, ...deriveMeasurements({ ...this.getMeasurementValues(), ...values }) };
+        for (const [name, value] of Object.entries(all)) {
+            if (typeof value === 'number' && !isNaN(value)) {
+                this.measurements[name] = { value, unit: METRICS[name]?.unit || '', timestamp: now.toISOString() };
+            }
+        }
+        if (typeof values.co2 === 'number') {
+            this.co2Level = values.co2;
+        }
+        this.sensorStatus = status;
+        this.lastSensorUpdate = now;
+        if (status === 'data_received') {
+            this.readingCounts.real++;
+            this.lastRealReadingAt = now;
+            // Kept for the last-known data policy
+            this.lastRealReading = { measurements: { ...this.measurements }, co2Level: this.co2Level, at: now };
+        } else {
+            this.readingCounts.simulated++;
+        }
+        this.history.record({ device: this.name, co2Level: this.co2Level, measurements: values, status, source: status === 'data_received' ? 'device' : 'simulation' });
+        this.evaluateAlerts(now);
+    }
+
+    // Check the latest measurements and the battery level against the alert rules
+    evaluateAlerts(now = new Date()) {
+        const power = this.getPowerStatus();
+        const simulatedMetrics = power.source === 'simulation' ? ['battery'] : [];
+        this.alerts.evaluate(this.name, { ...this.getMeasurementValues(), battery: power.batteryLevel }, now, simulatedMetrics);
+    }
+
+    // Latest measurement values by metric name
+    getMeasurementValues() {
+        return Object.fromEntries(Object.entries(this.measurements).map(([name, measurement]) => [name, measurement.value]));
+    }
+
+    // Simulated room: CO2 follows a mean-reverting random walk, and temperature and
+    // humidity drift towards levels that rise with occupancy (approximated by CO2)
+    // A running scenario provides the values instead (advanced by updateSensorData())
+    simulateMeasurements() {
+        if (this.scenario) {
+            return Object.fromEntries(this.driver.measurements
+                .filter(name => this.scenario.values[name] !== undefined)
+                .map(name => [name, this.scenario.values[name]]));
+        }
+        const sim = this.simulation;
+        sim.co2 = Math.min(2000, Math.max(400, sim.co2 + (650 - sim.co2) * 0.05 + this.random.gaussian() * 25));
+        const occupancy = (sim.co2 - 400) / 1000;
+        sim.temperature += (21 + occupancy * 2 - sim.temperature) * 0.1 + this.random.gaussian() * 0.05;
+        sim.humidity = Math.min(90, Math.max(15, sim.humidity + (38 + occupancy * 12 - sim.humidity) * 0.1 + this.random.gaussian() * 0.3));
+        const values = {
+            co2: Math.round(sim.co2),
+            temperature: Math.round(sim.temperature * 10) / 10,
+            humidity: Math.round(sim.humidity * 10) / 10
+        };
+        // Only the metrics the device's driver can report
+        return Object.fromEntries(this.driver.measurements.map(name => [name, values[name]]));
+    }
+
+    async initializePort() {
+        // Open the configured or discovered port directly
+        if (this.portPath) {
+            this.openPort(this.portPath);
+            return;
+        }
+        try {
+            const ports = await SerialPort.list();
+            // Search for Raspberry Pi Pico USB serial port
+            const portInfo = ports.find(port => matchesSensorPort(port, this.config.serial));
+            if (portInfo) {
+                this.serialNumber = portInfo.serialNumber || null;
+                this.openPort(portInfo.path);
+            } else {
+                logger.info('serial', 'No USB serial port found, running in simulation mode', { device: this.name });
+                this.port = null;
+            }
+        } catch (err) {
+            logger.warning('serial', `Error listing serial ports: ${err.message}; running in simulation mode`, { device: this.name });
+            this.port = null;
+        }
+    }
+
+    // Create a serial port connection
+    openPort(portPath) {
+        this.portPath = portPath;
+        // A driver's own baud rate applies unless serial.baudRate was set explicitly
+        const baudRate = this.config.sources['serial.baudRate'] === 'default' && this.driver.baudRate
+            ? this.driver.baudRate
+            : this.config.serial.baudRate;
+        this.connectionState = 'connecting';
+        // Emulator paths open a virtual board that speaks this device's driver protocol
+        const options = isEmulatorPath(portPath)
+            ? { path: portPath, baudRate, binding: EmulatorBinding, driver: this.driverName }
+            : { path: portPath, baudRate };
+        const port = new SerialPort(options, (err) => {
+            if (err) {
+                logger.error('serial', `Error opening serial port ${portPath}: ${err.message}`, { device: this.name });
+                this.recordError(err);
+                if (this.port === port) {
+                    this.port = null;
+                }
+                this.scheduleReconnect();
+                return;
+            }
+            logger.info('serial', `Serial port ${portPath} opened`, { device: this.name });
+            this.connectionState = 'connected';
+            this.reconnectAttempt = 0;
+            if (this.samplingTimer) {
+                this.pollDevice();
+            }
+            // Another board (or firmware) may be behind the port now
+            this.firmwareNetwork = null;
+            this.powerReport = null;
+            this.identifyBoard().catch(error => {
+                logger.warning('firmware', `Error identifying the board: ${error.message}`, { device: this.name });
+            });
+            this.refreshNetworkStatus().catch(error => {
+                logger.warning('network', `Error reading the network status: ${error.message}`, { device: this.name });
+            });
+        });
+        this.port = port;
+        this.parser = port.pipe(this.driver.createParser());
+        this.parser.on('data', this.handleData.bind(this));
+        // The board was unplugged or the port failed: fall back and try to reconnect
+        port.on('close', () => {
+            if (this.port !== port) {
+                return;
+            }
+            logger.warning('serial', `Serial port ${portPath} closed`, { device: this.name });
+            this.port = null;
+            this.scheduleReconnect();
+        });
+        port.on('error', (err) => {
+            logger.error('serial', `Serial port error: ${err.message}`, { device: this.name });
+            this.recordError(err);
+        });
+        this.dataHandlerSet = true;
+    }
+
+    recordError(err) {
+        this.lastError = err.message;
+        this.lastErrorAt = new Date();
+    }
+
+    // Retry with exponential backoff until the board is found and the port opens again
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+        const { reconnectBaseMs, reconnectMaxMs } = this.config.serial;
+        const delay = Math.min(reconnectMaxMs, reconnectBaseMs * 2 ** this.reconnectAttempt);
+        this.reconnectAttempt++;
+        this.connectionState = 'reconnecting';
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            const portPath = await this.findPort();
+            if (this.closed) {
+                return;
+            }
+            if (!portPath) {
+                this.scheduleReconnect();
+                return;
+            }
+            this.reconnectCount++;
+            logger.info('serial', `Reconnecting to ${portPath} (attempt ${this.reconnectAttempt})`, { device: this.name });
+            this.openPort(portPath);
+        }, delay);
+    }
+
+    // Look for the board among the listed ports: by USB serial number, else by path
+    async findPort() {
+        if (isEmulatorPath(this.portPath)) {
+            return getEmulator(this.portPath).present ? this.portPath : null;
+        }
+        let ports;
+        try {
+            ports = await SerialPort.list();
+        } catch (err) {
+            this.recordError(err);
+            ports = [];
+        }
+        const bySerial = this.serialNumber && ports.find(port => port.serialNumber === this.serialNumber);
+        if (bySerial) {
+            return bySerial.path;
+        }
+        if (ports.some(port => port.path === this.portPath)) {
+            return this.portPath;
+        }
+        // Ports that are not listed (e.g. virtual ports) are retried while the path exists
+        return this.portPath && fs.existsSync(this.portPath) ? this.portPath : null;
+    }
+
+    updateSensorData = () => {
+        if (this.scenario) {
+            this.runScenarioStep();
+            return;
+        }
+        // Simulate data if no serial port is available (and the data policy allows made-up values)
+        if (!this.port && this.config.sensor.dataPolicy === 'simulate') {
+            this.setMeasurements(this.simulateMeasurements(), 'simulated_data');
+        }
+        this.drainSimulatedBattery(this.config.sensor.updateIntervalMs);
+    }
+
+    // Drain model of the simulated battery: the average current of the power mode (see averageCurrentMa())
+    // drawn from power.capacityMah for the elapsed time, plus extra drain in percent (battery_drain faults).
+    // Only a simulated device has one; the battery of a board is what its firmware reports
+    drainSimulatedBattery(elapsedMs, extraPercent = 0) {
+        if (this.portPath || this.powerReport) {
+            return;
+        }
+        const { power } = this.config;
+        const usedMah = averageCurrentMa(power, this.samplingIntervalMs) * elapsedMs / 3600000;
+        this.simulatedBattery = Math.max(0, this.simulatedBattery - usedMah / power.capacityMah * 100 - extraPercent);
+    }
+
+    // Start a simulation scenario (see SIMULATION_SCENARIOS and loadScenario()), replacing a running one
+    startScenario({ scenario, seed, timeScale, loop, faults } = {}) {
+        const definition = loadScenario(scenario, this.config.simulation.scenariosDir);
+        const extraFaults = normalizeFaults(faults || [], 'faults');
+        if (this.scenario) {
+            this.stopScenario('replaced');
+        }
+        this.scenario = new SimulationEngine(definition, { seed, timeScale, loop, faults: extraFaults });
+        logger.info('simulation', `Scenario ${definition.name} started (seed ${this.scenario.random.seed})`, { device: this.name });
+        return this.scenario.getStatus();
+    }
+
+    // Stop the running scenario and clear its faults; returns its final status
+    stopScenario(reason = 'stopped') {
+        if (!this.scenario) {
+            return null;
+        }
+        const status = { ...this.scenario.getStatus(), stopReason: reason };
+        // The default simulation carries on from the scenario's last values
+        for (const name of ['co2', 'temperature', 'humidity']) {
+            if (typeof status.values[name] === 'number') {
+                this.simulation[name] = status.values[name];
+            }
+        }
+        this.scenario = null;
+        this.applyFaults(new Set());
+        logger.info('simulation', `Scenario ${status.scenario} ${reason}`, { device: this.name });
+        return status;
+    }
+
+    // Advance the scenario by one update interval and apply its values, faults and battery drain
+    runScenarioStep() {
+        const step = this.scenario.step(this.config.sensor.updateIntervalMs);
+        this.drainSimulatedBattery(this.config.sensor.updateIntervalMs * this.scenario.timeScale, step.batteryDrain);
+        if (this.simulatedBattery === 0) {
+            step.faults.add('battery_empty');
+        }
+        this.applyFaults(step.faults);
+        // Scenario values replace the simulated sensor where the data policy allows made-up values;
+        // a device on a real board keeps its real readings
+        if (!this.port && this.config.sensor.dataPolicy === 'simulate') {
+            if (step.garbage) {
+                this.injectGarbage(step.garbage);
+            } else if (!['disconnect', 'serial_timeout', 'battery_empty'].some(fault => step.faults.has(fault))) {
+                this.setMeasurements(this.simulateMeasurements(), 'simulated_data');
+            }
+        }
+        if (this.scenario.finished) {
+            this.stopScenario('finished');
+        }
+    }
+
+    // Turn simulated faults on and off as the set of active faults changes
+    applyFaults(faults) {
+        for (const fault of new Set([...faults, ...this.activeFaults])) {
+            const active = faults.has(fault);
+            if (active === this.activeFaults.has(fault)) {
+                continue;
+            }
+            switch (fault) {
+                case 'disconnect':
+                case 'battery_empty':
+                    if (active) {
+                        this.connectionState = 'reconnecting';
+                        this.recordError(new Error(fault === 'disconnect' ? 'Simulated disconnect' : 'Battery empty'));
+                    } else if (!this.port) {
+                        this.connectionState = 'simulation';
+                        this.reconnectCount++;
+                    }
+                    break;
+                case 'wifi_drop':
+                    this.wifiDropped = active;
+                    break;
+                case 'mqtt_drop':
+                    this.mqttDropped = active;
+                    break;
+            }
+            logger.log(active ? 'warning' : 'info', 'simulation', `Fault ${fault} ${active ? 'injected' : 'cleared'}`, { device: this.name });
+        }
+        this.activeFaults = new Set(faults);
+    }
+
+    // Feed corrupted bytes through the driver's framing, as if the sensor had sent them
+    injectGarbage(garbage) {
+        if (!this.garbageParser) {
+            this.garbageParser = this.driver.createParser();
+            this.garbageParser.on('data', this.handleData.bind(this));
+        }
+        this.garbageParser.write(garbage);
+    }
+
+    // Stop updates and release the serial port
+    close() {
+        this.closed = true;
+        clearInterval(this.updateTimer);
+        clearInterval(this.samplingTimer);
+        clearInterval(this.networkTimer);
+        clearTimeout(this.reconnectTimer);
+        if (this.port && this.port.isOpen) {
+            this.port.close();
+        }
+    }
+
+    // Connection health and data quality
+    getHealth() {
+        const total = this.readingCounts.real + this.readingCounts.simulated;
+        return {
+            name: this.name,
+            connectionState: this.connectionState,
+            portPath: this.portPath,
+            serialNumber: this.serialNumber,
+            connected: Boolean(this.port && this.port.isOpen),
+            reconnectCount: this.reconnectCount,
+            reconnectPending: Boolean(this.reconnectTimer),
+            lastError: this.lastError,
+            lastErrorAt: this.lastErrorAt ? this.lastErrorAt.toISOString() : null,
+            lastRealReadingAt: this.lastRealReadingAt ? this.lastRealReadingAt.toISOString() : null,
+            realReadings: this.readingCounts.real,
+            simulatedReadings: this.readingCounts.simulated,
+            realReadingRatio: total > 0 ? Math.round(this.readingCounts.real / total * 1000) / 1000 : null,
+            unparsedFrames: this.unparsedFrames,
+            sampling: {
+                intervalMs: this.samplingIntervalMs,
+                powerMode: this.powerMode,
+                smoothing: this.config.sampling.smoothing,
+                bufferedSamples: this.samples.length,
+                rejectedSamples: this.rejectedSamples,
+                lastSampleAt: this.samples.length > 0 ? this.samples.last(1)[0].at.toISOString() : null
+            },
+            simulation: this.scenario ? this.scenario.getStatus() : null
+        };
+    }
+
+    // Power supply, battery level and estimated runtime: from the firmware's power reports, from the drain
+    // model for a simulated device (no serial port), or unknown for a board that does not report its power
+    getPowerStatus() {
+        const { power } = this.config;
+        const report = this.powerReport;
+        let source = 'unknown';
+        let supply = null;
+        let voltage = null;
+        let batteryLevel = null;
+        if (report) {
+            source = 'firmware';
+            voltage = report.voltage ?? null;
+            if (report.usb !== undefined) {
+                supply = report.usb ? 'usb' : 'battery';
+            } else if (voltage !== null) {
+                supply = voltage >= power.usbVoltage ? 'usb' : 'battery';
+            }
+            // On USB power VSYS is the USB voltage, which says nothing about a battery
+            batteryLevel = report.level ?? (supply === 'battery' && voltage !== null
+                ? Math.round(batteryLevelForVoltage(power.dischargeCurve, voltage))
+                : null);
+        } else if (!this.portPath) {
+            source = 'simulation';
+            supply = 'battery';
+            batteryLevel = round1(this.simulatedBattery);
+            voltage = Math.round(voltageForBatteryLevel(power.dischargeCurve, this.simulatedBattery) * 100) / 100;
+        }
+        const currentMa = averageCurrentMa(power, this.samplingIntervalMs);
+        return {
+            source,
+            supply,
+            voltage,
+            batteryLevel,
+            estimatedRuntimeHours: supply === 'battery' && batteryLevel !== null && currentMa > 0
+                ? round1(power.capacityMah * batteryLevel / 100 / currentMa)
+                : null,
+            averageCurrentMa: round1(currentMa),
+            mode: this.powerMode,
+            samplingIntervalMs: this.samplingIntervalMs,
+            updatedAt: report ? report.at.toISOString() : null
+        };
+    }
+
+    // Switch the power mode: changes how often the device is sampled, and with it the power drawn
+    setPowerMode(mode) {
+        const previousMode = this.powerMode;
+        this.powerMode = mode;
+        this.samplingIntervalMs = POWER_MODES[mode].intervalMs(this.config);
+        this.scheduleSampling();
+        logger.info('power', `Power mode ${mode}: ${this.samplingIntervalMs > 0 ? `sampling every ${this.samplingIntervalMs} ms` : 'sampling on demand'}`, { device: this.name });
+        return { previousMode, ...this.getPowerStatus() };
+    }
+
+    // Getters for device information
+    getDeviceInfo() {
+        const power = this.getPowerStatus();
+        return {
+            name: this.name,
+            deviceId: this.deviceId,
+            deviceIdSource: this.deviceIdSource,
+            portPath: this.port ? this.port.path : this.portPath,
+            serialNumber: this.serialNumber,
+            driver: this.driverName,
+            firmwareVersion: this.firmware.version,
+            board: this.firmware.board,
+            firmware: this.firmware,
+            bootloader: this.bootloader,
+            bootTime: this.bootTime.toISOString(),
+            uptime: Math.floor((new Date().getTime() - this.bootTime.getTime()) / 1000),
+            batteryLevel: power.batteryLevel,
+            power,
+            dataPolicy: this.config.sensor.dataPolicy,
+            sensorSettings: this.sensorSettings,
+            calibrations: this.calibrations,
+        };
+    }
+
+    // Sensor data result, optionally limited to some metrics
+    buildSensorResult(status, metrics) {
+        const measurements = Object.fromEntries(Object.entries(this.measurements)
+            .filter(([name]) => !metrics || metrics.length === 0 || metrics.includes(name)));
+        return {
+            co2Level: this.co2Level,
+            measurements,
+            lastUpdate: this.lastSensorUpdate.toISOString(),
+            status,
+            source: status === 'data_received' ? 'device' : 'simulation',
+            stale: false,
+            dataPolicy: this.config.sensor.dataPolicy
+        };
+    }
+
+    // Result when no fresh real reading is available, according to the data policy:
+    // 'simulate' makes up a value, 'last-known' returns the cached real reading, 'strict' fails
+    fallbackResult(reason, metrics) {
+        const reasonText = reason === 'timeout' ? 'the device did not answer in time' : 'no device is connected';
+        switch (this.config.sensor.dataPolicy) {
+            case 'simulate': {
+                const status = reason === 'timeout' ? 'timeout_simulated_data' : 'simulated_data';
+                this.setMeasurements(this.simulateMeasurements(), status);
+                logger.log(reason === 'timeout' ? 'warning' : 'debug', 'sensor', reason === 'timeout'
+                    ? `sensor data wait timeout - using simulated value: ${this.co2Level}`
+                    : `sensor data requested: ${this.co2Level}`, { device: this.name });
+                return this.buildSensorResult(status, metrics);
+            }
+            case 'last-known': {
+                if (!this.lastRealReading) {
+                    throw new DataUnavailableError(`No sensor data from ${this.name}: ${reasonText} and there is no previous real reading`);
+                }
+                const { measurements, co2Level, at } = this.lastRealReading;
+                logger.warning('sensor', `sensor data unavailable (${reasonText}) - using last known value: ${co2Level}`, { device: this.name });
+                return {
+                    co2Level,
+                    measurements: Object.fromEntries(Object.entries(measurements)
+                        .filter(([name]) => !metrics || metrics.length === 0 || metrics.includes(name))),
+                    lastUpdate: at.toISOString(),
+                    status: 'last_known',
+                    source: 'cache',
+                    stale: true,
+                    ageSec: Math.floor((Date.now() - at.getTime()) / 1000),
+                    dataPolicy: 'last-known'
+                };
+            }
+            default:
+                logger.warning('sensor', `sensor data unavailable (${reasonText}) - strict data policy`, { device: this.name });
+                throw new DataUnavailableError(`No sensor data from ${this.name}: ${reasonText}`);
+        }
+    }
+
+    // Getters for sensor data; an aborted signal stops waiting for the device
+    async getSensorData({ metrics, signal } = {}) {
+        if (!this.port && !this.dataHandlerSet) {
+            await this.initializePort();
+        }
+        if (signal?.aborted) {
+            throw new CancelledError();
+        }
+        // The background sampler keeps a recent reading: return it right away
+        if (this.port && this.hasFreshSample()) {
+            const { measurements, co2Level, at } = this.lastRealReading;
+            return {
+                co2Level,
+                measurements: Object.fromEntries(Object.entries(measurements)
+                    .filter(([name]) => !metrics || metrics.length === 0 || metrics.includes(name))),
+                lastUpdate: at.toISOString(),
+                status: 'data_received',
+                source: 'device',
+                stale: false,
+                sampleAgeMs: Date.now() - at.getTime(),
+                dataPolicy: this.config.sensor.dataPolicy
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            // Maximum wait time for data (milliseconds)
+            const maxWaitTime = this.config.sensor.readTimeoutMs;
+            // Timer ID for timeout
+            let timeoutId;
+
+            // If a serial port is available
+            if (this.port) {
+                logger.debug('sensor', `sensor data requested - waiting for data...`, { device: this.name });
+
+                // Event handler to wait for data
+                // (the parser listener registered in initializePort() has already parsed the line;
+                // only a frame that gave a sample counts, error answers and corrupted frames keep waiting;
+                // a sample rejected as an outlier leaves the last accepted values in place)
+                const [lastSample] = this.samples.last(1);
+                const dataHandler = (data) => {
+                    if (this.samples.last(1)[0] !== lastSample) {
+                        this.lastSensorUpdate = new Date();
+
+                        // Clear the timeout
+                        clearTimeout(timeoutId);
+                        // Remove the event listeners
+                        this.parser.removeListener('data', dataHandler);
+                        signal?.removeEventListener('abort', abortHandler);
+                        logger.debug('sensor', `sensor data received: ${this.co2Level}`, { device: this.name });
+                        // Return the result
+                        resolve(this.buildSensorResult('data_received', metrics));
+                    }
+                };
+
+                // Stop waiting when the request is cancelled
+                const abortHandler = () => {
+                    clearTimeout(timeoutId);
+                    this.parser.removeListener('data', dataHandler);
+                    logger.debug('sensor', `sensor data request cancelled`, { device: this.name });
+                    reject(new CancelledError());
+                };
+
+                // Add event listeners to wait for data
+                this.parser.on('data', dataHandler);
+                signal?.addEventListener('abort', abortHandler, { once: true });
+
+                // Timeout processing
+                timeoutId = setTimeout(() => {
+                    // Remove the event listeners
+                    this.parser.removeListener('data', dataHandler);
+                    signal?.removeEventListener('abort', abortHandler);
+
+                    // Fall back according to the data policy
+                    try {
+                        resolve(this.fallbackResult('timeout', metrics));
+                    } catch (error) {
+                        reject(error);
+                    }
+                }, maxWaitTime);
+
+                // Send data request (if needed)
+                this.port.write(this.driver.requestCommand, (err) => {
+                    if (err) {
+                        logger.error('serial', `Error requesting data: ${err.message}`, { device: this.name });
+                        // Do not reject, handle with timeout
+                    }
+                });
+            }
+            // A simulated serial timeout: wait as long as a real read would, then time out
+            else if (this.activeFaults.has('serial_timeout')) {
+                const abortHandler = () => {
+                    clearTimeout(timeoutId);
+                    reject(new CancelledError());
+                };
+                signal?.addEventListener('abort', abortHandler, { once: true });
+                timeoutId = setTimeout(() => {
+                    signal?.removeEventListener('abort', abortHandler);
+                    try {
+                        resolve(this.fallbackResult('timeout', metrics));
+                    } catch (error) {
+                        reject(error);
+                    }
+                }, maxWaitTime);
+            }
+            // If no device is connected
+            else {
+                try {
+                    resolve(this.fallbackResult('no_device', metrics));
+                } catch (error) {
+                    reject(error);
+                }
+            }
+        });
+    }
+
+    // Send a calibration/configuration command (see SENSOR_COMMANDS) and wait for the firmware's acknowledgement
+    async sendCommand(name, args = {}, { signal } = {}) {
+        if (!this.port || !this.port.isOpen) {
+            throw new DeviceCommandError(`${this.name} is not connected to a sensor (${this.connectionState}); ${name} needs the real device`);
+        }
+        if (signal?.aborted) {
+            throw new CancelledError();
+        }
+        const frame = this.driver.encodeCommand(name, args);
+        logger.info('sensor', `sending ${name} ${JSON.stringify(args)}`, { device: this.name });
+        // Without parseAck there is nothing to wait for
+        const ack = await this.exchangeFrames(frame, this.driver.parseAck ? (data) => this.driver.parseAck(data, name, args) || undefined : null, {
+            timeoutMs: this.config.sensor.readTimeoutMs,
+            timeoutMessage: `No acknowledgement for ${name} from ${this.name} within ${this.config.sensor.readTimeoutMs} ms`,
+            errorMessage: `Error sending ${name} to ${this.name}`,
+            signal
+        });
+        if (ack && !ack.ok) {
+            logger.warning('sensor', `${name} rejected: ${ack.response}`, { device: this.name });
+            throw new DeviceCommandError(`${name} rejected by ${this.name}: ${ack.error}`);
+        }
+        SENSOR_COMMANDS[name].apply?.(this.sensorSettings, args);
+        const entry = {
+            command: name,
+            ...args,
+            timestamp: new Date().toISOString(),
+            acknowledged: Boolean(ack),
+            response: ack ? ack.response : null
+        };
+        this.calibrations.push(entry);
+        logger.info('sensor', `${name} ${ack ? 'acknowledged' : 'sent (the sensor does not acknowledge commands)'}`, { device: this.name });
+        return entry;
+    }
+
+    // Write a frame to the device and pass each frame it sends back to onFrame, until onFrame returns
+    // a result (anything but undefined) or throws; resolves to null after the write when onFrame is null
+    exchangeFrames(frame, onFrame, { timeoutMs, timeoutMessage, errorMessage, signal }) {
+        return new Promise((resolve, reject) => {
+            let timeoutId;
+            const cleanup = () => {
+                clearTimeout(timeoutId);
+                this.parser.removeListener('data', frameHandler);
+                signal?.removeEventListener('abort', abortHandler);
+            };
+            const frameHandler = (data) => {
+                let result;
+                try {
+                    result = onFrame(data);
+                } catch (error) {
+                    cleanup();
+                    reject(error);
+                    return;
+                }
+                if (result !== undefined) {
+                    cleanup();
+                    resolve(result);
+                }
+            };
+            const abortHandler = () => {
+                cleanup();
+                reject(new CancelledError());
+            };
+            if (onFrame) {
+                this.parser.on('data', frameHandler);
+                signal?.addEventListener('abort', abortHandler, { once: true });
+                timeoutId = setTimeout(() => {
+                    cleanup();
+                    reject(new DeviceCommandError(timeoutMessage));
+                }, timeoutMs);
+            }
+            this.port.write(frame, (err) => {
+                if (err) {
+                    cleanup();
+                    reject(new DeviceCommandError(`${errorMessage}: ${err.message}`));
+                } else if (!onFrame) {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    // Stable device ID: the unique ID the firmware reports, else the USB serial number, else the device name
+    updateIdentity() {
+        const uniqueId = /^[A-Za-z0-9_-]+$/.test(this.firmware.uniqueId || '') ? this.firmware.uniqueId : null;
+        const [source, id] = uniqueId ? ['firmware', uniqueId]
+            : this.serialNumber ? ['usb-serial', this.serialNumber.replace(/[^A-Za-z0-9_-]/g, '')]
+                : ['name', this.name];
+        const deviceId = `rpipico-${id.toLowerCase()}`;
+        // Only a change from one board identity to another is news; the name is a stand-in until the board answers
+        if (this.deviceId && this.deviceIdSource !== 'name' && deviceId !== this.deviceId) {
+            logger.info('firmware', `Device ID ${this.deviceId} is now ${deviceId} (from the ${source === 'usb-serial' ? 'USB serial number' : source})`, { device: this.name });
+        }
+        this.deviceId = deviceId;
+        this.deviceIdSource = source;
+    }
+
+    // Look up the USB serial number of the port and ask the firmware for its version, board type and
+    // unique ID; firmware without the info command (or the UART sensor) leaves them unknown
+    async identifyBoard({ signal } = {}) {
+        const portPath = this.port ? this.port.path : this.portPath;
+        if (isEmulatorPath(portPath)) {
+            this.serialNumber = getEmulator(portPath).portInfo.serialNumber;
+        } else if (portPath) {
+            try {
+                const listed = (await SerialPort.list()).find(port => port.path === portPath);
+                this.serialNumber = listed?.serialNumber || this.serialNumber;
+            } catch (err) {
+                this.recordError(err);
+            }
+        }
+        if (this.driver.infoCommand && this.port && this.port.isOpen) {
+            const updatedAt = new Date().toISOString();
+            try {
+                const info = await this.exchangeFrames(this.driver.infoCommand, (data) => {
+                    const reply = this.driver.parseInfo(data);
+                    if (reply && !reply.ok) {
+                        throw new DeviceCommandError(`${this.name} does not report firmware info: ${reply.error}`);
+                    }
+                    return reply || undefined;
+                }, {
+                    timeoutMs: this.config.sensor.readTimeoutMs,
+                    timeoutMessage: `No firmware info from ${this.name} within ${this.config.sensor.readTimeoutMs} ms`,
+                    errorMessage: `Error requesting the firmware info from ${this.name}`,
+                    signal
+                });
+                this.firmware = { version: info.version || null, board: info.board || null, uniqueId: info.id || null, source: 'firmware', updatedAt };
+                logger.info('firmware', `Firmware ${info.version || '(unknown version)'} on ${info.board || 'an unknown board'}${info.id ? ` (ID ${info.id})` : ''}`, { device: this.name });
+            } catch (error) {
+                if (error instanceof CancelledError) {
+                    throw error;
+                }
+                this.firmware = { version: null, board: null, uniqueId: null, source: null, updatedAt };
+                logger.info('firmware', `${error.message}; firmware version unknown`, { device: this.name });
+            }
+        }
+        this.updateIdentity();
+        return this.getDeviceInfo();
+    }
+
+    // Reboot the Pico into its BOOTSEL bootloader with the 1200-baud touch (opening the port at 1200 baud
+    // and closing it) and wait up to firmware.bootselTimeoutMs for its mass-storage drive to appear.
+    // The port is reopened like after an unplug once the board runs firmware again.
+    async enterBootloader({ signal } = {}) {
+        if (!this.driver.bootloaderTouch) {
+            throw new DeviceCommandError(`${this.name} uses the ${this.driverName} driver; there is no Pico firmware to reboot into BOOTSEL`);
+        }
+        if (!this.port || !this.port.isOpen) {
+            throw new DeviceCommandError(`${this.name} is not connected to a board (${this.connectionState}); enter_bootloader needs the real device`);
+        }
+        if (signal?.aborted) {
+            throw new CancelledError();
+        }
+        const port = this.port;
+        const portPath = port.path;
+        logger.info('firmware', `Rebooting into BOOTSEL with the 1200-baud touch on ${portPath}`, { device: this.name });
+        await new Promise((resolve, reject) => {
+            port.update({ baudRate: 1200 }, (err) => err
+                ? reject(new DeviceCommandError(`Error switching ${portPath} to 1200 baud: ${err.message}`))
+                : resolve());
+        });
+        // The board resets when the port closes; close errors mean it is already gone
+        this.port = null;
+        await new Promise(resolve => port.close(() => resolve()));
+        this.scheduleReconnect();
+        const { bootselTimeoutMs } = this.config.firmware;
+        const lookup = isEmulatorPath(portPath) ? () => getEmulator(portPath).bootselDrive : findBootselDrive;
+        const startedAt = Date.now();
+        let drive = lookup();
+        while (!drive && Date.now() - startedAt < bootselTimeoutMs) {
+            await new Promise((resolve, reject) => {
+                const abortHandler = () => {
+                    clearTimeout(timeoutId);
+                    reject(new CancelledError());
+                };
+                const timeoutId = setTimeout(() => {
+                    signal?.removeEventListener('abort', abortHandler);
+                    resolve();
+                }, 250);
+                signal?.addEventListener('abort', abortHandler, { once: true });
+            });
+            drive = lookup();
+        }
+        const waitedMs = Date.now() - startedAt;
+        this.bootloader = {
+            device: this.name,
+            portPath,
+            massStorage: drive ? { found: true, ...drive } : { found: false },
+            waitedMs,
+            at: new Date().toISOString(),
+            message: drive
+                ? `${this.name} is in BOOTSEL mode: copy a UF2 file to ${drive.mountPoint || `${drive.device} (not mounted)`} to update the firmware`
+                : `No BOOTSEL drive appeared within ${bootselTimeoutMs} ms; the firmware may not support the 1200-baud reset, or the drive is not visible to this host`
+        };
+        logger.info('firmware', this.bootloader.message, { device: this.name });
+        return this.bootloader;
+    }
+
+    // Whether the network status can be read from the firmware (a Pico W driver on an open port)
+    canUseFirmwareNetwork() {
+        return this.config.network.provider !== 'host' && this.firmwareNetwork !== false
+            && Boolean(this.driver.encodeNetworkCommand) && Boolean(this.port && this.port.isOpen);
+    }
+
+    // Read the network status from the firmware if it reports one, else from the host interfaces
+    async refreshNetworkStatus({ signal } = {}) {
+        const { provider, interface: interfaceName } = this.config.network;
+        if (this.canUseFirmwareNetwork()) {
+            try {
+                this.network = await this.exchangeFrames(this.driver.encodeNetworkCommand('status'), (data) => {
+                    const frame = this.driver.parseNetworkFrame(data);
+                    if (frame?.type === 'ack' && frame.command === 'status' && !frame.ok) {
+                        throw new DeviceCommandError(`${this.name} does not report its network: ${frame.error}`);
+                    }
+                    return frame?.type === 'status' ? frame.status : undefined;
+                }, {
+                    timeoutMs: this.config.sensor.readTimeoutMs,
+                    timeoutMessage: `No network status from ${this.name} within ${this.config.sensor.readTimeoutMs} ms`,
+                    errorMessage: `Error requesting the network status from ${this.name}`,
+                    signal
+                });
+                this.firmwareNetwork = true;
+                return this.getNetworkStatus();
+            } catch (error) {
+                if (error instanceof CancelledError || provider === 'firmware') {
+                    throw error;
+                }
+                // Not a Pico W (or older firmware): use the host from now on, until the port is reopened
+                this.firmwareNetwork = false;
+                logger.info('network', `${error.message}; reporting the host network instead`, { device: this.name });
+            }
+        }
+        if (provider === 'firmware') {
+            this.network = { ...this.network, state: 'unknown', error: `${this.name} is not connected to a firmware that reports its network`, updatedAt: new Date().toISOString() };
+        } else {
+            this.network = hostNetworkStatus(interfaceName);
+        }
+        return this.getNetworkStatus();
+    }
+
+    // Getters for recorded sensor history
+    getSensorHistory(options) {
+        return this.history.query({ ...options, device: this.name });
+    }
+
+    // Recorded readings in [from, to] rendered in one of the EXPORT_FORMATS, with derived metrics and ISO 8601 UTC timestamps
+    exportSensorData({ format = 'csv', from, to } = {}) {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`Invalid format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+        }
+        const { fromTime, toTime, readings } = this.history.select({ device: this.name, from, to });
+        const rows = readings.map(reading => {
+            // Readings recorded before multiple measurements were supported only have co2Level
+            const measured = reading.measurements || { co2: reading.co2Level };
+            const measurements = Object.fromEntries(Object.entries({ ...measured, ...deriveMeasurements(measured) })
+                .filter(([, value]) => typeof value === 'number' && isFinite(value)));
+            return {
+                timestamp: new Date(reading.timestamp).toISOString(),
+                device: this.name,
+                deviceId: this.deviceId,
+                status: reading.status,
+                source: reading.source || (reading.status === 'data_received' ? 'device' : 'simulation'),
+                measurements
+            };
+        });
+        const metrics = Object.keys(METRICS).filter(name => rows.some(row => row.measurements[name] !== undefined));
+        return {
+            format,
+            mimeType: exportFormat.mimeType,
+            from: new Date(fromTime).toISOString(),
+            to: new Date(toTime).toISOString(),
+            count: rows.length,
+            content: exportFormat.render(rows, metrics)
+        };
+    }
+
+    // Air quality statistics over recorded readings; thresholds default to the CO2 alert rule thresholds
+    analyzeAirQuality({ from, to, thresholds, ventilationDropPpm, ventilationWindowMinutes } = {}) {
+        const { fromTime, toTime, readings } = this.history.select({ device: this.name, from, to });
+        if (!thresholds) {
+            const ruleThresholds = this.alerts.getRules()
+                .filter(rule => rule.metric === 'co2' && rule.enabled)
+                .flatMap(rule => [rule.warn, rule.critical])
+                .filter(threshold => threshold !== null);
+            thresholds = ruleThresholds.length > 0 ? [...new Set(ruleThresholds)].sort((a, b) => a - b) : [1000, 1500];
+        }
+        return {
+            device: this.name,
+            ...analyzeAirQuality(readings, {
+                fromTime,
+                toTime,
+                thresholds,
+                dropPpm: ventilationDropPpm,
+                windowMs: ventilationWindowMinutes === undefined ? undefined : ventilationWindowMinutes * 60000
+            })
+        };
+    }
+
+    // Summary for the device list
+    getSummary() {
+        return {
+            name: this.name,
+            deviceId: this.deviceId,
+            portPath: this.port ? this.port.path : this.portPath,
+            driver: this.driverName,
+            mode: this.port ? 'serial' : 'simulation',
+            connected: Boolean(this.port && this.port.isOpen),
+            connectionState: this.connectionState,
+            co2Level: this.co2Level,
+            status: this.sensorStatus,
+            lastUpdate: this.lastSensorUpdate.toISOString()
+        };
+    }
+
+    // Getters for network status (as of the last refreshNetworkStatus())
+    getNetworkStatus() {
+        const network = this.network;
+        return {
+            wifiConnected: network.state === 'connected' && !this.wifiDropped,
+            wifiState: this.wifiDropped ? 'disconnected' : network.state,
+            wifiSSID: network.ssid,
+            wifiRSSI: network.rssi,
+            ipAddress: network.ip,
+            networkSource: network.source,
+            networkInterface: network.interface,
+            networkError: this.wifiDropped ? 'WiFi dropped (simulated fault)' : network.error,
+            networkUpdatedAt: network.updatedAt,
+            wifiReconnect: this.wifiReconnect,
+            mqttConfigured: this.mqtt.configured,
+            mqttConnected: this.mqtt.connected && !this.mqttDropped,
+            mqttBroker: this.mqtt.broker,
+            mqttPort: this.mqtt.port,
+            mqttTopic: this.mqtt.config.topic,
+            mqttLastError: this.mqtt.lastError,
+            mqttLastPublish: this.mqtt.lastPublish ? this.mqtt.lastPublish.toISOString() : null
+        };
+    }
+
+    // Method to publish the current sensor data to MQTT
+    publishToMQTT() {
+        if (this.mqttDropped) {
+            return Promise.resolve({
+                success: false,
+                message: 'MQTT connection dropped (simulated fault)'
+            });
+        }
+        return this.mqtt.publish({
+            device: this.name,
+            deviceId: this.deviceId,
+            co2Level: this.co2Level,
+            unit: 'ppm',
+            measurements: this.measurements,
+            timestamp: this.lastSensorUpdate.toISOString(),
+            status: this.sensorStatus,
+            source: this.sensorStatus === 'data_received' ? 'device' : 'simulation'
+        });
+    }
+
+    // Have the firmware reconnect to WiFi and follow its status reports until it is connected or
+    // has failed; onProgress gets { progress, total, message } for each step
+    async reconnectWiFi({ signal, onProgress } = {}) {
+        if (!this.canUseFirmwareNetwork()) {
+            throw new DeviceCommandError(this.port && this.port.isOpen
+                ? `${this.name} has no WiFi firmware to reconnect (network status comes from the host)`
+                : `${this.name} is not connected to a WiFi board (${this.connectionState}); reconnect_wifi needs the real device`);
+        }
+        if (this.wifiReconnect?.state === 'running') {
+            throw new DeviceCommandError(`A WiFi reconnect of ${this.name} is already running`);
+        }
+        const { reconnectTimeoutMs } = this.config.network;
+        const startedAt = Date.now();
+        const reconnect = { state: 'running', startedAt: new Date(startedAt).toISOString(), steps: [] };
+        this.wifiReconnect = reconnect;
+        // Acknowledgement, then connecting, then connected or failed
+        const step = (message) => {
+            reconnect.steps.push({ at: new Date().toISOString(), message });
+            logger.info('network', message, { device: this.name });
+            onProgress?.({ progress: reconnect.steps.length, total: 3, message });
+        };
+        // Status lines before the acknowledgement answer earlier status requests, not this reconnect
+        let acknowledged = false;
+        try {
+            const status = await this.exchangeFrames(this.driver.encodeNetworkCommand('reconnect'), (data) => {
+                const frame = this.driver.parseNetworkFrame(data);
+                if (frame?.type === 'ack' && frame.command === 'reconnect') {
+                    if (!frame.ok) {
+                        throw new DeviceCommandError(`WiFi reconnect rejected by ${this.name}: ${frame.error}`);
+                    }
+                    acknowledged = true;
+                    step('Reconnect command acknowledged');
+                } else if (frame?.type === 'status' && acknowledged) {
+                    this.network = frame.status;
+                    step(`WiFi ${frame.status.state}${frame.status.ssid ? ` (${frame.status.ssid})` : ''}`);
+                    if (frame.status.state === 'failed') {
+                        throw new DeviceCommandError(`WiFi reconnect of ${this.name} failed${frame.status.error ? `: ${frame.status.error}` : ''}`);
+                    }
+                    if (frame.status.state === 'connected') {
+                        return frame.status;
+                    }
+                }
+                return undefined;
+            }, {
+                timeoutMs: reconnectTimeoutMs,
+                timeoutMessage: `WiFi reconnect of ${this.name} did not finish within ${reconnectTimeoutMs} ms`,
+                errorMessage: `Error sending the WiFi reconnect to ${this.name}`,
+                signal
+            });
+            reconnect.state = 'connected';
+            return {
+                success: true,
+                ssid: status.ssid,
+                ipAddress: status.ip,
+                rssi: status.rssi,
+                durationMs: Date.now() - startedAt,
+                steps: reconnect.steps
+            };
+        } catch (error) {
+            reconnect.state = error instanceof CancelledError ? 'cancelled' : 'failed';
+            reconnect.error = error.message;
+            throw error;
+        } finally {
+            reconnect.finishedAt = new Date().toISOString();
+        }
+    }
+
+    // Method to reconnect to the MQTT broker
+    reconnectMQTT() {
+        if (!this.getNetworkStatus().wifiConnected) {
+            return {
+                success: false,
+                message: 'WiFi not connected'
+            };
+        }
+        if (!this.mqtt.configured) {
+            return {
+                success: false,
+                message: 'MQTT not configured (set mqtt.url)'
+            };
+        }
+        this.mqtt.reconnect();
+        return {
+            success: true,
+            message: 'MQTT reconnection initiated'
+        };
+    }
+}
+
+// Error thrown when no reading can be returned under the data policy
+class DataUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DataUnavailableError';
+    }
+}
+
+// Error thrown when the sensor cannot carry out a command (not connected, rejected or not acknowledged)
+class DeviceCommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DeviceCommandError';
+    }
+}
+
+// Error thrown when a pending operation is aborted, e.g. by a cancelled request
+class CancelledError extends Error {
+    constructor(message = 'Request cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+// Error thrown when a request names a device that is not registered
+class UnknownDeviceError extends Error {
+    constructor(name) {
+        super(`Unknown device: ${name}`);
+        this.name = 'UnknownDeviceError';
+    }
+}
+
+// Error reported to the client as a JSON-RPC error response with the given code
+class McpError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+    }
+}
+
+// Resources exposed for every device, keyed by the path after device://<device name>/
+const DEVICE_RESOURCES = {
+    'device/info': {
+        name: 'Device Information',
+        description: 'Basic information about the device including ID, firmware version, and uptime'
+    },
+    'sensor/data': {
+        name: 'Sensor Data',
+        description: 'Current CO2 ppm readings and other measurements with units, depending on the sensor driver. Accepts a metrics query parameter, e.g. device://sensor/data?metrics=co2,temperature'
+    },
+    'sensor/history': {
+        name: 'Sensor History',
+        description: 'Recorded CO2 ppm readings for the last 24 hours. Accepts query parameters from, to, limit and resolution (raw, 1m, 5m, 1h), e.g. device://sensor/history?from=8h&resolution=5m'
+    },
+    'network/status': {
+        name: 'Network Connection Status',
+        description: 'WiFi and MQTT connection status information'
+    },
+    'power/status': {
+        name: 'Power Status',
+        description: 'Power supply (USB or battery), supply voltage, battery level, estimated runtime and power mode'
+    },
+    'device/health': {
+        name: 'Device Health',
+        description: 'Serial connection state, reconnect count, last error, last real reading time and the ratio of real to simulated readings'
+    }
+};
+
+// Resource templates for every device, keyed by the path after device://<device name>/;
+// the URI template adds the query parameters
+const DEVICE_RESOURCE_TEMPLATES = {
+    'sensor/export': {
+        name: 'Sensor Data Export',
+        query: '{?format,from,to}',
+        mimeType: 'text/csv',
+        description: `Recorded readings with every measurement, device ID, status and source as ${Object.keys(EXPORT_FORMATS).join(', ')} (format, default csv) between from and to (ISO 8601 or durations ago such as 8h; default: the last 24 hours)`
+    }
+};
+
+// Split a resource URI into its kind, device name and query string; returns null for unknown URIs
+// (device://alerts/active, device://audit/log, device://<resource> or device://<device name>/<resource>)
+const parseResourceUri = (uri) => {
+    const [resourcePath, query] = uri.split('?');
+    if (resourcePath === 'device://alerts/active' || resourcePath === 'device://audit/log') {
+        return { kind: resourcePath.slice('device://'.length), deviceName: null, query };
+    }
+    const match = resourcePath.match(/^device:\/\/(?:([^/]+)\/)?([^/]+\/[^/]+)$/);
+    if (!match || !(DEVICE_RESOURCES[match[2]] || DEVICE_RESOURCE_TEMPLATES[match[2]])) {
+        return null;
+    }
+    return { kind: match[2], deviceName: match[1], query };
+};
+
+// Registry of sensor devices: an explicit list from serial.devices or every port matching the VID/PID
+class DeviceRegistry extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.devices = new Map();
+        this.history = new SensorHistory(config.history.file, config.history.retentionDays);
+        this.mqtt = new MqttPublisher(config.mqtt);
+        this.mqtt.connect();
+        this.alerts = new AlertManager(config.alerts.rules);
+        // Tool calls of all client sessions are audited and rate limited together
+        this.audit = new AuditLog(config.audit);
+        this.rateLimiter = new ToolRateLimiter(config.tools.rateLimits);
+        // Every client session listens for device and alert events
+        this.setMaxListeners(0);
+        this.alerts.setMaxListeners(0);
+        this.lastScanError = null;
+        this.discovered = false;
+        // Resolves once the initial set of devices is known
+        this.ready = this.discover().then(() => {
+            this.discovered = true;
+        });
+        // Watch for boards being plugged in or removed (discovery mode only)
+        if (config.serial.devices.length === 0 && config.serial.rescanIntervalMs > 0) {
+            this.ready.then(() => {
+                this.rescanTimer = setInterval(() => this.rescan(), config.serial.rescanIntervalMs);
+            });
+        }
+    }
+
+    // Serial ports matching the configured VID/PID, sorted by path
+    async listMatchingPorts() {
+        try {
+            const ports = await SerialPort.list();
+            this.lastScanError = null;
+            return ports.filter(port => matchesSensorPort(port, this.config.serial)).sort((a, b) => a.path.localeCompare(b.path));
+        } catch (err) {
+            // Log each distinct error once instead of on every rescan
+            if (err.message !== this.lastScanError) {
+                logger.warning('serial', `Error listing serial ports: ${err.message}`);
+                this.lastScanError = err.message;
+            }
+            return null;
+        }
+    }
+
+    async discover() {
+        const configured = this.config.serial.devices;
+        if (configured.length > 0) {
+            for (const device of configured) {
+                this.add(device.name, device.path, device.driver);
+            }
+            return;
+        }
+        const matches = await this.listMatchingPorts() || [];
+        if (matches.length === 0) {
+            // No board found: a single device that looks for a port on first use or runs in simulation mode
+            this.add('default', null);
+            return;
+        }
+        matches.forEach((portInfo, index) => {
+            this.add(matches.length === 1 ? 'default' : `pico-${index + 1}`, portInfo.path, undefined, portInfo.serialNumber);
+        });
+    }
+
+    // Add devices for newly plugged boards and remove devices whose board has gone
+    async rescan() {
+        const matches = await this.listMatchingPorts();
+        if (!matches) {
+            return;
+        }
+        // A board belongs to a device by path or, if it moved to another path, by USB serial number
+        const owns = (device, portInfo) => portInfo.path === device.portPath
+            || Boolean(device.serialNumber && portInfo.serialNumber === device.serialNumber);
+        for (const device of [...this.devices.values()]) {
+            // The last device is kept (and keeps trying to reconnect) so there is always one to query
+            if (device.portPath && !matches.some(portInfo => owns(device, portInfo)) && this.devices.size > 1) {
+                this.remove(device.name);
+            }
+        }
+        for (const portInfo of matches) {
+            if ([...this.devices.values()].some(device => owns(device, portInfo))) {
+                continue;
+            }
+            // A simulated device without a port takes over the first board that appears
+            const idle = [...this.devices.values()].find(device => !device.portPath && !device.port);
+            if (idle) {
+                idle.serialNumber = portInfo.serialNumber || null;
+                logger.info('serial', `Serial port found: ${portInfo.path}`, { device: idle.name });
+                idle.openPort(portInfo.path);
+                continue;
+            }
+            let index = 1;
+            while (this.devices.has(`pico-${index}`)) {
+                index++;
+            }
+            logger.info('serial', `Serial port found: ${portInfo.path}, adding device pico-${index}`);
+            this.add(`pico-${index}`, portInfo.path, undefined, portInfo.serialNumber);
+        }
+    }
+
+    add(name, portPath, driver, serialNumber) {
+        const device = new DeviceState(this.config, { name, portPath, serialNumber, driver, history: this.history, mqtt: this.mqtt, alerts: this.alerts });
+        this.devices.set(name, device);
+        // Open known ports right away so that disconnects are noticed
+        if (portPath) {
+            device.openPort(portPath);
+        }
+        // The initial set of devices is not a change
+        if (this.discovered) {
+            this.emit('listChanged');
+        }
+        return device;
+    }
+
+    remove(name) {
+        const device = this.devices.get(name);
+        if (!device) {
+            return;
+        }
+        logger.info('serial', `Serial port ${device.portPath} removed, removing device`, { device: name });
+        device.close();
+        this.devices.delete(name);
+        this.emit('listChanged');
+    }
+
+    // Look up a device by name; the first device is used when no name is given
+    async get(name) {
+        await this.ready;
+        if (name === undefined || name === null || name === '') {
+            return this.devices.values().next().value;
+        }
+        const device = this.devices.get(name);
+        if (!device) {
+            throw new UnknownDeviceError(name);
+        }
+        return device;
+    }
+
+    async list() {
+        await this.ready;
+        return [...this.devices.values()];
+    }
+
+    close() {
+        clearInterval(this.rescanTimer);
+        this.mqtt.close();
+    }
+}
+
+// Transport over stdin/stdout: one JSON-RPC message per line
+class StdioTransport {
+    constructor() {
+        // Set by the server / owner; onend is called when stdin reaches its end
+        this.onmessage = null;
+        this.onend = null;
+        this.onclose = null;
+        this.closed = false;
+    }
+
+    start() {
+        // Create readline interface for stdin/stdout
+        this.rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            terminal: false
+        });
+        // Listen for incoming messages
+        this.rl.on('line', (line) => {
+            this.onmessage?.(line);
+        });
+        // The client closed stdin (or the pipe into the server ended)
+        this.rl.on('close', () => {
+            if (!this.closed) {
+                this.onend?.();
+            }
+        });
+    }
+
+    // stdout carries nothing but these messages
+    send(message) {
+        process.stdout.write(JSON.stringify(message) + '\n');
+    }
+
+    // reason is 'end' when the session ended because stdin did
+    close(reason = 'closed') {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.rl.close();
+        this.onclose?.(reason);
+    }
+}
+
+// One MCP session over streamable HTTP: responses go back on the POST that carried the
+// request, everything else (notifications) goes to the session's SSE stream opened with GET
+// JSON-RPC error response for a message that is not a valid request, notification or response (null if valid)
+function invalidMessageError(message) {
+    const invalid = (id, reason) => ({ jsonrpc: '2.0', id, error: { code: ErrorCode.InvalidRequest, message: reason } });
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return invalid(null, 'Invalid Request');
+    }
+    if (message.id !== undefined && message.id !== null && typeof message.id !== 'string' && typeof message.id !== 'number') {
+        return invalid(null, 'Invalid Request: id must be a string or number');
+    }
+    const isResponse = message.result !== undefined || message.error !== undefined;
+    if (!isResponse && typeof message.method !== 'string') {
+        return invalid(message.id ?? null, 'Invalid Request: missing method');
+    }
+    return null;
+}
+
+class HttpSessionTransport {
+    constructor(id) {
+        this.id = id;
+        // POST contexts waiting for responses, keyed by the id given to the request in this session
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        // Open SSE response, if any
+        this.stream = null;
+        this.lastActivity = Date.now();
+        this.closed = false;
+        this.onmessage = null;
+        this.onclose = null;
+    }
+
+    // The id given in this session to the latest pending request the client sent with clientId
+    sessionRequestId(clientId) {
+        let found;
+        for (const [id, pending] of this.pending) {
+            if (pending.id === clientId) {
+                found = id;
+            }
+        }
+        return found;
+    }
+
+    send(message) {
+        const isResponse = message.result !== undefined || message.error !== undefined;
+        const pending = isResponse ? this.pending.get(message.id) : undefined;
+        if (pending) {
+            const { post, id } = pending;
+            this.pending.delete(message.id);
+            // Answer with the id the client used
+            post.responses.push({ ...message, id });
+            this.answer(post);
+            return;
+        }
+        // Messages are only delivered while the client has a stream open
+        if (this.stream) {
+            this.stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+        }
+    }
+
+    // The server sends no response to a cancelled request, so its POST stops waiting for one
+    cancel(id) {
+        const pending = this.pending.get(id);
+        if (!pending) {
+            return;
+        }
+        this.pending.delete(id);
+        pending.post.expected--;
+        this.answer(pending.post);
+    }
+
+    // Write the POST's response once every request in it is answered (or cancelled)
+    answer(post) {
+        if (post.responses.length < post.expected || post.res.writableEnded) {
+            return;
+        }
+        if (post.expected === 0) {
+            post.res.writeHead(202);
+            post.res.end();
+        } else {
+            writeJson(post.res, 200, post.batch ? post.responses : post.responses[0]);
+        }
+    }
+
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+        this.onclose?.();
+    }
+}
+
+// Write a JSON HTTP response
+const writeJson = (res, status, body) => {
+    if (res.writableEnded) {
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+// Host names that always refer to this machine
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Host name of a Host header or origin URL, without IPv6 brackets (null if it cannot be parsed)
+const hostnameOf = (value) => {
+    try {
+        return new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    } catch (error) {
+        return null;
+    }
+};
+
+// MCP streamable HTTP transport (POST for messages, GET for the SSE stream, DELETE to end a session)
+// with optional bearer-token auth; every session gets its own server sharing the device registry.
+// Origin and Host headers are checked against DNS rebinding, as the MCP specification requires.
+class HttpTransport {
+    constructor(config, createServer) {
+        this.config = config;
+        this.createServer = createServer;
+        this.sessions = new Map();
+    }
+
+    listen() {
+        const { port, host } = this.config.http;
+        this.httpServer = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch((error) => {
+                logger.error('http', `HTTP error: ${error.message}`);
+                writeJson(res, 500, { jsonrpc: '2.0', id: null, error: { code: ErrorCode.InternalError, message: 'Internal error' } });
+            });
+        });
+        this.httpServer.on('error', (error) => {
+            logger.error('http', `HTTP server error: ${error.message}`);
+        });
+        this.httpServer.listen(port, host, () => {
+            logger.info('http', `HTTP transport listening on http://${host}:${port}${this.config.http.path}`);
+        });
+        // Close sessions that have been idle for too long
+        this.cleanupTimer = setInterval(() => {
+            const cutoff = Date.now() - this.config.http.sessionTimeoutMs;
+            for (const session of this.sessions.values()) {
+                if (!session.transport.stream && session.transport.lastActivity < cutoff) {
+                    session.server.close();
+                }
+            }
+        }, 60 * 1000);
+    }
+
+    // Browsers send an Origin: only localhost and http.allowedOrigins may call the server from a web page
+    originAllowed(req) {
+        const origin = req.headers.origin;
+        if (!origin) {
+            return true;
+        }
+        const hostname = hostnameOf(origin);
+        return LOOPBACK_HOSTS.includes(hostname) || this.config.http.allowedOrigins.includes(origin.replace(/\/$/, ''));
+    }
+
+    // The Host must name this server, so a foreign domain resolved to it (DNS rebinding) is refused
+    hostAllowed(req) {
+        const hostname = req.headers.host ? hostnameOf(req.headers.host) : null;
+        if (!hostname) {
+            return false;
+        }
+        const { host, allowedHosts } = this.config.http;
+        if (LOOPBACK_HOSTS.includes(hostname) || hostname === host.toLowerCase() || allowedHosts.map(name => name.toLowerCase()).includes(hostname)) {
+            return true;
+        }
+        // Listening on all interfaces: the addresses and name of this machine
+        if (['0.0.0.0', '::'].includes(host)) {
+            const addresses = Object.values(os.networkInterfaces()).flat().map(address => address.address.toLowerCase());
+            return addresses.includes(hostname) || hostname === os.hostname().toLowerCase();
+        }
+        return false;
+    }
+
+    // Constant-time bearer token check
+    authorized(req) {
+        const token = this.config.http.authToken;
+        if (!token) {
+            return true;
+        }
+        const expected = Buffer.from(`Bearer ${token}`);
+        const actual = Buffer.from(req.headers.authorization || '');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== this.config.http.path) {
+            writeJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        if (!this.originAllowed(req) || !this.hostAllowed(req)) {
+            logger.warning('http', `Refused HTTP request with Origin ${req.headers.origin || '(none)'} and Host ${req.headers.host || '(none)'}`);
+            writeJson(res, 403, { error: 'Forbidden origin or host' });
+            return;
+        }
+        if (!this.authorized(req)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            writeJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+        const sessionId = req.headers['mcp-session-id'];
+        const session = sessionId ? this.sessions.get(sessionId) : undefined;
+        if (sessionId && !session) {
+            writeJson(res, 404, { jsonrpc: '2.0', id: null, error: { code: ErrorCode.InvalidRequest, message: 'Unknown session' } });
+            return;
+        }
+        if (session) {
+            session.transport.lastActivity = Date.now();
+        }
+        switch (req.method) {
+            case 'POST':
+                await this.handlePost(req, res, session);
+                break;
+            case 'GET':
+                this.handleGet(req, res, session);
+                break;
+            case 'DELETE':
+                if (!session) {
+                    writeJson(res, 400, { error: 'Missing Mcp-Session-Id header' });
+                    return;
+                }
+                session.server.close();
+                res.writeHead(200);
+                res.end();
+                break;
+            default:
+                res.writeHead(405, { Allow: 'GET, POST, DELETE' });
+                res.end();
+        }
+    }
+
+    async handlePost(req, res, session) {
+        const { maxBodyBytes } = this.config.http;
+        const tooLarge = () => {
+            // Stop reading the rest of the body once the client has the answer
+            res.setHeader('Connection', 'close');
+            res.on('finish', () => req.destroy());
+            writeJson(res, 413, { jsonrpc: '2.0', id: null, error: { code: ErrorCode.InvalidRequest, message: `Request body larger than ${maxBodyBytes} bytes` } });
+        };
+        if (Number(req.headers['content-length']) > maxBodyBytes) {
+            tooLarge();
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > maxBodyBytes) {
+                tooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        }
+        const body = Buffer.concat(chunks).toString('utf8');
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            writeJson(res, 400, { jsonrpc: '2.0', id: null, error: { code: ErrorCode.ParseError, message: 'Parse error' } });
+            return;
+        }
+        const batch = Array.isArray(payload);
+        // Malformed messages are answered right away, the others go to the session
+        const errors = [];
+        const messages = [];
+        for (const message of batch ? payload : [payload]) {
+            const error = invalidMessageError(message);
+            if (error) {
+                errors.push(error);
+            } else {
+                messages.push(message);
+            }
+        }
+        if (!session) {
+            // A new session starts with an initialize request
+            if (!messages.some(message => message.method === 'initialize')) {
+                writeJson(res, 400, { jsonrpc: '2.0', id: null, error: { code: ErrorCode.InvalidRequest, message: 'Missing Mcp-Session-Id header' } });
+                return;
+            }
+            session = this.createSession();
+            res.setHeader('Mcp-Session-Id', session.transport.id);
+        }
+        const { transport } = session;
+        const requests = messages.filter(message => message.method && message.id !== undefined && message.id !== null);
+        // Requests get an id of their own within the session, so that clients may reuse ids in concurrent POSTs
+        const ids = new Map(requests.map(request => [request, transport.nextRequestId++]));
+        if (requests.length === 0 && errors.length === 0) {
+            // Only notifications or responses: accepted without a body
+            res.writeHead(202);
+            res.end();
+        } else if (requests.length === 0) {
+            writeJson(res, 200, batch ? errors : errors[0]);
+        } else {
+            const post = { res, batch, expected: requests.length + errors.length, responses: errors };
+            for (const [request, id] of ids) {
+                transport.pending.set(id, { post, id: request.id });
+            }
+            res.on('close', () => {
+                for (const id of ids.values()) {
+                    transport.pending.delete(id);
+                }
+            });
+        }
+        for (const message of messages) {
+            if (ids.has(message)) {
+                transport.onmessage?.(JSON.stringify({ ...message, id: ids.get(message) }));
+            } else if (message.method === 'notifications/cancelled') {
+                // The client names the request by its own id
+                const requestId = transport.sessionRequestId(message.params?.requestId);
+                transport.onmessage?.(JSON.stringify({ ...message, params: { ...message.params, requestId } }));
+                transport.cancel(requestId);
+            } else {
+                transport.onmessage?.(JSON.stringify(message));
+            }
+        }
+    }
+
+    handleGet(req, res, session) {
+        if (!session) {
+            writeJson(res, 400, { error: 'Missing Mcp-Session-Id header' });
+            return;
+        }
+        if (!(req.headers.accept || '').includes('text/event-stream')) {
+            writeJson(res, 406, { error: 'Accept must include text/event-stream' });
+            return;
+        }
+        // Only one stream per session; a new GET replaces the old stream
+        if (session.transport.stream) {
+            session.transport.stream.end();
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        session.transport.stream = res;
+        // Keep proxies from closing an idle stream
+        const keepAlive = setInterval(() => res.write(': keepalive\n\n'), 25 * 1000);
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            if (session.transport.stream === res) {
+                session.transport.stream = null;
+                session.transport.lastActivity = Date.now();
+            }
+        });
+    }
+
+    createSession() {
+        const transport = new HttpSessionTransport(crypto.randomUUID());
+        const server = this.createServer(transport);
+        const session = { transport, server };
+        this.sessions.set(transport.id, session);
+        transport.onclose = () => {
+            this.sessions.delete(transport.id);
+        };
+        logger.info('http', `HTTP session ${transport.id} started`);
+        return session;
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+        for (const session of [...this.sessions.values()]) {
+            session.server.close();
+        }
+        this.httpServer?.close();
+    }
+}
+
+// Optional tool argument selecting the device a tool acts on
+const DEVICE_ARGUMENT = {
+    device: {
+        type: 'string',
+        description: 'Device name as shown by list_devices (default: the first device)'
+    }
+};
+
+// Tool argument confirming a command that cannot be undone or takes the board offline
+const CONFIRM_ARGUMENT = {
+    confirm: {
+        type: 'boolean',
+        description: 'Must be true to carry out the command; without it the tool only explains what the command does'
+    }
+};
+
+// Path of an export file: a relative path inside export.dir, without ".." segments; missing directories
+// are created. Symbolic links, which could lead out of the directory, are refused.
+const resolveExportPath = async (exportDir, file) => {
+    if (!exportDir) {
+        throw new McpError(ErrorCode.InvalidParams, 'File exports are disabled (export.dir is empty); leave out path to get the export as text');
+    }
+    const segments = file.split(/[\\/]/);
+    const names = segments.filter(segment => segment !== '' && segment !== '.');
+    if (path.isAbsolute(file) || file.startsWith('~') || segments.includes('..') || ['', '.'].includes(segments[segments.length - 1])) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid path ${JSON.stringify(file)}: use a file path relative to the export directory, without ".."`);
+    }
+    let filePath = exportDir;
+    try {
+        await fs.promises.mkdir(exportDir, { recursive: true });
+        for (const [index, name] of names.entries()) {
+            filePath = path.join(filePath, name);
+            const isFile = index === names.length - 1;
+            const stat = await fs.promises.lstat(filePath).catch(error => (error.code === 'ENOENT' ? null : Promise.reject(error)));
+            if (stat && (isFile ? !stat.isFile() : !stat.isDirectory())) {
+                throw new McpError(ErrorCode.InvalidParams, `Invalid path ${JSON.stringify(file)}: ${path.relative(exportDir, filePath)} is not a regular ${isFile ? 'file' : 'directory'}`);
+            }
+            if (!stat && !isFile) {
+                await fs.promises.mkdir(filePath);
+            }
+        }
+    } catch (error) {
+        throw error instanceof McpError ? error : new McpError(ErrorCode.InvalidParams, `Cannot use the export directory: ${error.code || error.message}`);
+    }
+    return filePath;
+};
+
+// Tools that only run when called with confirm: true, and the explanation returned without it
+const TOOL_CONFIRMATIONS = {
+    ...Object.fromEntries(Object.entries(SENSOR_COMMANDS).map(([name, command]) => [name, `${command.confirmation} This cannot be undone.`])),
+    enter_bootloader: 'Entering the bootloader reboots the Pico into BOOTSEL mode: it stops measuring and shows up as a USB drive until a UF2 firmware file is copied to it or it is power-cycled. The serial port goes away and is reopened once the board runs firmware again.'
+};
+
+// MCP tool annotations of tools that only read: hints for clients, e.g. whether to ask the user before a call
+// (destructiveHint: may change or overwrite state that cannot be restored; idempotentHint: repeating a call
+// with the same arguments has no further effect). tools.readOnly only allows tools with readOnlyHint.
+const READ_ONLY_ANNOTATIONS = { readOnlyHint: true, destructiveHint: false, idempotentHint: true };
+
+// Tools offered by tools/list; tools/call arguments are validated against the input schemas
+const TOOLS = [
+    {
+        name: 'get_sensor_data',
+        description: 'Get current sensor readings: CO2 ppm and, depending on the sensor driver, temperature, humidity and derived dew point and absolute humidity',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                metrics: {
+                    type: 'array',
+                    items: {
+                        type: 'string',
+                        enum: Object.keys(METRICS)
+                    },
+                    description: 'Only return these measurements (default: all)'
+                }
+            },
+            required: []
+        }
+    },
+    {
+        name: 'get_sensor_history',
+        description: 'Get recorded CO2 ppm readings over a time range, optionally downsampled into buckets with min/max/avg',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                from: {
+                    type: 'string',
+                    description: 'Start of the range: ISO 8601 time or a duration ago such as "8h", "30m", "2d" (default: 24h)'
+                },
+                to: {
+                    type: 'string',
+                    description: 'End of the range: ISO 8601 time or a duration ago (default: now)'
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Maximum number of points to return; the most recent points are kept (default: 500)'
+                },
+                resolution: {
+                    type: 'string',
+                    enum: Object.keys(HISTORY_RESOLUTIONS),
+                    description: 'Downsampling bucket size (default: raw)'
+                }
+            },
+            required: []
+        }
+    },
+    {
+        name: 'analyze_air_quality',
+        description: 'Analyze recorded CO2 readings in a time window: min/max/mean/median/p95, time above thresholds, time per air quality category (good/moderate/poor/very_poor), rate of change, and ventilation events (sharp drops)',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                from: {
+                    type: 'string',
+                    description: 'Start of the window: ISO 8601 time or a duration ago such as "8h", "30m", "2d" (default: 24h)'
+                },
+                to: {
+                    type: 'string',
+                    description: 'End of the window: ISO 8601 time or a duration ago (default: now)'
+                },
+                thresholds: {
+                    type: 'array',
+                    items: {
+                        type: 'number'
+                    },
+                    description: 'CO2 thresholds in ppm to report time above (default: the CO2 alert thresholds)'
+                },
+                ventilationDropPpm: {
+                    type: 'number',
+                    minimum: 1,
+                    description: 'Minimum CO2 drop in ppm that counts as a ventilation event (default: 200)'
+                },
+                ventilationWindowMinutes: {
+                    type: 'number',
+                    minimum: 1,
+                    description: 'Maximum duration of the drop in minutes (default: 10)'
+                }
+            },
+            required: []
+        }
+    },
+    {
+        name: 'export_sensor_data',
+        description: 'Export recorded readings (every measurement, device ID, status and source, ISO 8601 UTC timestamps) as CSV, JSON or InfluxDB line protocol, returned as text or written to a file in the server\'s export directory',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                format: {
+                    type: 'string',
+                    enum: Object.keys(EXPORT_FORMATS),
+                    description: 'Output format (default: csv)'
+                },
+                from: {
+                    type: 'string',
+                    description: 'Start of the range: ISO 8601 time or a duration ago such as "8h", "30m", "2d" (default: 24h)'
+                },
+                to: {
+                    type: 'string',
+                    description: 'End of the range: ISO 8601 time or a duration ago (default: now)'
+                },
+                path: {
+                    type: 'string',
+                    description: 'Write the export to this file, relative to the export directory (e.g. office/week.csv), instead of returning it; recommended for long ranges. Overwrites an existing file'
+                }
+            },
+            required: []
+        }
+    },
+    {
+        name: 'get_device_info',
+        description: 'Get information about the device',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: { ...DEVICE_ARGUMENT },
+            required: []
+        }
+    },
+    {
+        name: 'get_network_status',
+        description: 'Get WiFi status (SSID, signal strength, IP address, state) from the Pico W firmware, or the host network interface, and the MQTT connection status',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: { ...DEVICE_ARGUMENT },
+            required: []
+        }
+    },
+    {
+        name: 'publish_mqtt_data',
+        description: 'Publish current sensor data (device ID, ppm, timestamp, data status) as JSON to the configured MQTT topic',
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: { ...DEVICE_ARGUMENT },
+            required: []
+        }
+    },
+    {
+        name: 'reconnect_wifi',
+        description: 'Have the Pico W firmware reconnect to WiFi; waits until it is connected or has failed, reporting each step (as progress notifications when the request has a progressToken)',
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: { ...DEVICE_ARGUMENT },
+            required: []
+        }
+    },
+    {
+        name: 'reconnect_mqtt',
+        description: 'Force a reconnect to the configured MQTT broker',
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: { ...DEVICE_ARGUMENT },
+            required: []
+        }
+    },
+    {
+        name: 'set_power_mode',
+        description: 'Set the power mode, which sets how often the device is sampled: normal, low-power or ultra-low. Longer intervals save battery; get_sensor_data then returns the last sample until the next one',
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                mode: {
+                    type: 'string',
+                    enum: Object.keys(POWER_MODES),
+                    description: Object.entries(POWER_MODES).map(([name, mode]) => `${name}: ${mode.description}`).join('; ')
+                }
+            },
+            required: ['mode']
+        }
+    },
+    {
+        name: 'calibrate_zero',
+        description: 'Zero-point calibration: make the current reading the 400 ppm baseline. Only after at least 20 minutes in fresh outdoor air. Cannot be undone; requires confirm: true',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                ...CONFIRM_ARGUMENT
+            },
+            required: []
+        }
+    },
+    {
+        name: 'calibrate_span',
+        description: 'Span calibration: make the current reading the given CO2 concentration of a reference gas. Cannot be undone; requires confirm: true',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                ppm: {
+                    type: 'integer',
+                    minimum: 1000,
+                    maximum: 5000,
+                    description: 'CO2 concentration of the reference gas in ppm (usually 2000)'
+                },
+                ...CONFIRM_ARGUMENT
+            },
+            required: ['ppm']
+        }
+    },
+    {
+        name: 'set_auto_baseline',
+        description: 'Turn the sensor\'s automatic baseline correction (ABC) on or off. Requires confirm: true',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                enabled: {
+                    type: 'boolean',
+                    description: 'Whether automatic baseline correction is on'
+                },
+                ...CONFIRM_ARGUMENT
+            },
+            required: ['enabled']
+        }
+    },
+    {
+        name: 'set_detection_range',
+        description: 'Set the sensor\'s detection range to 0-2000 or 0-5000 ppm. Requires confirm: true',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                range: {
+                    type: 'integer',
+                    enum: [2000, 5000],
+                    description: 'Upper end of the detection range in ppm'
+                },
+                ...CONFIRM_ARGUMENT
+            },
+            required: ['range']
+        }
+    },
+    {
+        name: 'enter_bootloader',
+        description: 'Reboot the Pico into its BOOTSEL bootloader for a firmware update (1200-baud touch) and report the mass-storage drive it shows up as. Requires confirm: true',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                ...CONFIRM_ARGUMENT
+            },
+            required: []
+        }
+    },
+    {
+        name: 'start_simulation_scenario',
+        description: 'Start a simulation scenario on a simulated device: built-in room profiles, a scenario file or a CSV replay, optionally with injected faults (serial timeouts, garbage lines, disconnects, WiFi/MQTT drops, battery drain). Deterministic when seeded',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                scenario: {
+                    type: 'string',
+                    description: `Built-in scenario (${Object.keys(SIMULATION_SCENARIOS).join(', ')}), or the name of a JSON/YAML scenario file or a CSV file to replay in the server's scenarios directory`
+                },
+                seed: {
+                    type: 'integer',
+                    minimum: 0,
+                    description: 'Random seed; the same seed gives the same readings (default: random)'
+                },
+                timeScale: {
+                    type: 'number',
+                    minimum: 0.001,
+                    description: 'Scenario seconds per real second (default: set by the scenario)'
+                },
+                loop: {
+                    type: 'boolean',
+                    description: 'Start over at the end instead of stopping (default: set by the scenario)'
+                },
+                faults: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            type: {
+                                type: 'string',
+                                enum: Object.keys(SIMULATION_FAULTS)
+                            },
+                            atSec: {
+                                type: 'number',
+                                minimum: 0,
+                                description: 'Scenario time the fault starts (default: 0)'
+                            },
+                            durationSec: {
+                                type: 'number',
+                                description: 'How long the fault lasts in scenario seconds (default: until the end)'
+                            },
+                            ratePerHour: {
+                                type: 'number',
+                                description: 'battery_drain only: percent per scenario hour (default: 100)'
+                            }
+                        },
+                        required: ['type']
+                    },
+                    description: 'Additional faults to inject'
+                }
+            },
+            required: ['scenario']
+        }
+    },
+    {
+        name: 'stop_simulation',
+        description: 'Stop the running simulation scenario and clear injected faults; the device returns to the default simulation',
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: { ...DEVICE_ARGUMENT },
+            required: []
+        }
+    },
+    {
+        name: 'list_alerts',
+        description: 'List active threshold alerts (e.g. CO2 above 1000/1500 ppm, battery below 20/10 %) and the alert rules',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...DEVICE_ARGUMENT,
+                includeResolved: {
+                    type: 'boolean',
+                    description: 'Also list recently resolved alerts (default: false)'
+                }
+            },
+            required: []
+        }
+    },
+    {
+        name: 'acknowledge_alert',
+        description: 'Acknowledge an active alert',
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                id: {
+                    type: 'string',
+                    description: 'Alert ID as shown by list_alerts'
+                }
+            },
+            required: ['id']
+        }
+    },
+    {
+        name: 'set_alert_rule',
+        description: 'Create or replace a threshold alert rule for a metric',
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+        inputSchema: {
+            type: 'object',
+            properties: {
+                id: {
+                    type: 'string',
+                    description: 'Rule ID (default: the metric name); an existing rule with this ID is replaced'
+                },
+                metric: {
+                    type: 'string',
+                    enum: Object.keys(ALERT_METRICS),
+                    description: 'Metric to watch (battery: battery level in percent)'
+                },
+                direction: {
+                    type: 'string',
+                    enum: ['above', 'below'],
+                    description: 'Alert when the value rises to the thresholds (above, default) or falls to them (below)'
+                },
+                warn: {
+                    type: 'number',
+                    description: 'Warning threshold'
+                },
+                critical: {
+                    type: 'number',
+                    description: 'Critical threshold'
+                },
+                hysteresis: {
+                    type: 'number',
+                    description: 'How far the value must move back past a threshold before the level clears (default: 0)'
+                },
+                minDurationSec: {
+                    type: 'number',
+                    description: 'How long a threshold must be reached before alerting (default: 60)'
+                },
+                cooldownSec: {
+                    type: 'number',
+                    description: 'Minimum time between notifications for the same rule and device (default: 900)'
+                },
+                enabled: {
+                    type: 'boolean',
+                    description: 'Whether the rule is evaluated (default: true)'
+                }
+            },
+            required: ['metric']
+        }
+    },
+    {
+        name: 'list_devices',
+        description: 'List all sensor devices with their connection state and mode (serial or simulation)',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        }
+    },
+    {
+        name: 'get_config',
+        description: 'Get the effective server configuration and where each setting came from (secrets are redacted)',
+        annotations: READ_ONLY_ANNOTATIONS,
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        }
+    }
+];
+
+// Whether the tool policy (tools.allow, tools.deny and tools.readOnly) lets clients call a tool
+const isToolAllowed = (tool, policy) => (policy.allow.length === 0 || policy.allow.includes(tool.name))
+    && !policy.deny.includes(tool.name)
+    && (!policy.readOnly || tool.annotations.readOnlyHint);
+
+// Prompt argument naming the device (prompt arguments are strings)
+const DEVICE_PROMPT_ARGUMENT = {
+    name: 'device',
+    description: 'Device name as shown by list_devices (default: the first device)',
+    required: false
+};
+
+// A titled JSON block for prompt messages
+const promptData = (title, value) => `${title}:\n\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\``;
+
+// Current readings for a prompt; under the strict data policy the reason they are missing instead
+const promptReadings = async (device, signal) => {
+    try {
+        return await device.getSensorData({ signal });
+    } catch (error) {
+        if (error instanceof DataUnavailableError) {
+            return { unavailable: error.message };
+        }
+        throw error;
+    }
+};
+
+// Prompt templates (prompts/list, prompts/get). render() builds the prompt text with the device's current data;
+// it gets the arguments as strings and throws for invalid ones.
+const PROMPTS = [
+    {
+        name: 'daily_air_quality_report',
+        description: 'Air quality report for a room over a day (or another time range), written for non-technical readers',
+        arguments: [
+            { name: 'room', description: 'Room name used in the report', required: true },
+            { name: 'from', description: 'Start of the range: ISO 8601 or a duration ago such as 24h (default: 24h)', required: false },
+            { name: 'to', description: 'End of the range (default: now)', required: false },
+            DEVICE_PROMPT_ARGUMENT
+        ],
+        async render(device, { room, from = '24h', to }, { signal }) {
+            const analysis = device.analyzeAirQuality({ from, to });
+            const readings = await promptReadings(device, signal);
+            return [
+                `Write an air quality report for the room "${room}" covering ${analysis.from} to ${analysis.to}, for colleagues without a technical background.`,
+                'Start with a one-sentence verdict, then summarize the CO2 levels (typical, worst and current), how long the room was above each threshold, and when it was ventilated. ' +
+                'Explain what the CO2 categories mean (good below 800 ppm, moderate up to 1000, poor up to 1500, very poor above) and end with up to three concrete recommendations. ' +
+                'Use plain language and local times; do not invent data that is missing below.',
+                promptData('Analysis of the recorded readings', analysis),
+                promptData('Current readings', readings),
+                promptData('Sensor device', device.getDeviceInfo())
+            ].join('\n\n');
+        }
+    },
+    {
+        name: 'ventilation_advice',
+        description: 'Advice on when and how to ventilate a room, based on the current CO2 level and its recent trend',
+        arguments: [
+            { name: 'room', description: 'Room name', required: true },
+            { name: 'occupants', description: 'Number of people in the room, if known', required: false },
+            DEVICE_PROMPT_ARGUMENT
+        ],
+        async render(device, { room, occupants }, { signal }) {
+            if (occupants !== undefined && !/^\d+$/.test(occupants)) {
+                throw new Error(`occupants must be a whole number, got "${occupants}"`);
+            }
+            const readings = await promptReadings(device, signal);
+            const analysis = device.analyzeAirQuality({ from: '2h' });
+            const rules = device.alerts.getRules().filter(rule => rule.metric === 'co2' && rule.enabled);
+            return [
+                `Give ventilation advice for the room "${room}"${occupants !== undefined ? ` with ${occupants} people in it` : ''}.`,
+                'Say whether the room needs fresh air now, how urgently, and how to ventilate (e.g. open windows fully for a few minutes rather than tilting them). ' +
+                'Use the trend of the last two hours to estimate when CO2 will reach the next threshold if nothing changes, and how well earlier ventilation worked. ' +
+                'Keep it short and practical.',
+                promptData('Current readings', readings),
+                promptData('Last two hours', analysis),
+                promptData('CO2 alert rules', rules)
+            ].join('\n\n');
+        }
+    },
+    {
+        name: 'device_troubleshooting',
+        description: 'Checklist for diagnosing a sensor device: connection, data quality, network, calibration and alerts',
+        arguments: [
+            { name: 'problem', description: 'What is wrong, in your own words (optional)', required: false },
+            DEVICE_PROMPT_ARGUMENT
+        ],
+        async render(device, { problem }, { signal }) {
+            const readings = await promptReadings(device, signal);
+            const network = await device.refreshNetworkStatus({ signal }).catch(error => ({ unavailable: error.message }));
+            return [
+                `Help troubleshoot the CO2 sensor device "${device.name}".${problem ? ` The reported problem: ${problem}` : ''}`,
+                'Go through this checklist using the data below, marking each item as OK, a problem (with the likely cause and a fix), or unknown: ' +
+                '1. USB/serial connection and reconnects, 2. readings arriving from the sensor rather than simulated or cached values, ' +
+                '3. plausible values (CO2 between 400 and 5000 ppm, no frozen values, few unparsed frames or rejected samples), ' +
+                '4. WiFi and MQTT, 5. calibration and automatic baseline correction, 6. power and battery, 7. active alerts. ' +
+                'Finish with the next steps in order, starting with the simplest.',
+                promptData('Device', device.getDeviceInfo()),
+                promptData('Connection health', device.getHealth()),
+                promptData('Current readings', readings),
+                promptData('Network', network),
+                promptData('Active alerts', device.alerts.list({ device: device.name }).active)
+            ].join('\n\n');
+        }
+    }
+];
+
+// JSON Schema checks for the keywords used in the tool input schemas
+const SCHEMA_TYPES = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean'
+};
+
+// Check a value against a tool input schema (type, enum, minimum/maximum, required, properties, items);
+// returns a list of problems, empty if the value is valid
+const validateSchema = (schema, value, name = '') => {
+    const label = name || 'arguments';
+    if (schema.type && !SCHEMA_TYPES[schema.type](value)) {
+        return [`${label} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`];
+    }
+    const problems = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        problems.push(`${label} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        problems.push(`${label} must be at most ${schema.maximum}`);
+    }
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                problems.push(`${name ? `${name}.` : ''}${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                problems.push(...validateSchema(propertySchema, value[key], name ? `${name}.${key}` : key));
+            }
+        }
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            problems.push(...validateSchema(schema.items, item, `${label}[${index}]`));
+        });
+    }
+    return problems;
+};
+
+// Simple MCP Server implementation (one instance per client session)
+class McpServer {
+    constructor(config, devices, transport) {
+        this.nextId = 1;
+        this.config = config;
+        // Devices are shared by all sessions
+        this.devices = devices;
+        this.transport = transport;
+        // Set once the client has sent notifications/initialized
+        this.initialized = false;
+        // Client name and version from initialize
+        this.clientInfo = null;
+        // Requests being handled, keyed by JSON-RPC id, so they can be cancelled
+        this.pendingRequests = new Map();
+        // Handlers for JSON-RPC requests; each returns the result or throws an McpError
+        this.requestHandlers = {
+            'initialize': this.handleInitialize,
+            'ping': this.handlePing,
+            'shutdown': this.handleShutdown,
+            'resources/list': this.handleListResources,
+            'resources/read': this.handleReadResource,
+            'resources/templates/list': this.handleListResourceTemplates,
+            'resources/subscribe': this.handleSubscribe,
+            'resources/unsubscribe': this.handleUnsubscribe,
+            'tools/list': this.handleListTools,
+            'tools/call': this.handleCallTool,
+            'prompts/list': this.handleListPrompts,
+            'prompts/get': this.handleGetPrompt,
+            'logging/setLevel': this.handleSetLevel
+        };
+        // Minimum level of log messages sent to this client
+        this.logLevel = config.log.notifyLevel;
+        // Subscribed resource URIs and the state last notified
+        this.subscriptions = new Map();
+        this.subscriptionTimer = null;
+        // Tell the client when devices are plugged in or removed
+        this.onListChanged = () => {
+            this.sendNotification('notifications/resources/list_changed');
+        };
+        this.devices.on('listChanged', this.onListChanged);
+        // Push alerts to the client as log messages
+        this.onAlert = (event) => {
+            this.sendLogMessage(event.level, 'alerts', {
+                message: event.message,
+                alert: event.alert
+            });
+        };
+        this.devices.alerts.on('notification', this.onAlert);
+        // Forward server log entries
+        this.onLogEntry = (entry) => {
+            this.sendLogMessage(entry.level, entry.logger, {
+                message: entry.message,
+                ...entry.data
+            });
+        };
+        logger.on('entry', this.onLogEntry);
+        // Listen for incoming messages, counting those still being handled
+        this.messagesInFlight = 0;
+        this.ending = false;
+        this.transport.onmessage = (line) => {
+            this.messagesInFlight++;
+            this.handleMessage(line).catch((error) => {
+                logger.error('mcp', `Error handling message: ${error.stack || error.message}`);
+            }).finally(() => {
+                this.messagesInFlight--;
+                if (this.ending && this.messagesInFlight === 0) {
+                    this.close('end');
+                }
+            });
+        };
+        // The client will send nothing more: answer the messages in flight, then end the session
+        this.transport.onend = () => {
+            this.ending = true;
+            if (this.messagesInFlight === 0) {
+                this.close('end');
             }
-        });
-        // Handle process termination
-        process.on('SIGINT', () => {
-            this.close();
-            process.exit(0);
-        });
-        // Handle uncaught exceptions
-        process.on('uncaughtException', (error) => {
-            // Handle error
-        });
-        // Handle unhandled promise rejections
-        process.on('unhandledRejection', (reason, promise) => {
-            // Handle error
-        });
-        // Send server info
-        this.sendServerInfo();
+        };
     }
 
     sendServerInfo() {
@@ -310,116 +5335,292 @@ class McpServer {
                 }
             }
         };
-        console.log(JSON.stringify(serverInfo));
+        this.transport.send(serverInfo);
     }
 
-    handleMessage(message) {
+    // Handle one line from the transport: a single message or a batch
+    async handleMessage(line) {
+        let message;
         try {
-            const request = JSON.parse(message);
-            // Check if it's a valid JSON-RPC request
-            if (request.jsonrpc !== '2.0') {
-                this.sendError(request.id, ErrorCode.InvalidRequest, 'Invalid Request: missing jsonrpc version');
+            message = JSON.parse(line);
+        } catch (error) {
+            this.sendError(null, ErrorCode.ParseError, 'Parse error');
+            return;
+        }
+        if (Array.isArray(message)) {
+            if (message.length === 0) {
+                this.sendError(null, ErrorCode.InvalidRequest, 'Invalid Request: empty batch');
                 return;
             }
-            // Check if the method is missing
-            if (!request.method) {
-                this.sendError(request.id, ErrorCode.InvalidRequest, 'Invalid Request: missing method');
-                return;
+            // Requests in a batch are handled concurrently; the responses are sent together
+            const responses = await Promise.all(message.map(entry => this.dispatch(entry)));
+            const batchResponse = responses.filter(Boolean);
+            if (batchResponse.length > 0) {
+                this.transport.send(batchResponse);
             }
-            // Determine if this is a notification (no id) or a request (with id)
-            const isNotification = request.id === undefined || request.id === null;
-            if (isNotification) {
-                // Handle notifications (no id)
-                switch (request.method) {
-                    case 'notifications/cancelled':
-                        break;
-                    case 'exit':
-                        this.close();
-                        process.exit(0);
-                        break;
-                    default:
-                        break;
-                }
-            } else {
-                // Handle requests with IDs
-                switch (request.method) {
-                    case 'initialize':
-                        this.handleInitialize(request);
-                        break;
-                    case 'shutdown':
-                        this.handleShutdown(request);
-                        break;
-                    case 'resources/list':
-                        this.handleListResources(request);
-                        break;
-                    case 'resources/read':
-                        this.handleReadResource(request);
-                        break;
-                    case 'tools/list':
-                        this.handleListTools(request);
-                        break;
-                    case 'tools/call':
-                        this.handleCallTool(request);
-                        break;
-                    default:
-                        // For unknown methods, just return an empty success response
-                        // This helps prevent timeouts
-                        this.sendResponse(request.id, {});
-                        break;
+            return;
+        }
+        const response = await this.dispatch(message);
+        if (response) {
+            this.transport.send(response);
+        }
+    }
+
+    // Handle a single JSON-RPC message; returns the response, or null when none is due
+    async dispatch(message) {
+        if (!SCHEMA_TYPES.object(message)) {
+            return this.errorResponse(null, ErrorCode.InvalidRequest, 'Invalid Request: not an object');
+        }
+        if (message.jsonrpc !== '2.0') {
+            return this.errorResponse(message.id ?? null, ErrorCode.InvalidRequest, 'Invalid Request: missing jsonrpc version');
+        }
+        const { id, method, params } = message;
+        if (method === undefined && (message.result !== undefined || message.error !== undefined)) {
+            // A response from the client; this server sends no requests, so there is nothing to match
+            return null;
+        }
+        if (id !== undefined && typeof id !== 'string' && typeof id !== 'number') {
+            return this.errorResponse(null, ErrorCode.InvalidRequest, 'Invalid Request: id must be a string or number');
+        }
+        const responseId = id === undefined ? null : id;
+        if (typeof method !== 'string') {
+            return this.errorResponse(responseId, ErrorCode.InvalidRequest, 'Invalid Request: missing method');
+        }
+        if (params !== undefined && (params === null || typeof params !== 'object')) {
+            return this.errorResponse(responseId, ErrorCode.InvalidRequest, 'Invalid Request: params must be an object');
+        }
+        // Notifications (no id) never get a response
+        if (id === undefined) {
+            this.handleNotification(message);
+            return null;
+        }
+        const handler = this.requestHandlers[method];
+        if (!handler) {
+            return this.errorResponse(id, ErrorCode.MethodNotFound, `Method not found: ${method}`);
+        }
+        const key = JSON.stringify(id);
+        const controller = new AbortController();
+        this.pendingRequests.set(key, controller);
+        try {
+            const result = await handler.call(this, message, controller.signal);
+            // A cancelled request gets no response
+            return controller.signal.aborted ? null : { jsonrpc: '2.0', id, result };
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return null;
+            }
+            if (error instanceof McpError) {
+                return this.errorResponse(id, error.code, error.message);
+            }
+            logger.error('mcp', `Error handling ${method}: ${error.stack || error.message}`);
+            return this.errorResponse(id, ErrorCode.InternalError, 'Internal error');
+        } finally {
+            if (this.pendingRequests.get(key) === controller) {
+                this.pendingRequests.delete(key);
+            }
+        }
+    }
+
+    handleNotification(notification) {
+        switch (notification.method) {
+            case 'notifications/initialized':
+                this.initialized = true;
+                break;
+            case 'notifications/cancelled': {
+                // Abort the request, which stops any wait for the device
+                const requestId = notification.params?.requestId;
+                const controller = this.pendingRequests.get(JSON.stringify(requestId));
+                if (controller) {
+                    logger.info('mcp', `request ${requestId} cancelled: ${notification.params?.reason || 'no reason given'}`);
+                    controller.abort(new CancelledError(notification.params?.reason));
                 }
+                break;
             }
-        } catch (error) {
-            this.sendError(null, ErrorCode.ParseError, 'Parse error');
+            case 'exit':
+                this.close();
+                break;
+            default:
+                // Unknown notifications are ignored
+                break;
         }
     }
 
-    handleListResources(request) {
-        const resources = [
-            {
-                uri: 'device://device/info',
-                name: ' Device Information',
-                mimeType: 'application/json',
-                description: 'Basic information about the device including ID, firmware version, and uptime'
-            },
-            {
-                uri: 'device://sensor/data',
-                name: 'MH-Z19B Sensor Data',
-                mimeType: 'application/json',
-                description: 'Current CO2 ppm readings from the MH-Z19B sensor'
-            },
-            {
-                uri: 'device://network/status',
-                name: 'Network Connection Status',
-                mimeType: 'application/json',
-                description: 'WiFi and MQTT connection status information'
+    handlePing() {
+        return {};
+    }
+
+    handleSetLevel(request) {
+        const level = request.params?.level;
+        if (!LOG_LEVELS.includes(level)) {
+            throw new McpError(ErrorCode.InvalidParams, `Invalid log level: expected one of ${LOG_LEVELS.join(', ')}`);
+        }
+        this.logLevel = level;
+        return {};
+    }
+
+    async handleListResources() {
+        const devices = await this.devices.list();
+        // Unprefixed URIs refer to the first device
+        const resources = Object.entries(DEVICE_RESOURCES).map(([resourcePath, resource]) => ({
+            uri: `device://${resourcePath}`,
+            name: resource.name,
+            mimeType: 'application/json',
+            description: resource.description
+        }));
+        resources.push({
+            uri: 'device://alerts/active',
+            name: 'Active Alerts',
+            mimeType: 'application/json',
+            description: 'Currently active threshold alerts on all devices'
+        });
+        resources.push({
+            uri: 'device://audit/log',
+            name: 'Audit Log',
+            mimeType: 'application/json',
+            description: 'Recent tool calls from all clients with time, arguments, outcome and result. Accepts query parameters tool, outcome and limit (default 100), e.g. device://audit/log?tool=reconnect_wifi'
+        });
+        for (const device of devices) {
+            for (const [resourcePath, resource] of Object.entries(DEVICE_RESOURCES)) {
+                resources.push({
+                    uri: `device://${device.name}/${resourcePath}`,
+                    name: `${resource.name} (${device.name})`,
+                    mimeType: 'application/json',
+                    description: resource.description
+                });
+            }
+        }
+        return { resources };
+    }
+
+    async handleListResourceTemplates() {
+        const devices = await this.devices.list();
+        const resourceTemplates = [];
+        for (const [resourcePath, template] of Object.entries(DEVICE_RESOURCE_TEMPLATES)) {
+            // Unprefixed URIs refer to the first device
+            resourceTemplates.push({
+                uriTemplate: `device://${resourcePath}${template.query}`,
+                name: template.name,
+                mimeType: template.mimeType,
+                description: template.description
+            });
+            for (const device of devices) {
+                resourceTemplates.push({
+                    uriTemplate: `device://${device.name}/${resourcePath}${template.query}`,
+                    name: `${template.name} (${device.name})`,
+                    mimeType: template.mimeType,
+                    description: template.description
+                });
             }
-        ];
-        this.sendResponse(request.id, { resources });
+        }
+        return { resourceTemplates };
     }
 
-    async handleReadResource(request) {
+    async handleReadResource(request, signal) {
         const uri = request.params?.uri;
-        if (!uri) {
-            this.sendError(request.id, ErrorCode.InvalidParams, 'Invalid params');
-            return;
+        if (typeof uri !== 'string') {
+            throw new McpError(ErrorCode.InvalidParams, 'Invalid params: uri is required');
         }
         let content;
-        switch (uri) {
-            case 'device://device/info':
-                content = JSON.stringify(this.deviceState.getDeviceInfo(), null, 2);
+        const resource = parseResourceUri(uri);
+        if (!resource) {
+            throw new McpError(ErrorCode.InvalidParams, 'Invalid resource URI');
+        }
+        // Query parameters are used by the sensor data and history resources
+        const query = resource.query;
+        if (resource.kind === 'alerts/active') {
+            return {
+                contents: [
+                    {
+                        uri: uri,
+                        mimeType: 'application/json',
+                        text: JSON.stringify(this.devices.alerts.list(), null, 2)
+                    }
+                ]
+            };
+        }
+        if (resource.kind === 'audit/log') {
+            const { tool, outcome, limit } = Object.fromEntries(new URLSearchParams(query || ''));
+            if (limit !== undefined && !/^[1-9]\d*$/.test(limit)) {
+                throw new McpError(ErrorCode.InvalidParams, `Invalid limit: ${limit}`);
+            }
+            return {
+                contents: [
+                    {
+                        uri: uri,
+                        mimeType: 'application/json',
+                        text: JSON.stringify(this.devices.audit.list({ tool, outcome, limit: limit === undefined ? undefined : Number(limit) }), null, 2)
+                    }
+                ]
+            };
+        }
+        const device = await this.getDevice(resource.deviceName);
+        switch (resource.kind) {
+            case 'device/info':
+                content = JSON.stringify(device.getDeviceInfo(), null, 2);
                 break;
-            case 'device://sensor/data':
-                const sensorData = await this.deviceState.getSensorData();
+            case 'sensor/data':
+                const metrics = new URLSearchParams(query || '').get('metrics');
+                const unknownMetric = metrics?.split(',').find(name => !METRICS[name]);
+                if (unknownMetric) {
+                    throw new McpError(ErrorCode.InvalidParams, `Unknown metric: ${unknownMetric}`);
+                }
+                let sensorData;
+                try {
+                    sensorData = await device.getSensorData({ metrics: metrics?.split(','), signal });
+                } catch (error) {
+                    if (error instanceof DataUnavailableError) {
+                        throw new McpError(ErrorCode.InternalError, error.message);
+                    }
+                    throw error;
+                }
                 content = JSON.stringify(sensorData, null, 2);
                 break;
-            case 'device://network/status':
-                content = JSON.stringify(this.deviceState.getNetworkStatus(), null, 2);
+            case 'sensor/history':
+                try {
+                    const options = Object.fromEntries(new URLSearchParams(query || ''));
+                    content = JSON.stringify(device.getSensorHistory(options), null, 2);
+                } catch (error) {
+                    throw new McpError(ErrorCode.InvalidParams, error.message);
+                }
+                break;
+            case 'sensor/export': {
+                let exported;
+                try {
+                    exported = device.exportSensorData(Object.fromEntries(new URLSearchParams(query || '')));
+                } catch (error) {
+                    throw new McpError(ErrorCode.InvalidParams, error.message);
+                }
+                return {
+                    contents: [
+                        {
+                            uri: uri,
+                            mimeType: exported.mimeType,
+                            text: exported.content
+                        }
+                    ]
+                };
+            }
+            case 'network/status': {
+                let networkStatus;
+                try {
+                    networkStatus = await device.refreshNetworkStatus({ signal });
+                } catch (error) {
+                    if (error instanceof DeviceCommandError) {
+                        throw new McpError(ErrorCode.InternalError, error.message);
+                    }
+                    throw error;
+                }
+                content = JSON.stringify(networkStatus, null, 2);
+                break;
+            }
+            case 'power/status':
+                content = JSON.stringify(device.getPowerStatus(), null, 2);
+                break;
+            case 'device/health':
+                content = JSON.stringify(device.getHealth(), null, 2);
                 break;
-            default:
-                this.sendError(request.id, ErrorCode.InvalidParams, 'Invalid resource URI');
-                return;
         }
-        this.sendResponse(request.id, {
+        return {
             contents: [
                 {
                     uri: uri,
@@ -427,186 +5628,515 @@ class McpServer {
                     text: content
                 }
             ]
-        });
+        };
     }
 
-    handleListTools(request) {
-        const tools = [
-            {
-                name: 'get_sensor_data',
-                description: 'Get current CO2 ppm readings from the MH-Z19B sensor',
-                inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
-                }
-            },
-            {
-                name: 'get_device_info',
-                description: 'Get information about the device',
-                inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
-                }
-            },
-            {
-                name: 'get_network_status',
-                description: 'Get WiFi and MQTT connection status (NOT IMPLEMENTED)',
-                inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
-                }
-            },
-            {
-                name: 'publish_mqtt_data',
-                description: 'Publish current sensor data to the MQTT topic (NOT IMPLEMENTED)',
-                inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
-                }
-            },
-            {
-                name: 'reconnect_wifi',
-                description: 'Force the device to reconnect to WiFi (NOT IMPLEMENTED)',
-                inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
-                }
-            },
-            {
-                name: 'reconnect_mqtt',
-                description: 'Force the device to reconnect to the MQTT broker (NOT IMPLEMENTED)',
-                inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
+    async handleSubscribe(request) {
+        const uri = request.params?.uri;
+        const resource = typeof uri === 'string' ? parseResourceUri(uri) : null;
+        if (!resource) {
+            throw new McpError(ErrorCode.InvalidParams, 'Invalid resource URI');
+        }
+        let snapshot;
+        try {
+            snapshot = await this.resourceSnapshot(resource);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+        this.subscriptions.set(uri, { resource, snapshot });
+        // Poll subscribed resources for changes, at most once per minimum interval
+        if (!this.subscriptionTimer) {
+            this.subscriptionTimer = setInterval(() => this.checkSubscriptions(), this.config.subscriptions.minIntervalMs);
+        }
+        return {};
+    }
+
+    handleUnsubscribe(request) {
+        const uri = request.params?.uri;
+        if (typeof uri !== 'string') {
+            throw new McpError(ErrorCode.InvalidParams, 'Invalid params: uri is required');
+        }
+        this.subscriptions.delete(uri);
+        if (this.subscriptions.size === 0) {
+            clearInterval(this.subscriptionTimer);
+            this.subscriptionTimer = null;
+        }
+        return {};
+    }
+    // Current state of a resource for change detection, without triggering a sensor read
+    async resourceSnapshot(resource) {
+        if (resource.kind === 'alerts/active') {
+            return this.devices.alerts.list();
+        }
+        if (resource.kind === 'audit/log') {
+            return this.devices.audit.list({ limit: 1 });
+        }
+        const device = await this.devices.get(resource.deviceName);
+        switch (resource.kind) {
+            case 'device/info': {
+                // Uptime changes every second and is not worth a notification
+                const { uptime, ...info } = device.getDeviceInfo();
+                return info;
+            }
+            case 'sensor/data':
+                return device.buildSensorResult(device.sensorStatus);
+            case 'sensor/history':
+            case 'sensor/export':
+                return device.getSensorHistory({ limit: 1 }).points[0] || null;
+            case 'network/status':
+                return device.getNetworkStatus();
+            case 'power/status':
+                return device.getPowerStatus();
+            case 'device/health':
+                return device.getHealth();
+        }
+    }
+
+    // Whether a resource changed enough since the last notification
+    resourceChanged(resource, previous, current) {
+        const minChange = this.config.subscriptions.minChange;
+        if (resource.kind === 'sensor/data' && minChange > 0 && previous) {
+            return current.status !== previous.status || Math.abs(current.co2Level - previous.co2Level) >= minChange;
+        }
+        return JSON.stringify(current) !== JSON.stringify(previous);
+    }
+
+    async checkSubscriptions() {
+        for (const [uri, subscription] of this.subscriptions) {
+            let snapshot;
+            try {
+                snapshot = await this.resourceSnapshot(subscription.resource);
+            } catch (error) {
+                // The device may have been removed; keep the subscription in case it comes back
+                continue;
+            }
+            if (this.resourceChanged(subscription.resource, subscription.snapshot, snapshot)) {
+                subscription.snapshot = snapshot;
+                this.sendNotification('notifications/resources/updated', { uri });
+            }
+        }
+    }
+
+    // Only the tools the tool policy allows
+    handleListTools() {
+        return { tools: TOOLS.filter(tool => isToolAllowed(tool, this.config.tools)) };
+    }
+
+    handleListPrompts() {
+        return {
+            prompts: PROMPTS.map(({ name, description, arguments: promptArguments }) => ({ name, description, arguments: promptArguments }))
+        };
+    }
+
+    async handleGetPrompt(request, signal) {
+        const name = request.params?.name;
+        const args = request.params?.arguments ?? {};
+        if (typeof name !== 'string') {
+            throw new McpError(ErrorCode.InvalidParams, 'Invalid params: name is required');
+        }
+        const prompt = PROMPTS.find(candidate => candidate.name === name);
+        if (!prompt) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+        }
+        if (!SCHEMA_TYPES.object(args) || Object.values(args).some(value => typeof value !== 'string')) {
+            throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for ${name}: arguments must be strings`);
+        }
+        const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+        if (missing.length > 0) {
+            throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for ${name}: missing ${missing.map(argument => argument.name).join(', ')}`);
+        }
+        const device = await this.getDevice(args.device);
+        let text;
+        try {
+            text = await prompt.render(device, args, { signal });
+        } catch (error) {
+            if (error instanceof CancelledError) {
+                throw error;
+            }
+            throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for ${name}: ${error.message}`);
+        }
+        return {
+            description: prompt.description,
+            messages: [
+                {
+                    role: 'user',
+                    content: { type: 'text', text }
                 }
+            ]
+        };
+    }
+
+    // Look up a device, reporting unknown names as invalid params
+    async getDevice(name) {
+        try {
+            return await this.devices.get(name);
+        } catch (error) {
+            if (error instanceof UnknownDeviceError) {
+                throw new McpError(ErrorCode.InvalidParams, error.message);
             }
-        ];
-        this.sendResponse(request.id, { tools });
+            throw error;
+        }
     }
 
-    handleCallTool(request) {
+    async handleCallTool(request, signal) {
         const toolName = request.params?.name;
-        const args = request.params?.arguments || {};
-        if (!toolName) {
-            this.sendError(request.id, ErrorCode.InvalidParams, 'Invalid params');
-            return;
+        const args = request.params?.arguments ?? {};
+        const startedAt = Date.now();
+        // Every call goes into the audit trail, rejected ones included
+        const audit = (outcome, details) => {
+            this.devices.audit.record({
+                session: this.transport.id || 'stdio',
+                client: this.clientInfo?.name || null,
+                tool: typeof toolName === 'string' ? toolName : null,
+                arguments: args,
+                outcome,
+                durationMs: Date.now() - startedAt,
+                ...details
+            });
+        };
+        // Calls that are not carried out: a protocol error to throw, or a tool error result the assistant sees
+        const invalid = (outcome, message) => {
+            audit(outcome, { error: message });
+            return new McpError(ErrorCode.InvalidParams, message);
+        };
+        const refuse = (outcome, text) => {
+            audit(outcome, { error: text });
+            return { content: [{ type: 'text', text }], isError: true };
+        };
+        if (typeof toolName !== 'string') {
+            throw invalid('invalid', 'Invalid params: name is required');
         }
+        const tool = TOOLS.find(candidate => candidate.name === toolName);
+        if (!tool) {
+            throw invalid('invalid', `Unknown tool: ${toolName}`);
+        }
+        if (!isToolAllowed(tool, this.config.tools)) {
+            throw invalid('denied', `Tool ${toolName} is not allowed by the server's tool policy`);
+        }
+        const problems = validateSchema(tool.inputSchema, args);
+        if (problems.length > 0) {
+            throw invalid('invalid', `Invalid arguments for ${toolName}: ${problems.join('; ')}`);
+        }
+        // Commands that cannot be undone or take the board offline only run when confirmed
+        const confirmation = TOOL_CONFIRMATIONS[toolName];
+        if (confirmation && args.confirm !== true) {
+            return refuse('unconfirmed', `${confirmation} Call ${toolName} again with confirm: true to proceed.`);
+        }
+        // Tools acting on a device are limited per device, so calls for one device do not hold up the others
+        let deviceName = null;
+        if (tool.inputSchema.properties?.device) {
+            try {
+                deviceName = (await this.getDevice(args.device)).name;
+            } catch (error) {
+                throw error instanceof McpError ? invalid('invalid', error.message) : error;
+            }
+        }
+        const retryAfterMs = this.devices.rateLimiter.take(toolName, deviceName);
+        if (retryAfterMs > 0) {
+            const { count, periodMs } = this.config.tools.rateLimits[toolName];
+            return refuse('rate_limited', `${toolName} may be called ${count === 1 ? 'once' : `${count} times`} per ${periodMs / 1000} s${deviceName ? ` for ${deviceName}` : ''}; try again in ${Math.ceil(retryAfterMs / 1000)} s`);
+        }
+        let response;
+        try {
+            response = await this.runTool(toolName, args, request, signal);
+        } catch (error) {
+            const outcome = error instanceof CancelledError ? 'cancelled'
+                : error instanceof McpError && error.code === ErrorCode.InvalidParams ? 'invalid' : 'error';
+            audit(outcome, { error: error.message });
+            throw error;
+        }
+        const [{ text }] = response.content;
+        audit(response.isError ? 'failed' : 'ok', response.isError ? { error: text } : { result: text });
+        return response;
+    }
+
+    // Carry out a tool call that passed validation, the tool policy, confirmation and rate limits
+    async runTool(toolName, args, request, signal) {
         let result;
         try {
+            // Tools that do not act on a single device
             switch (toolName) {
-                case 'get_sensor_data':
-                    // Handle asynchronous processing
-                    this.deviceState.getSensorData()
-                        .then(result => {
-                            this.sendResponse(request.id, {
-                                content: [
-                                    {
-                                        type: 'text',
-                                        text: JSON.stringify(result, null, 2)
-                                    }
-                                ]
-                            });
-                        })
-                        .catch(error => {
-                            this.sendError(request.id, ErrorCode.InternalError, 'Internal error');
-                        });
-                    return; // Early return for asynchronous processing
-                case 'get_device_info':
-                    result = this.deviceState.getDeviceInfo();
+                case 'list_devices':
+                    result = (await this.devices.list()).map(device => device.getSummary());
                     break;
-                case 'get_network_status':
-                    result = this.deviceState.getNetworkStatus();
+                case 'get_config':
+                    result = redactConfig(this.config);
                     break;
-                case 'publish_mqtt_data':
-                    result = this.deviceState.publishToMQTT();
+                case 'list_alerts':
+                    result = {
+                        ...this.devices.alerts.list(args),
+                        rules: this.devices.alerts.getRules()
+                    };
                     break;
-                case 'reconnect_wifi':
-                    result = this.deviceState.reconnectWiFi();
+                case 'acknowledge_alert':
+                    try {
+                        result = this.devices.alerts.acknowledge(args.id);
+                    } catch (error) {
+                        throw new McpError(ErrorCode.InvalidParams, error.message);
+                    }
                     break;
-                case 'reconnect_mqtt':
-                    result = this.deviceState.reconnectMQTT();
+                case 'set_alert_rule': {
+                    const { rule, error } = normalizeAlertRule(args);
+                    if (error) {
+                        throw new McpError(ErrorCode.InvalidParams, error);
+                    }
+                    result = this.devices.alerts.setRule(rule);
                     break;
-                default:
-                    this.sendError(request.id, ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
-                    return;
+                }
             }
-            this.sendResponse(request.id, {
-                content: [
-                    {
-                        type: 'text',
-                        text: JSON.stringify(result, null, 2)
+            if (result === undefined) {
+                const device = await this.getDevice(args.device);
+                switch (toolName) {
+                    case 'get_sensor_data':
+                        result = await device.getSensorData({ metrics: args.metrics, signal });
+                        break;
+                    case 'get_sensor_history':
+                        try {
+                            result = device.getSensorHistory(args);
+                        } catch (error) {
+                            throw new McpError(ErrorCode.InvalidParams, error.message);
+                        }
+                        break;
+                    case 'analyze_air_quality':
+                        try {
+                            result = device.analyzeAirQuality(args);
+                        } catch (error) {
+                            throw new McpError(ErrorCode.InvalidParams, error.message);
+                        }
+                        break;
+                    case 'export_sensor_data': {
+                        let exported;
+                        try {
+                            exported = device.exportSensorData(args);
+                        } catch (error) {
+                            throw new McpError(ErrorCode.InvalidParams, error.message);
+                        }
+                        if (args.path !== undefined) {
+                            const filePath = await resolveExportPath(this.config.export.dir, args.path);
+                            try {
+                                await fs.promises.writeFile(filePath, exported.content);
+                            } catch (error) {
+                                throw new McpError(ErrorCode.InvalidParams, `Could not write ${args.path}: ${error.code || error.message}`);
+                            }
+                            const { content, ...summary } = exported;
+                            result = { ...summary, path: filePath, bytes: Buffer.byteLength(content) };
+                        } else {
+                            // The export itself is the result text
+                            result = exported.content;
+                        }
+                        break;
                     }
-                ]
-            });
+                    case 'start_simulation_scenario':
+                        try {
+                            result = device.startScenario(args);
+                        } catch (error) {
+                            throw new McpError(ErrorCode.InvalidParams, error.message);
+                        }
+                        break;
+                    case 'stop_simulation':
+                        result = device.stopScenario() || { message: `No simulation scenario is running on ${device.name}` };
+                        break;
+                    case 'get_device_info':
+                        result = device.getDeviceInfo();
+                        break;
+                    case 'get_network_status':
+                        result = await device.refreshNetworkStatus({ signal });
+                        break;
+                    case 'publish_mqtt_data':
+                        result = await device.publishToMQTT();
+                        break;
+                    case 'reconnect_wifi': {
+                        const progressToken = request.params?._meta?.progressToken;
+                        result = await device.reconnectWiFi({
+                            signal,
+                            onProgress: progressToken === undefined ? undefined : (progress) => {
+                                this.sendNotification('notifications/progress', { progressToken, ...progress });
+                            }
+                        });
+                        break;
+                    }
+                    case 'reconnect_mqtt':
+                        result = device.reconnectMQTT();
+                        break;
+                    case 'set_power_mode':
+                        result = { device: device.name, ...device.setPowerMode(args.mode) };
+                        break;
+                    case 'calibrate_zero':
+                    case 'calibrate_span':
+                    case 'set_auto_baseline':
+                    case 'set_detection_range': {
+                        const { device: deviceName, confirm, ...commandArgs } = args;
+                        result = { device: device.name, ...await device.sendCommand(toolName, commandArgs, { signal }) };
+                        break;
+                    }
+                    case 'enter_bootloader':
+                        result = await device.enterBootloader({ signal });
+                        break;
+                }
+            }
         } catch (error) {
-            this.sendError(request.id, ErrorCode.InternalError, 'Internal error');
+            // Missing data and failed device commands are tool-level failures the assistant should see, not protocol errors
+            if (error instanceof DataUnavailableError || error instanceof DeviceCommandError) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: error.message
+                        }
+                    ],
+                    isError: true
+                };
+            }
+            throw error;
         }
-    }
-
-    sendResponse(id, result) {
-        // Make sure we use the exact same ID from the request
-        // Don't use this.nextId++ as a fallback
-        const response = {
-            jsonrpc: '2.0',
-            id: id !== null ? id : 0, // Use 0 as fallback instead of this.nextId++
-            result
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+                }
+            ]
         };
-        console.log(JSON.stringify(response));
     }
 
     handleInitialize(request) {
+        this.clientInfo = request.params?.clientInfo || null;
         // Respond with server capabilities
         // Make sure the server name matches the name in Claude Desktop config
-        this.sendResponse(request.id, {
+        return {
             serverInfo: {
                 name: 'co2-sensor', // Changed to match the name in Claude Desktop config
                 version: '1.0.0'
             },
             capabilities: {
                 resources: {
-                    supportsResourceTemplates: false,
-                    supportsResourceSearch: false
+                    supportsResourceTemplates: true,
+                    supportsResourceSearch: false,
+                    subscribe: true,
+                    listChanged: true
                 },
                 tools: {
                     supportsToolSearch: false
-                }
+                },
+                prompts: {
+                    listChanged: false
+                },
+                logging: {}
             },
-            protocolVersion: request.params.protocolVersion || '2024-11-05'
-        });
+            protocolVersion: request.params?.protocolVersion || '2024-11-05'
+        };
     }
 
-    handleShutdown(request) {
-        // Respond with success
-        this.sendResponse(request.id, {});
-        // Don't exit immediately, wait a bit to ensure the response is sent
+    handleShutdown() {
+        // Don't close immediately, wait a bit to ensure the response is sent
         setTimeout(() => {
             this.close();
-            process.exit(0);
         }, 100);
+        return {};
     }
 
-    sendError(id, code, message) {
-        const response = {
+    sendNotification(method, params) {
+        const notification = {
+            jsonrpc: '2.0',
+            method,
+            params
+        };
+        this.transport.send(notification);
+    }
+
+    // Send a notifications/message if the client has finished initialization and the level is at or
+    // above the level it asked for
+    sendLogMessage(level, loggerName, data) {
+        if (!this.initialized || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.logLevel)) {
+            return;
+        }
+        this.sendNotification('notifications/message', {
+            level,
+            logger: loggerName,
+            data
+        });
+    }
+
+    // Build a JSON-RPC error response; id is null when the request id could not be determined
+    errorResponse(id, code, message) {
+        return {
             jsonrpc: '2.0',
-            id: id !== null ? id : 0, // Use 0 as fallback instead of this.nextId++
+            id,
             error: {
                 code,
                 message
             }
         };
-        console.log(JSON.stringify(response));
     }
 
-    close() {
-        this.rl.close();
+    sendError(id, code, message) {
+        this.transport.send(this.errorResponse(id, code, message));
+    }
+
+    // End this session (the transport decides whether that ends the process); reason is passed on to it
+    close(reason) {
+        clearInterval(this.subscriptionTimer);
+        for (const controller of this.pendingRequests.values()) {
+            controller.abort(new CancelledError('Session closed'));
+        }
+        this.devices.off('listChanged', this.onListChanged);
+        this.devices.alerts.off('notification', this.onAlert);
+        logger.off('entry', this.onLogEntry);
+        this.transport.close(reason);
     }
 }
 
-// Start the server
-const server = new McpServer();
\ No newline at end of file
+// Load the configuration and start the server
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    console.error(error.message);
+    process.exit(1);
+}
+logger.configure(config.log);
+// stdout is reserved for protocol messages: send stray console output (e.g. from dependencies) to the log
+console.log = console.info = console.debug = (...args) => logger.info('console', util.format(...args));
+const devices = new DeviceRegistry(config);
+let httpTransport = null;
+if (config.http.enabled) {
+    httpTransport = new HttpTransport(config, (transport) => new McpServer(config, devices, transport));
+    httpTransport.listen();
+}
+// Shut down everything and exit
+const shutdown = () => {
+    httpTransport?.close();
+    devices.close();
+    process.exit(0);
+};
+if (config.stdio.enabled) {
+    const stdioTransport = new StdioTransport();
+    // The stdio client ending its session ends the process; closing stdin only does so when no HTTP clients are served
+    stdioTransport.onclose = (reason) => {
+        if (reason !== 'end' || !httpTransport) {
+            shutdown();
+        }
+    };
+    const server = new McpServer(config, devices, stdioTransport);
+    stdioTransport.start();
+    // Send server info
+    server.sendServerInfo();
+}
+// Handle process termination
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+// Report uncaught exceptions (the logger copies errors to stderr) and exit, since the server's state is unknown
+process.on('uncaughtException', (error) => {
+    logger.log('critical', 'process', `Uncaught exception, exiting: ${error.stack || error.message}`);
+    // Log entries are written synchronously; let responses still queued on stdout drain first
+    setTimeout(() => process.exit(1), 1000).unref();
+    process.stdout.write('', () => process.exit(1));
+});
+// Report unhandled promise rejections
+process.on('unhandledRejection', (reason) => {
+    const message = reason instanceof Error ? reason.stack || reason.message : String(reason);
+    logger.error('process', `Unhandled promise rejection: ${message}`);
+});
\ No newline at end of file
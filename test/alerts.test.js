@@ -0,0 +1,122 @@
+// Threshold alerts: rules, notifications when alerts are raised and resolved, and the alert tools
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+// Alert log messages pushed to the client
+const alertMessages = server => server.messages.filter(message => message.method === 'notifications/message' && message.params.logger === 'alerts');
+
+test('raises an alert once a reading crosses a threshold and pushes a notification', async () => {
+    const server = await McpHarness.start();
+    try {
+        // Simulated CO2 never drops below 400 ppm
+        const { data: rule } = await server.callTool('set_alert_rule', { id: 'stuffy', metric: 'co2', direction: 'above', warn: 300, minDurationSec: 0 });
+        assert.deepEqual(rule, { id: 'stuffy', metric: 'co2', direction: 'above', warn: 300, critical: null, hysteresis: 0, minDurationSec: 0, cooldownSec: 900, enabled: true });
+        const { data: reading } = await server.callTool('get_sensor_data');
+
+        const notification = await server.waitForMessage(message => message.params?.logger === 'alerts');
+        assert.equal(notification.method, 'notifications/message');
+        assert.equal(notification.params.level, 'warning');
+        assert.equal(notification.params.data.message, `Warning: co2 on default is ${reading.co2Level} ppm (threshold 300 ppm) - open a window or increase ventilation`);
+        assert.equal(notification.params.data.alert.ruleId, 'stuffy');
+
+        const { data: alerts } = await server.callTool('list_alerts');
+        assert.equal(alerts.active.length, 1);
+        assert.equal(alerts.active[0].level, 'warning');
+        assert.equal(alerts.active[0].device, 'default');
+        assert.deepEqual(alerts.rules.map(candidate => candidate.id), ['co2', 'battery', 'stuffy']);
+        const resource = await server.readResource('device://alerts/active');
+        assert.equal(resource.active[0].id, alerts.active[0].id);
+    } finally {
+        await server.close();
+    }
+});
+
+test('goes straight to critical when both thresholds are exceeded', async () => {
+    const server = await McpHarness.start();
+    try {
+        await server.callTool('set_alert_rule', { metric: 'co2', warn: 200, critical: 300, minDurationSec: 0 });
+        await server.callTool('get_sensor_data');
+        const notification = await server.waitForMessage(message => message.params?.logger === 'alerts');
+        assert.equal(notification.params.level, 'critical');
+        assert.match(notification.params.data.message, /^CRITICAL: co2 on default is \d+ ppm \(threshold 300 ppm\)/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('waits for the minimum duration before alerting', async () => {
+    const server = await McpHarness.start();
+    try {
+        await server.callTool('set_alert_rule', { metric: 'co2', warn: 300, minDurationSec: 60 });
+        await server.callTool('get_sensor_data');
+        await server.callTool('get_sensor_data');
+        const { data } = await server.callTool('list_alerts');
+        assert.deepEqual(data.active, []);
+        assert.deepEqual(alertMessages(server), []);
+    } finally {
+        await server.close();
+    }
+});
+
+test('reports a resolved alert at the level it was raised with', async () => {
+    const server = await McpHarness.start();
+    try {
+        await server.callTool('set_alert_rule', { metric: 'co2', warn: 300, minDurationSec: 0 });
+        await server.callTool('get_sensor_data');
+        await server.waitForMessage(message => message.params?.logger === 'alerts');
+        // Replacing the rule resolves its alerts
+        await server.callTool('set_alert_rule', { metric: 'co2', warn: 5000 });
+        const resolved = await server.waitForMessage(message => message.params?.logger === 'alerts' && message.params.data.alert.level === 'resolved');
+        assert.equal(resolved.params.level, 'warning');
+        assert.equal(resolved.params.data.message, 'Resolved: co2 on default is no longer checked (rule changed)');
+        const { data } = await server.callTool('list_alerts', { includeResolved: true });
+        assert.deepEqual(data.active, []);
+        assert.equal(data.resolved.length, 1);
+        assert.ok(data.resolved[0].resolvedAt);
+    } finally {
+        await server.close();
+    }
+});
+
+test('acknowledges active alerts', async () => {
+    const server = await McpHarness.start();
+    try {
+        await server.callTool('set_alert_rule', { metric: 'co2', warn: 300, minDurationSec: 0 });
+        await server.callTool('get_sensor_data');
+        const { data: alerts } = await server.callTool('list_alerts');
+        const { data: acknowledged } = await server.callTool('acknowledge_alert', { id: alerts.active[0].id });
+        assert.equal(acknowledged.acknowledged, true);
+        assert.ok(acknowledged.acknowledgedAt);
+        const unknown = await server.request('tools/call', { name: 'acknowledge_alert', arguments: { id: 'alert-999' } });
+        assert.equal(unknown.error.code, -32602);
+        assert.equal(unknown.error.message, 'No active alert with id alert-999');
+    } finally {
+        await server.close();
+    }
+});
+
+test('validates alert rules from tools and settings', async () => {
+    const server = await McpHarness.start();
+    try {
+        const noThreshold = await server.request('tools/call', { name: 'set_alert_rule', arguments: { metric: 'humidity' } });
+        assert.equal(noThreshold.error.message, 'alert rule "humidity": needs a warn or critical threshold');
+        const inverted = await server.request('tools/call', { name: 'set_alert_rule', arguments: { metric: 'co2', warn: 1500, critical: 1000 } });
+        assert.equal(inverted.error.message, 'alert rule "co2": critical must not be below warn');
+    } finally {
+        await server.close();
+    }
+    const { code, stderr } = await McpHarness.run({ ALERT_RULES: '[{"metric":"radon","warn":100}]' });
+    assert.equal(code, 1);
+    assert.match(stderr, /alerts\.rules: alert rule "radon": unknown metric "radon"/);
+});
+
+test('takes alert rules from the settings', async () => {
+    const server = await McpHarness.start({ ALERT_RULES: JSON.stringify([{ id: 'warm', metric: 'temperature', direction: 'above', warn: 26, hysteresis: 0.5 }]) });
+    try {
+        const { data } = await server.callTool('list_alerts');
+        assert.deepEqual(data.rules, [{ id: 'warm', metric: 'temperature', direction: 'above', warn: 26, critical: null, hysteresis: 0.5, minDurationSec: 60, cooldownSec: 900, enabled: true }]);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,86 @@
+// Air quality analysis over recorded readings: statistics, time above thresholds, categories and ventilation events
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+const MINUTE = 60 * 1000;
+
+// One reading a minute, two hours ago: CO2 builds up to 1600 ppm, then a window is opened
+const START = Math.floor((Date.now() - 120 * MINUTE) / MINUTE) * MINUTE;
+const LEVELS = [600, 900, 1200, 1600, 1300, 900, 700];
+const iso = time => new Date(time).toISOString();
+const HISTORY = LEVELS.map((co2Level, i) => JSON.stringify({
+    timestamp: iso(START + i * MINUTE),
+    co2Level,
+    status: 'data_received',
+    source: 'device'
+}) + '\n').join('');
+const WINDOW = { from: iso(START), to: iso(START + LEVELS.length * MINUTE) };
+
+const startWithHistory = () => McpHarness.start({}, { files: { 'co2_history.jsonl': HISTORY } });
+
+test('summarizes the readings in a time window', async () => {
+    const server = await startWithHistory();
+    try {
+        const { data } = await server.callTool('analyze_air_quality', WINDOW);
+        assert.equal(data.device, 'default');
+        assert.equal(data.samples, 7);
+        assert.deepEqual(data.sources, { device: 7 });
+        assert.equal(data.coveredMinutes, 7);
+        assert.deepEqual(data.co2, { unit: 'ppm', min: 600, max: 1600, mean: 1028.6, median: 900, p95: 1510, latest: 700 });
+        assert.equal(data.category, 'poor');
+        // Thresholds of the default CO2 alert rule
+        assert.deepEqual(data.timeAboveThresholds, [
+            { threshold: 1000, minutes: 3, percent: 42.9 },
+            { threshold: 1500, minutes: 1, percent: 14.3 }
+        ]);
+        assert.deepEqual(data.minutesInCategory, { good: 2, moderate: 2, poor: 2, very_poor: 1 });
+        assert.deepEqual(data.rateOfChange, { trendPpmPerHour: 857.1, maxRisePpmPerMinute: 400, maxDropPpmPerMinute: -400 });
+        assert.deepEqual(data.ventilationEvents, [{
+            start: iso(START + 3 * MINUTE),
+            end: iso(START + 6 * MINUTE),
+            fromPpm: 1600,
+            toPpm: 700,
+            dropPpm: 900,
+            durationMinutes: 3,
+            ratePpmPerMinute: -300
+        }]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('takes thresholds and ventilation criteria from the arguments', async () => {
+    const server = await startWithHistory();
+    try {
+        const { data } = await server.callTool('analyze_air_quality', { ...WINDOW, thresholds: [800], ventilationDropPpm: 1000 });
+        assert.deepEqual(data.timeAboveThresholds, [{ threshold: 800, minutes: 5, percent: 71.4 }]);
+        assert.deepEqual(data.ventilationEvents, []);
+        // The drop from 1600 to 900 ppm takes two minutes
+        const { data: quick } = await server.callTool('analyze_air_quality', { ...WINDOW, ventilationDropPpm: 500, ventilationWindowMinutes: 2 });
+        assert.equal(quick.ventilationEvents.length, 1);
+        assert.equal(quick.ventilationEvents[0].toPpm, 900);
+        // Alert rule thresholds are used by default
+        await server.callTool('set_alert_rule', { metric: 'co2', warn: 1250 });
+        const { data: ruled } = await server.callTool('analyze_air_quality', WINDOW);
+        assert.deepEqual(ruled.timeAboveThresholds.map(entry => entry.threshold), [1250]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('reports an empty window and rejects invalid arguments', async () => {
+    const server = await startWithHistory();
+    try {
+        const { data } = await server.callTool('analyze_air_quality', { from: iso(START - 60 * MINUTE), to: iso(START - 30 * MINUTE) });
+        assert.equal(data.samples, 0);
+        assert.equal(data.message, 'No readings in this time range');
+        const time = await server.request('tools/call', { name: 'analyze_air_quality', arguments: { from: 'last week' } });
+        assert.equal(time.error.code, -32602);
+        assert.match(time.error.message, /Invalid time value/);
+        const drop = await server.request('tools/call', { name: 'analyze_air_quality', arguments: { ventilationDropPpm: 0 } });
+        assert.deepEqual(drop.error, { code: -32602, message: 'Invalid arguments for analyze_air_quality: ventilationDropPpm must be at least 1' });
+    } finally {
+        await server.close();
+    }
+});
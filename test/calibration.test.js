@@ -0,0 +1,49 @@
+// Sensor calibration tools: confirmation, argument checks and devices without a sensor
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+test('only explains a calibration command until it is confirmed', async () => {
+    const server = await McpHarness.start();
+    try {
+        const { isError, text } = await server.callTool('calibrate_zero');
+        assert.equal(isError, true);
+        assert.match(text, /^Zero-point calibration makes the current reading the 400 ppm baseline\./);
+        assert.match(text, /This cannot be undone\. Call calibrate_zero again with confirm: true to proceed\.$/);
+        const span = await server.callTool('calibrate_span', { ppm: 2000, confirm: false });
+        assert.equal(span.isError, true);
+        assert.match(span.text, /Call calibrate_span again with confirm: true/);
+        const { data: info } = await server.callTool('get_device_info');
+        assert.deepEqual(info.calibrations, []);
+        assert.deepEqual(info.sensorSettings, { autoBaseline: null, detectionRange: null });
+    } finally {
+        await server.close();
+    }
+});
+
+test('refuses confirmed commands without a connected sensor', async () => {
+    const server = await McpHarness.start();
+    try {
+        const { isError, text } = await server.callTool('set_auto_baseline', { enabled: false, confirm: true });
+        assert.equal(isError, true);
+        assert.equal(text, 'default is not connected to a sensor (simulation); set_auto_baseline needs the real device');
+        const { data: info } = await server.callTool('get_device_info');
+        assert.deepEqual(info.calibrations, []);
+    } finally {
+        await server.close();
+    }
+});
+
+test('checks calibration arguments', async () => {
+    const server = await McpHarness.start();
+    try {
+        const span = await server.request('tools/call', { name: 'calibrate_span', arguments: { ppm: 400, confirm: true } });
+        assert.deepEqual(span.error, { code: -32602, message: 'Invalid arguments for calibrate_span: ppm must be at least 1000' });
+        const range = await server.request('tools/call', { name: 'set_detection_range', arguments: { range: 10000, confirm: true } });
+        assert.deepEqual(range.error, { code: -32602, message: 'Invalid arguments for set_detection_range: range must be one of: 2000, 5000' });
+        const missing = await server.request('tools/call', { name: 'set_auto_baseline', arguments: { confirm: true } });
+        assert.deepEqual(missing.error, { code: -32602, message: 'Invalid arguments for set_auto_baseline: enabled is required' });
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,57 @@
+// Data policy: simulated values, last known readings or errors when no real reading is available
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+test('simulates readings by default and marks their source', async () => {
+    const server = await McpHarness.start();
+    try {
+        const { isError, data } = await server.callTool('get_sensor_data');
+        assert.equal(isError, false);
+        assert.equal(data.status, 'simulated_data');
+        assert.equal(data.source, 'simulation');
+        assert.equal(data.stale, false);
+        assert.equal(data.dataPolicy, 'simulate');
+        const { data: history } = await server.callTool('get_sensor_history', { from: '1m' });
+        assert.ok(history.points.some(point => point.co2Level === data.co2Level && point.source === 'simulation'));
+        assert.equal((await server.readResource('device://device/info')).dataPolicy, 'simulate');
+    } finally {
+        await server.close();
+    }
+});
+
+test('never makes up data under the strict policy', async () => {
+    const server = await McpHarness.start({ SENSOR_DATA_POLICY: 'strict', SENSOR_UPDATE_INTERVAL_MS: '500' });
+    try {
+        const { isError, text } = await server.callTool('get_sensor_data');
+        assert.equal(isError, true);
+        assert.equal(text, 'No sensor data from default: no device is connected');
+        const read = await server.request('resources/read', { uri: 'device://sensor/data' });
+        assert.equal(read.error.code, -32603);
+        assert.equal(read.error.message, 'No sensor data from default: no device is connected');
+        // No simulated readings are recorded in the background either
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        const { data: history } = await server.callTool('get_sensor_history', { from: '1m' });
+        assert.equal(history.count, 0);
+        assert.equal((await server.readResource('device://device/info')).dataPolicy, 'strict');
+    } finally {
+        await server.close();
+    }
+});
+
+test('fails under the last-known policy until there has been a real reading', async () => {
+    const server = await McpHarness.start({ SENSOR_DATA_POLICY: 'last-known' });
+    try {
+        const { isError, text } = await server.callTool('get_sensor_data');
+        assert.equal(isError, true);
+        assert.equal(text, 'No sensor data from default: no device is connected and there is no previous real reading');
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects unknown data policies', async () => {
+    const { code, stderr } = await McpHarness.run({ SENSOR_DATA_POLICY: 'guess' });
+    assert.equal(code, 1);
+    assert.match(stderr, /sensor\.dataPolicy: must be one of simulate, last-known, strict, got "guess"/);
+});
@@ -0,0 +1,100 @@
+// Several sensors at once: the device registry, device arguments and per-device resources
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+// Ports that do not exist, so both devices fall back to simulated data
+const TWO_DEVICES = { SERIAL_DEVICES: 'office=/nonexistent/ttyACM0,lab=/nonexistent/ttyACM1', SENSOR_READ_TIMEOUT_MS: '300' };
+
+test('runs a single simulated default device when no board is found', async () => {
+    const server = await McpHarness.start();
+    try {
+        const { data } = await server.callTool('list_devices');
+        assert.equal(data.length, 1);
+        assert.equal(data[0].name, 'default');
+        assert.equal(data[0].mode, 'simulation');
+        assert.equal(data[0].connected, false);
+    } finally {
+        await server.close();
+    }
+});
+
+test('lists the configured devices in order', async () => {
+    const server = await McpHarness.start(TWO_DEVICES);
+    try {
+        const { data } = await server.callTool('list_devices');
+        assert.deepEqual(data.map(device => [device.name, device.portPath]), [
+            ['office', '/nonexistent/ttyACM0'],
+            ['lab', '/nonexistent/ttyACM1']
+        ]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('reads devices from a config file list', async () => {
+    const files = {
+        'co2-sensor.config.yaml': 'serial:\n  devices:\n    - name: kitchen\n      path: /nonexistent/ttyUSB0\n    - kids=/nonexistent/ttyUSB1\n'
+    };
+    const server = await McpHarness.start({}, { files });
+    try {
+        const { data } = await server.callTool('list_devices');
+        assert.deepEqual(data.map(device => device.name), ['kitchen', 'kids']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('routes tools to the device named in the device argument', async () => {
+    const server = await McpHarness.start(TWO_DEVICES);
+    try {
+        const lab = await server.callTool('get_sensor_data', { device: 'lab' });
+        assert.equal(lab.isError, false);
+        await server.callTool('get_sensor_data');
+        const { data: labHistory } = await server.callTool('get_sensor_history', { device: 'lab' });
+        assert.ok(labHistory.count >= 1);
+        assert.ok(labHistory.points.every(point => point.device === 'lab'));
+        assert.ok(labHistory.points.some(point => point.co2Level === lab.data.co2Level));
+        // Without a device argument, the first device is used
+        const { data: officeHistory } = await server.callTool('get_sensor_history');
+        assert.ok(officeHistory.count >= 1);
+        assert.ok(officeHistory.points.every(point => point.device === 'office'));
+        const { data: info } = await server.callTool('get_device_info', { device: 'lab' });
+        assert.equal(info.name, 'lab');
+        const { data: devices } = await server.callTool('list_devices');
+        assert.ok(devices.every(device => device.mode === 'simulation' && !device.connected));
+    } finally {
+        await server.close();
+    }
+});
+
+test('exposes resources for every device, and unprefixed ones for the first device', async () => {
+    const server = await McpHarness.start(TWO_DEVICES);
+    try {
+        const { result } = await server.request('resources/list');
+        const uris = result.resources.map(resource => resource.uri);
+        for (const uri of ['device://sensor/data', 'device://office/sensor/data', 'device://lab/device/info', 'device://lab/sensor/history', 'device://lab/network/status']) {
+            assert.ok(uris.includes(uri), uri);
+        }
+        assert.equal((await server.readResource('device://lab/device/info')).name, 'lab');
+        assert.equal((await server.readResource('device://device/info')).name, 'office');
+        const data = await server.readResource('device://lab/sensor/data');
+        assert.match(data.status, /simulated_data$/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects unknown device names', async () => {
+    const server = await McpHarness.start(TWO_DEVICES);
+    try {
+        const tool = await server.request('tools/call', { name: 'get_sensor_data', arguments: { device: 'attic' } });
+        assert.equal(tool.error.code, -32602);
+        assert.equal(tool.error.message, 'Unknown device: attic');
+        const resource = await server.request('resources/read', { uri: 'device://attic/sensor/data' });
+        assert.equal(resource.error.code, -32602);
+        assert.equal(resource.error.message, 'Unknown device: attic');
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,60 @@
+// Sensor driver selection: the default driver, per-device drivers and invalid driver names
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+const driversByDevice = async (server) => {
+    const { data } = await server.callTool('list_devices');
+    return Object.fromEntries(data.map(device => [device.name, device.driver]));
+};
+
+test('uses the MH-Z19B text protocol by default', async () => {
+    const server = await McpHarness.start();
+    try {
+        assert.deepEqual(await driversByDevice(server), { default: 'mhz19b-text' });
+        const { data } = await server.callTool('get_device_info');
+        assert.equal(data.driver, 'mhz19b-text');
+    } finally {
+        await server.close();
+    }
+});
+
+test('applies sensor.driver to devices without a driver of their own', async () => {
+    const server = await McpHarness.start({
+        SENSOR_DRIVER: 'json-lines',
+        SERIAL_DEVICES: 'office=/nonexistent/ttyACM0,uart=/nonexistent/ttyUSB0:mhz19b-uart,usb=/dev/serial/by-path/pci-0000:00:14.0-usb-0:1:1.0'
+    });
+    try {
+        assert.deepEqual(await driversByDevice(server), { office: 'json-lines', uart: 'mhz19b-uart', usb: 'json-lines' });
+        const { data } = await server.callTool('list_devices');
+        // A suffix that names no driver stays part of the path
+        assert.equal(data[1].portPath, '/nonexistent/ttyUSB0');
+        assert.equal(data[2].portPath, '/dev/serial/by-path/pci-0000:00:14.0-usb-0:1:1.0');
+    } finally {
+        await server.close();
+    }
+});
+
+test('takes per-device drivers from the config file', async () => {
+    const files = {
+        'co2-sensor.config.json': JSON.stringify({
+            serial: { devices: [{ name: 'desk', path: '/nonexistent/ttyACM0', driver: 'json-lines' }, { name: 'shelf', path: '/nonexistent/ttyACM1' }] }
+        })
+    };
+    const server = await McpHarness.start({}, { files });
+    try {
+        assert.deepEqual(await driversByDevice(server), { desk: 'json-lines', shelf: 'mhz19b-text' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('refuses unknown drivers', async () => {
+    const files = {
+        'co2-sensor.config.json': JSON.stringify({ serial: { devices: [{ name: 'desk', path: '/nonexistent/ttyACM0', driver: 'scd30' }] } })
+    };
+    const { code, stderr } = await McpHarness.run({ SENSOR_DRIVER: 'bme680' }, { files });
+    assert.equal(code, 1);
+    assert.match(stderr, /sensor\.driver: must be one of mhz19b-text, json-lines, mhz19b-uart, got "bme680"/);
+    assert.match(stderr, /serial\.devices: unknown driver "scd30" for device "desk" \(available: mhz19b-text, json-lines, mhz19b-uart\)/);
+});
@@ -0,0 +1,171 @@
+// End-to-end tests with emulated boards (emulator: serial paths): drivers, timeouts, corrupted frames,
+// firmware acknowledgements, cancellation, reconnects and the shutdown on end of input
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+// Start the server with one emulated board, named lab, and wait until its port is open.
+// The board is read on demand only, so every request reaches it
+const startWithBoard = async (portPath, env = {}) => {
+    const server = await McpHarness.start({ SERIAL_DEVICES: `lab=${portPath}`, SAMPLING_INTERVAL_MS: '0', ...env });
+    await server.poll(async () => (await server.callTool('list_devices')).data[0].connectionState === 'connected');
+    return server;
+};
+
+test('reads CO2 from an emulated board, the same on every run with a seed', async () => {
+    const levels = [];
+    for (let run = 0; run < 2; run++) {
+        const server = await startWithBoard('emulator:lab?seed=1');
+        try {
+            const { isError, data } = await server.callTool('get_sensor_data', { device: 'lab' });
+            assert.equal(isError, false);
+            assert.equal(data.status, 'data_received');
+            assert.equal(data.source, 'device');
+            assert.ok(data.co2Level > 400 && data.co2Level < 1000, `co2Level ${data.co2Level}`);
+            levels.push(data.co2Level);
+            const { data: devices } = await server.callTool('list_devices');
+            assert.equal(devices[0].portPath, 'emulator:lab?seed=1');
+        } finally {
+            await server.close();
+        }
+    }
+    assert.equal(levels[0], levels[1]);
+});
+
+test('speaks the protocol of the configured driver', async () => {
+    const jsonLines = await startWithBoard('emulator:lab?seed=2:json-lines');
+    try {
+        const { data } = await jsonLines.callTool('get_sensor_data');
+        assert.equal(data.status, 'data_received');
+        assert.equal(typeof data.measurements.temperature.value, 'number');
+        assert.equal(typeof data.measurements.humidity.value, 'number');
+    } finally {
+        await jsonLines.close();
+    }
+    const uart = await startWithBoard('emulator:lab?seed=3&co2=900:mhz19b-uart');
+    try {
+        const { data } = await uart.callTool('get_sensor_data');
+        assert.equal(data.status, 'data_received');
+        assert.ok(Math.abs(data.co2Level - 900) < 300, `co2Level ${data.co2Level}`);
+    } finally {
+        await uart.close();
+    }
+});
+
+test('rejects unknown emulator options at startup', async () => {
+    const { code, stderr } = await McpHarness.run({ SERIAL_DEVICES: 'lab=emulator:lab?speed=2' });
+    assert.equal(code, 1);
+    assert.match(stderr, /serial\.devices: emulator:lab\?speed=2: unknown emulator option "speed"/);
+});
+
+test('falls back to simulated data when the board does not answer in time', async () => {
+    const server = await startWithBoard('emulator:lab?timeoutRate=1', { SENSOR_READ_TIMEOUT_MS: '300' });
+    try {
+        const startedAt = Date.now();
+        const { isError, data } = await server.callTool('get_sensor_data');
+        assert.equal(isError, false);
+        assert.equal(data.status, 'timeout_simulated_data');
+        assert.equal(data.source, 'simulation');
+        assert.ok(Date.now() - startedAt >= 300);
+    } finally {
+        await server.close();
+    }
+
+    const strict = await startWithBoard('emulator:lab?timeoutRate=1', { SENSOR_READ_TIMEOUT_MS: '300', SENSOR_DATA_POLICY: 'strict' });
+    try {
+        const { isError, text } = await strict.callTool('get_sensor_data');
+        assert.equal(isError, true);
+        assert.match(text, /did not answer in time/);
+    } finally {
+        await strict.close();
+    }
+});
+
+test('counts corrupted frames from the board as unparsed', async () => {
+    const server = await startWithBoard('emulator:lab?garbageRate=1', { SENSOR_READ_TIMEOUT_MS: '300' });
+    try {
+        const before = await server.readResource('device://lab/device/health');
+        const { data } = await server.callTool('get_sensor_data');
+        assert.equal(data.status, 'timeout_simulated_data');
+        const after = await server.readResource('device://lab/device/health');
+        assert.ok(after.unparsedFrames > before.unparsedFrames, `unparsedFrames ${before.unparsedFrames} -> ${after.unparsedFrames}`);
+        assert.equal(after.realReadings, 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('records commands the firmware acknowledges and reports rejected ones', async () => {
+    const server = await startWithBoard('emulator:lab');
+    try {
+        const { isError, data } = await server.callTool('calibrate_zero', { confirm: true });
+        assert.equal(isError, false);
+        assert.equal(data.acknowledged, true);
+        assert.equal(data.response, 'OK calibrate zero');
+        await server.callTool('set_auto_baseline', { enabled: false, confirm: true });
+        const { data: info } = await server.callTool('get_device_info');
+        assert.deepEqual(info.calibrations.map(entry => entry.command), ['calibrate_zero', 'set_auto_baseline']);
+        assert.equal(info.sensorSettings.autoBaseline, false);
+    } finally {
+        await server.close();
+    }
+
+    const rejecting = await startWithBoard('emulator:lab?rejectCommands=1:json-lines');
+    try {
+        const { isError, text } = await rejecting.callTool('set_detection_range', { range: 2000, confirm: true });
+        assert.equal(isError, true);
+        assert.equal(text, 'set_detection_range rejected by lab: rejected by emulator');
+        const { data: info } = await rejecting.callTool('get_device_info');
+        assert.deepEqual(info.calibrations, []);
+    } finally {
+        await rejecting.close();
+    }
+});
+
+test('stops waiting for the board when the request is cancelled', async () => {
+    const server = await startWithBoard('emulator:lab?latencyMs=1000');
+    try {
+        server.send(JSON.stringify({ jsonrpc: '2.0', id: 'slow', method: 'tools/call', params: { name: 'get_sensor_data', arguments: {} } }));
+        server.notify('notifications/cancelled', { requestId: 'slow', reason: 'took too long' });
+        // A cancelled request gets no response, also once the board has answered
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        assert.deepEqual((await server.request('ping')).result, {});
+        assert.equal(server.messages.some(message => message.id === 'slow'), false);
+    } finally {
+        await server.close();
+    }
+});
+
+test('reconnects after the board is unplugged', async () => {
+    const server = await startWithBoard('emulator:lab?disconnectAfter=3&reconnectAfterMs=300', {
+        SENSOR_READ_TIMEOUT_MS: '300',
+        SERIAL_RECONNECT_BASE_MS: '100',
+        SERIAL_RECONNECT_MAX_MS: '200'
+    });
+    try {
+        // Read until the board is back and answers again
+        const health = await server.poll(async () => {
+            const { data } = await server.callTool('get_sensor_data');
+            const status = await server.readResource('device://lab/device/health');
+            return status.reconnectCount >= 1 && data.status === 'data_received' ? status : null;
+        }, { timeoutMs: 8000, intervalMs: 200 });
+        assert.equal(health.connectionState, 'connected');
+        assert.ok(health.realReadings >= 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('answers pending requests and exits once stdin is closed', async () => {
+    const server = await startWithBoard('emulator:lab?latencyMs=300');
+    try {
+        const response = server.request('tools/call', { name: 'get_sensor_data', arguments: {} });
+        server.child.stdin.end();
+        const { code } = await server.exited;
+        assert.equal(code, 0);
+        const { result } = await response;
+        assert.equal(JSON.parse(result.content[0].text).status, 'data_received');
+    } finally {
+        await server.close();
+    }
+});
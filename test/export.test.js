@@ -0,0 +1,115 @@
+// Data export: CSV, JSON and InfluxDB line protocol, the export resource template, and export files
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { McpHarness } from './harness.js';
+
+const MINUTE = 60 * 1000;
+
+// Two readings an hour ago: one from before multiple measurements (CO2 only), one with temperature and humidity
+const FIRST = new Date(Math.floor((Date.now() - 60 * MINUTE) / 1000) * 1000);
+const SECOND = new Date(FIRST.getTime() + MINUTE);
+const HISTORY = JSON.stringify({ timestamp: FIRST.toISOString(), co2Level: 640, status: 'simulated_data' }) + '\n'
+    + JSON.stringify({ timestamp: SECOND.toISOString(), co2Level: 700, measurements: { co2: 700, temperature: 21.5, humidity: 40 }, status: 'data_received', source: 'device' }) + '\n';
+const RANGE = { from: new Date(FIRST.getTime() - MINUTE).toISOString(), to: new Date(SECOND.getTime() + MINUTE).toISOString() };
+
+const startWithHistory = (env, files = {}) => McpHarness.start(env, { files: { 'co2_history.jsonl': HISTORY, ...files } });
+
+test('exports readings as CSV, JSON and InfluxDB line protocol', async () => {
+    const server = await startWithHistory();
+    try {
+        const { data: info } = await server.callTool('get_device_info');
+        const csv = await server.callTool('export_sensor_data', RANGE);
+        const lines = csv.text.trimEnd().split('\n');
+        assert.equal(lines[0], 'timestamp,device,device_id,status,source,co2,temperature,humidity,dewPoint,absoluteHumidity');
+        assert.equal(lines[1], `${FIRST.toISOString()},default,${info.deviceId},simulated_data,simulation,640,,,,`);
+        assert.equal(lines[2], `${SECOND.toISOString()},default,${info.deviceId},data_received,device,700,21.5,40,7.3,7.53`);
+
+        const { data: rows } = await server.callTool('export_sensor_data', { ...RANGE, format: 'json' });
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows[0], { timestamp: FIRST.toISOString(), device: 'default', deviceId: info.deviceId, status: 'simulated_data', source: 'simulation', measurements: { co2: 640 } });
+        assert.deepEqual(Object.keys(rows[1].measurements), ['co2', 'temperature', 'humidity', 'dewPoint', 'absoluteHumidity']);
+
+        const influx = await server.callTool('export_sensor_data', { ...RANGE, format: 'influx' });
+        assert.equal(influx.text.split('\n')[0], `co2_sensor,device=default,device_id=${info.deviceId},status=simulated_data,source=simulation co2=640 ${FIRST.getTime()}000000`);
+
+        const invalid = await server.request('tools/call', { name: 'export_sensor_data', arguments: { format: 'xlsx' } });
+        assert.deepEqual(invalid.error, { code: -32602, message: 'Invalid arguments for export_sensor_data: format must be one of: csv, json, influx' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('offers the export as a resource template', async () => {
+    const server = await startWithHistory();
+    try {
+        const { result } = await server.request('resources/templates/list');
+        const templates = result.resourceTemplates.map(template => template.uriTemplate);
+        assert.ok(templates.includes('device://sensor/export{?format,from,to}'));
+        assert.ok(templates.includes('device://default/sensor/export{?format,from,to}'));
+
+        const query = new URLSearchParams({ format: 'influx', ...RANGE });
+        const read = await server.request('resources/read', { uri: `device://sensor/export?${query}` });
+        const [content] = read.result.contents;
+        assert.equal(content.mimeType, 'text/plain');
+        assert.equal(content.text.trimEnd().split('\n').length, 2);
+        const invalid = await server.request('resources/read', { uri: 'device://sensor/export?format=xlsx' });
+        assert.equal(invalid.error.code, -32602);
+        assert.equal(invalid.error.message, 'Invalid format: xlsx (expected csv, json, influx)');
+    } finally {
+        await server.close();
+    }
+});
+
+test('writes the export to a file in the export directory', async () => {
+    const server = await startWithHistory();
+    try {
+        const text = (await server.callTool('export_sensor_data', RANGE)).text;
+        const { data } = await server.callTool('export_sensor_data', { ...RANGE, path: 'office/week.csv' });
+        assert.equal(data.path, path.join(server.homeDir, 'co2_exports', 'office', 'week.csv'));
+        assert.equal(data.count, 2);
+        assert.equal(data.format, 'csv');
+        assert.equal(data.bytes, Buffer.byteLength(text));
+        assert.equal(data.content, undefined);
+        assert.equal(server.readFile('co2_exports/office/week.csv'), text);
+        // An existing file is overwritten
+        await server.callTool('export_sensor_data', { ...RANGE, format: 'json', path: 'office/week.csv' });
+        assert.equal(JSON.parse(server.readFile('co2_exports/office/week.csv')).length, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('refuses export paths outside the export directory', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'co2-mcp-outside-'));
+    const server = await startWithHistory();
+    try {
+        const exportError = async (exportPath) => {
+            const response = await server.request('tools/call', { name: 'export_sensor_data', arguments: { path: exportPath } });
+            assert.equal(response.error?.code, -32602, exportPath);
+            return response.error.message;
+        };
+        for (const exportPath of [path.join(outside, 'week.csv'), '../week.csv', 'office/../../week.csv', '~/week.csv', 'office/']) {
+            assert.match(await exportError(exportPath), /^Invalid path .*: use a file path relative to the export directory, without "\.\."$/);
+        }
+        fs.mkdirSync(path.join(server.homeDir, 'co2_exports'));
+        fs.symlinkSync(outside, path.join(server.homeDir, 'co2_exports', 'elsewhere'));
+        assert.equal(await exportError('elsewhere/week.csv'), 'Invalid path "elsewhere/week.csv": elsewhere is not a regular directory');
+        fs.symlinkSync(path.join(outside, 'week.csv'), path.join(server.homeDir, 'co2_exports', 'week.csv'));
+        assert.equal(await exportError('week.csv'), 'Invalid path "week.csv": week.csv is not a regular file');
+        assert.deepEqual(fs.readdirSync(outside), []);
+    } finally {
+        await server.close();
+        fs.rmSync(outside, { recursive: true, force: true });
+    }
+
+    const disabled = await startWithHistory({}, { 'co2-sensor.config.json': JSON.stringify({ export: { dir: '' } }) });
+    try {
+        const response = await disabled.request('tools/call', { name: 'export_sensor_data', arguments: { path: 'week.csv' } });
+        assert.equal(response.error.message, 'File exports are disabled (export.dir is empty); leave out path to get the export as text');
+    } finally {
+        await disabled.close();
+    }
+});
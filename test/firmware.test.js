@@ -0,0 +1,109 @@
+// Device identity from the firmware or the USB serial number, and enter_bootloader, on emulated boards
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+// Start the server with one emulated board, named lab, and wait until the board has been identified
+const startWithBoard = async (portPath, env = {}) => {
+    const server = await McpHarness.start({ SERIAL_DEVICES: `lab=${portPath}`, SAMPLING_INTERVAL_MS: '0', ...env });
+    await server.poll(async () => (await server.callTool('get_device_info')).data.deviceIdSource !== 'name');
+    return server;
+};
+
+test('identifies a board by the firmware, the same on every start', async () => {
+    const ids = [];
+    for (let run = 0; run < 2; run++) {
+        const server = await startWithBoard('emulator:lab');
+        try {
+            const { data: info } = await server.callTool('get_device_info');
+            assert.equal(info.firmwareVersion, '1.2.0');
+            assert.equal(info.board, 'pico_w');
+            assert.equal(info.firmware.source, 'firmware');
+            assert.equal(info.deviceIdSource, 'firmware');
+            assert.match(info.serialNumber, /^[0-9A-F]{16}$/);
+            assert.equal(info.deviceId, `rpipico-${info.serialNumber.toLowerCase()}`);
+            ids.push(info.deviceId);
+        } finally {
+            await server.close();
+        }
+    }
+    assert.equal(ids[0], ids[1]);
+});
+
+test('falls back to the USB serial number and the device name', async () => {
+    // Older firmware without the info command
+    const older = await startWithBoard('emulator:lab?info=0:json-lines');
+    try {
+        const { data: info } = await older.callTool('get_device_info');
+        assert.equal(info.firmwareVersion, null);
+        assert.equal(info.board, null);
+        assert.equal(info.deviceIdSource, 'usb-serial');
+        assert.equal(info.deviceId, `rpipico-${info.serialNumber.toLowerCase()}`);
+    } finally {
+        await older.close();
+    }
+
+    const simulated = await McpHarness.start();
+    try {
+        const { data: info } = await simulated.callTool('get_device_info');
+        assert.equal(info.deviceIdSource, 'name');
+        assert.equal(info.deviceId, 'rpipico-default');
+        assert.equal(info.firmwareVersion, null);
+    } finally {
+        await simulated.close();
+    }
+});
+
+test('reboots a board into BOOTSEL and reads its new firmware version', async () => {
+    const server = await startWithBoard('emulator:lab?bootselMs=500', {
+        SERIAL_RECONNECT_BASE_MS: '100',
+        SERIAL_RECONNECT_MAX_MS: '200'
+    });
+    try {
+        const { result } = await server.request('tools/list');
+        const tool = result.tools.find(candidate => candidate.name === 'enter_bootloader');
+        assert.deepEqual(tool.inputSchema.required, []);
+        assert.deepEqual(tool.annotations, { readOnlyHint: false, destructiveHint: true, idempotentHint: false });
+
+        const unconfirmed = await server.callTool('enter_bootloader');
+        assert.equal(unconfirmed.isError, true);
+        assert.match(unconfirmed.text, /^Entering the bootloader reboots the Pico into BOOTSEL mode: .* Call enter_bootloader again with confirm: true to proceed\.$/);
+
+        const { isError, data } = await server.callTool('enter_bootloader', { confirm: true });
+        assert.equal(isError, false);
+        assert.equal(data.device, 'lab');
+        assert.equal(data.massStorage.found, true);
+        assert.equal(data.massStorage.label, 'RPI-RP2');
+        assert.match(data.message, /^lab is in BOOTSEL mode: copy a UF2 file to /);
+
+        // The board comes back with the next firmware version and the same identity
+        const info = await server.poll(async () => {
+            const current = (await server.callTool('get_device_info')).data;
+            return current.firmwareVersion === '1.2.1' ? current : null;
+        });
+        assert.equal(info.deviceIdSource, 'firmware');
+        assert.equal(info.bootloader.massStorage.found, true);
+    } finally {
+        await server.close();
+    }
+});
+
+test('refuses enter_bootloader without a Pico board', async () => {
+    const simulated = await McpHarness.start();
+    try {
+        const { isError, text } = await simulated.callTool('enter_bootloader', { confirm: true });
+        assert.equal(isError, true);
+        assert.equal(text, 'default is not connected to a board (simulation); enter_bootloader needs the real device');
+    } finally {
+        await simulated.close();
+    }
+
+    const uart = await startWithBoard('emulator:lab:mhz19b-uart');
+    try {
+        const { isError, text } = await uart.callTool('enter_bootloader', { confirm: true });
+        assert.equal(isError, true);
+        assert.equal(text, 'lab uses the mhz19b-uart driver; there is no Pico firmware to reboot into BOOTSEL');
+    } finally {
+        await uart.close();
+    }
+});
@@ -0,0 +1,197 @@
+// Test harness: starts the server as a child process and drives it over JSON-RPC on stdio, as an MCP
+// client does. Every server gets its own temporary home directory for the files it writes.
+import { spawn } from 'child_process';
+import readline from 'readline';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// A temporary home directory, optionally with files (relative path -> content) in it
+export const createHomeDir = (files = {}) => {
+    const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'co2-mcp-test-'));
+    for (const [name, content] of Object.entries(files)) {
+        const file = path.join(homeDir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+    return homeDir;
+};
+
+const spawnServer = (env, args, homeDir) => spawn(process.execPath, [SERVER_PATH, ...args], {
+    env: { PATH: process.env.PATH, HOME: homeDir, ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+});
+
+export class McpHarness {
+    constructor(child, homeDir, ownsHomeDir) {
+        this.child = child;
+        this.homeDir = homeDir;
+        this.ownsHomeDir = ownsHomeDir;
+        this.nextId = 1;
+        // Every message received, and the waits for one matching a predicate
+        this.messages = [];
+        this.waiters = [];
+        this.stderr = '';
+        // Settles once the server exited and its output was read
+        this.exited = new Promise(resolve => child.on('close', (code, signal) => resolve({ code, signal })));
+        readline.createInterface({ input: child.stdout }).on('line', (line) => {
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                message = { unparsed: line };
+            }
+            this.messages.push(message);
+            for (const waiter of [...this.waiters]) {
+                if (waiter.predicate(message)) {
+                    waiter.resolve(message);
+                }
+            }
+        });
+        child.stderr.on('data', (data) => {
+            this.stderr += data;
+        });
+        // Writes after the server exited fail with EPIPE; the test sees the exit instead
+        child.stdin.on('error', () => {});
+    }
+
+    // Start a server with the given environment variables and CLI arguments, in a new temporary home
+    // directory (with files written to it first) or in homeDir, which is then left in place. With
+    // initialized: false, notifications/initialized is left for the test to send.
+    static async start(env = {}, { args = [], homeDir, files, initialized = true } = {}) {
+        const ownsHomeDir = !homeDir;
+        if (ownsHomeDir) {
+            homeDir = createHomeDir(files);
+        }
+        const child = spawnServer(env, args, homeDir);
+        const harness = new McpHarness(child, homeDir, ownsHomeDir);
+        const { result } = await harness.request('initialize', { clientInfo: { name: 'test-harness', version: '1.0.0' } });
+        if (initialized) {
+            harness.notify('notifications/initialized');
+        }
+        harness.serverInfo = result.serverInfo;
+        harness.capabilities = result.capabilities;
+        return harness;
+    }
+
+    // Run a server that is expected to exit by itself (e.g. on invalid settings); resolves to
+    // { code, signal, stderr }
+    static async run(env = {}, { args = [], files, timeoutMs = 5000 } = {}) {
+        const homeDir = createHomeDir(files);
+        const harness = new McpHarness(spawnServer(env, args, homeDir), homeDir, true);
+        const timeoutId = setTimeout(() => harness.child.kill('SIGKILL'), timeoutMs);
+        const exit = await harness.exited;
+        clearTimeout(timeoutId);
+        fs.rmSync(homeDir, { recursive: true, force: true });
+        return { ...exit, stderr: harness.stderr };
+    }
+
+    // The first message (already received or still to come) that matches the predicate
+    waitForMessage(predicate, timeoutMs = 5000) {
+        const received = this.messages.find(predicate);
+        if (received) {
+            return Promise.resolve(received);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                predicate,
+                resolve: (message) => {
+                    clearTimeout(timeoutId);
+                    this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                    resolve(message);
+                }
+            };
+            const timeoutId = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                reject(new Error(`No matching message within ${timeoutMs} ms; stderr: ${this.stderr}`));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    send(line) {
+        this.child.stdin.write(`${line}\n`);
+    }
+
+    notify(method, params) {
+        this.send(JSON.stringify({ jsonrpc: '2.0', method, ...(params !== undefined && { params }) }));
+    }
+
+    // Send a request and resolve to its response ({ result } or { error })
+    request(method, params, timeoutMs) {
+        const id = this.nextId++;
+        this.send(JSON.stringify({ jsonrpc: '2.0', id, method, ...(params !== undefined && { params }) }));
+        return this.waitForMessage(message => message.id === id, timeoutMs);
+    }
+
+    // Call a tool; resolves to { isError, text, data } with data parsed from the text when it is JSON
+    async callTool(name, args = {}, timeoutMs) {
+        const response = await this.request('tools/call', { name, arguments: args }, timeoutMs);
+        if (response.error) {
+            throw new Error(`${name}: ${response.error.message}`);
+        }
+        const [{ text }] = response.result.content;
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Plain text result
+        }
+        return { isError: Boolean(response.result.isError), text, data };
+    }
+
+    // Read a JSON resource
+    async readResource(uri, timeoutMs) {
+        const response = await this.request('resources/read', { uri }, timeoutMs);
+        if (response.error) {
+            throw new Error(`${uri}: ${response.error.message}`);
+        }
+        return JSON.parse(response.result.contents[0].text);
+    }
+
+    // A file in the server's home directory, or null when it does not exist
+    readFile(name) {
+        try {
+            return fs.readFileSync(path.join(this.homeDir, name), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Poll until check() returns a truthy value, which is returned
+    async poll(check, { timeoutMs = 5000, intervalMs = 100 } = {}) {
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            const value = await check();
+            if (value) {
+                return value;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Condition not met within ${timeoutMs} ms`);
+            }
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    }
+
+    // End the session with the exit notification and wait for the server to exit (it is killed if
+    // it does not exit in time); resolves to { code, signal }
+    async close(timeoutMs = 5000) {
+        if (this.child.exitCode === null && this.child.signalCode === null) {
+            this.notify('exit');
+            this.child.stdin.end();
+        }
+        const timeoutId = setTimeout(() => this.child.kill('SIGKILL'), timeoutMs);
+        const exit = await this.exited;
+        clearTimeout(timeoutId);
+        if (this.ownsHomeDir) {
+            fs.rmSync(this.homeDir, { recursive: true, force: true });
+        }
+        return exit;
+    }
+}
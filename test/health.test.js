@@ -0,0 +1,53 @@
+// Connection health: reconnecting to lost ports and the device health resource
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+test('reports the health of a simulated device', async () => {
+    const server = await McpHarness.start();
+    try {
+        await server.callTool('get_sensor_data');
+        const health = await server.readResource('device://device/health');
+        assert.equal(health.name, 'default');
+        assert.equal(health.connectionState, 'simulation');
+        assert.equal(health.connected, false);
+        assert.equal(health.reconnectPending, false);
+        assert.equal(health.lastRealReadingAt, null);
+        assert.equal(health.realReadings, 0);
+        assert.ok(health.simulatedReadings >= 1);
+        assert.equal(health.realReadingRatio, 0);
+        const { data: devices } = await server.callTool('list_devices');
+        assert.equal(devices[0].connectionState, 'simulation');
+    } finally {
+        await server.close();
+    }
+});
+
+test('keeps retrying a port that cannot be opened', async () => {
+    const server = await McpHarness.start({
+        SERIAL_DEVICES: 'lab=/nonexistent/ttyACM0',
+        SERIAL_RECONNECT_BASE_MS: '100',
+        SERIAL_RECONNECT_MAX_MS: '200',
+        SENSOR_READ_TIMEOUT_MS: '300'
+    });
+    try {
+        const health = await server.poll(async () => {
+            const current = await server.readResource('device://lab/device/health');
+            return current.connectionState === 'reconnecting' ? current : null;
+        });
+        assert.equal(health.portPath, '/nonexistent/ttyACM0');
+        assert.equal(health.connected, false);
+        assert.equal(health.reconnectPending, true);
+        assert.match(health.lastError, /ENOENT|No such file/);
+        assert.ok(!isNaN(Date.parse(health.lastErrorAt)));
+        // The board is never found, so no reconnect is counted
+        assert.equal(health.reconnectCount, 0);
+
+        const { data } = await server.callTool('get_sensor_data', { device: 'lab' });
+        assert.match(data.status, /simulated_data$/);
+        const { resources } = (await server.request('resources/list')).result;
+        assert.ok(resources.some(resource => resource.uri === 'device://lab/device/health'));
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,122 @@
+// Sensor history: recording, persistence, retention in the history file and queries
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { McpHarness, createHomeDir } from './harness.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// A history file line for a reading recorded ageMs ago
+const historyLine = (ageMs, co2Level, status = 'data_received') =>
+    JSON.stringify({ timestamp: new Date(Date.now() - ageMs).toISOString(), co2Level, status }) + '\n';
+
+const historyLines = text => text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+test('records every reading in memory and in the history file', async () => {
+    const server = await McpHarness.start();
+    try {
+        const first = await server.callTool('get_sensor_data');
+        const second = await server.callTool('get_sensor_data');
+        const { data } = await server.callTool('get_sensor_history', { resolution: 'raw' });
+        assert.equal(data.resolution, 'raw');
+        assert.ok(data.count >= 2, `count ${data.count}`);
+        const levels = data.points.map(point => point.co2Level);
+        assert.ok(levels.includes(first.data.co2Level));
+        assert.ok(levels.includes(second.data.co2Level));
+        assert.ok(data.points.every(point => point.status === 'simulated_data' && !isNaN(Date.parse(point.timestamp))));
+        const lines = await server.poll(() => {
+            const text = server.readFile('co2_history.jsonl');
+            return text && historyLines(text).length >= data.count ? historyLines(text) : null;
+        });
+        assert.deepEqual(lines.slice(0, data.count), data.points);
+    } finally {
+        await server.close();
+    }
+});
+
+test('keeps the history across restarts', async () => {
+    const homeDir = createHomeDir();
+    try {
+        const first = await McpHarness.start({}, { homeDir });
+        const { data: reading } = await first.callTool('get_sensor_data');
+        await first.poll(() => first.readFile('co2_history.jsonl'));
+        await first.close();
+
+        const second = await McpHarness.start({}, { homeDir });
+        try {
+            const { data } = await second.callTool('get_sensor_history');
+            assert.ok(data.points.some(point => point.co2Level === reading.co2Level), JSON.stringify(data.points));
+        } finally {
+            await second.close();
+        }
+    } finally {
+        fs.rmSync(homeDir, { recursive: true, force: true });
+    }
+});
+
+test('removes expired and corrupted lines from the history file at startup', async () => {
+    const server = await McpHarness.start({}, {
+        files: {
+            'co2_history.jsonl': historyLine(8 * DAY, 1500) + '{"timestamp":"2026-01-0' + '\n' + historyLine(2 * DAY, 700)
+        }
+    });
+    try {
+        const lines = await server.poll(() => {
+            const text = server.readFile('co2_history.jsonl');
+            return text && !text.includes('1500') ? historyLines(text) : null;
+        });
+        assert.equal(lines[0].co2Level, 700);
+        assert.ok(lines.every(line => line.co2Level !== 1500));
+        assert.equal(server.readFile('co2_history.jsonl.tmp'), null);
+        const { data } = await server.callTool('get_sensor_history', { from: '3d' });
+        assert.equal(data.points[0].co2Level, 700);
+    } finally {
+        await server.close();
+    }
+});
+
+test('downsamples into min/max/avg buckets and keeps the most recent points over the limit', async () => {
+    // Three readings in one minute bucket 30 minutes ago, one reading 10 minutes ago
+    const bucketStart = Math.floor((Date.now() - 30 * MINUTE) / MINUTE) * MINUTE;
+    const at = (time, co2Level) => JSON.stringify({ timestamp: new Date(time).toISOString(), co2Level, status: 'data_received' }) + '\n';
+    const server = await McpHarness.start({}, {
+        files: {
+            'co2_history.jsonl': at(bucketStart + 1000, 600) + at(bucketStart + 2000, 900) + at(bucketStart + 3000, 700) + historyLine(10 * MINUTE, 500)
+        }
+    });
+    try {
+        const { data } = await server.callTool('get_sensor_history', { from: '1h', to: '5m', resolution: '1m' });
+        assert.equal(data.count, 2);
+        assert.deepEqual(data.points[0], {
+            timestamp: new Date(bucketStart).toISOString(),
+            min: 600,
+            max: 900,
+            avg: 733.3,
+            count: 3,
+            statuses: { data_received: 3 },
+            measurements: { co2: { min: 600, max: 900, avg: 733.3, count: 3 } }
+        });
+        assert.equal(data.points[1].avg, 500);
+
+        const limited = await server.readResource('device://sensor/history?from=1h&to=5m&limit=2');
+        assert.equal(limited.truncated, true);
+        assert.deepEqual(limited.points.map(point => point.co2Level), [700, 500]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects an unknown resolution or time value', async () => {
+    const server = await McpHarness.start();
+    try {
+        const resolution = await server.request('tools/call', { name: 'get_sensor_history', arguments: { resolution: '2m' } });
+        assert.equal(resolution.error.code, -32602);
+        assert.equal(resolution.error.message, 'Invalid arguments for get_sensor_history: resolution must be one of: raw, 1m, 5m, 1h');
+        const time = await server.request('resources/read', { uri: 'device://sensor/history?from=yesterday' });
+        assert.equal(time.error.code, -32602);
+        assert.match(time.error.message, /Invalid time value/);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,214 @@
+// Streamable HTTP transport: sessions, JSON-RPC over POST, Server-Sent Events and request checks
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import { McpHarness } from './harness.js';
+
+const INITIALIZE = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { clientInfo: { name: 'http-test', version: '1.0.0' } } };
+
+// A port nobody listens on
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+// One HTTP request to the server; resolves with status, headers and the parsed body
+const httpRequest = (port, { method = 'POST', path = '/mcp', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers } }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+        });
+    });
+    req.on('error', reject);
+    req.end(payload);
+});
+
+// Start the server with the HTTP transport and wait until it accepts connections
+const startHttp = async (env = {}) => {
+    const port = await freePort();
+    const server = await McpHarness.start({ HTTP_ENABLED: 'true', HTTP_PORT: String(port), ...env });
+    await server.poll(() => httpRequest(port, { method: 'GET', path: '/' }).then(() => true, () => false));
+    return { server, port };
+};
+
+// Open a session and return a function posting to it
+const openSession = async (port, headers = {}) => {
+    const response = await httpRequest(port, { headers, body: INITIALIZE });
+    assert.equal(response.status, 200);
+    const sessionId = response.headers['mcp-session-id'];
+    assert.ok(sessionId);
+    const post = body => httpRequest(port, { headers: { ...headers, 'Mcp-Session-Id': sessionId }, body });
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    return { sessionId, post };
+};
+
+test('serves JSON-RPC requests and batches in a session', async () => {
+    const { server, port } = await startHttp();
+    try {
+        const { post } = await openSession(port);
+        const tools = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+        assert.equal(tools.status, 200);
+        assert.equal(tools.body.id, 2);
+        assert.ok(tools.body.result.tools.some(tool => tool.name === 'get_sensor_data'));
+
+        const notification = await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        assert.equal(notification.status, 202);
+        assert.equal(notification.body, null);
+
+        const batch = await post([
+            { jsonrpc: '2.0', id: 'a', method: 'tools/call', params: { name: 'list_devices', arguments: {} } },
+            { jsonrpc: '2.0', id: 'b', method: 'resources/list' }
+        ]);
+        assert.deepEqual(batch.body.map(response => response.id).sort(), ['a', 'b']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('answers invalid messages with -32600 right away', async () => {
+    const { server, port } = await startHttp();
+    try {
+        const { post } = await openSession(port);
+        const objectId = await post({ jsonrpc: '2.0', id: { n: 1 }, method: 'tools/list' });
+        assert.equal(objectId.status, 200);
+        assert.deepEqual(objectId.body, { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request: id must be a string or number' } });
+
+        const noMethod = await post({ jsonrpc: '2.0', id: 7 });
+        assert.equal(noMethod.status, 200);
+        assert.deepEqual(noMethod.body, { jsonrpc: '2.0', id: 7, error: { code: -32600, message: 'Invalid Request: missing method' } });
+
+        const batch = await post([{ jsonrpc: '2.0', id: 8, method: 'tools/list' }, 42]);
+        assert.equal(batch.body.length, 2);
+        assert.ok(batch.body.find(response => response.id === 8).result.tools);
+        assert.deepEqual(batch.body.find(response => response.id === null).error, { code: -32600, message: 'Invalid Request' });
+
+        const parseError = await post('{"jsonrpc":');
+        assert.equal(parseError.status, 400);
+        assert.equal(parseError.body.error.code, -32700);
+    } finally {
+        await server.close();
+    }
+});
+
+test('keeps concurrent POSTs with the same request id apart', async () => {
+    const { server, port } = await startHttp();
+    try {
+        const { post } = await openSession(port);
+        const [info, devices] = await Promise.all([
+            post({ jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'get_device_info', arguments: {} } }),
+            post({ jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'list_devices', arguments: {} } })
+        ]);
+        assert.equal(info.body.id, 5);
+        assert.equal(devices.body.id, 5);
+        assert.equal(JSON.parse(info.body.result.content[0].text).name, 'default');
+        assert.ok(Array.isArray(JSON.parse(devices.body.result.content[0].text)));
+    } finally {
+        await server.close();
+    }
+});
+
+test('pushes notifications over Server-Sent Events and ends sessions on DELETE', async () => {
+    const { server, port } = await startHttp();
+    try {
+        const { sessionId, post } = await openSession(port);
+        const wrongAccept = await httpRequest(port, { method: 'GET', headers: { 'Mcp-Session-Id': sessionId, Accept: 'application/json' } });
+        assert.equal(wrongAccept.status, 406);
+
+        const events = [];
+        const stream = await new Promise((resolve, reject) => {
+            const req = http.get({ host: '127.0.0.1', port, path: '/mcp', headers: { 'Mcp-Session-Id': sessionId, Accept: 'text/event-stream' } }, (res) => {
+                assert.equal(res.headers['content-type'], 'text/event-stream');
+                res.setEncoding('utf8');
+                res.on('data', (text) => {
+                    for (const match of text.matchAll(/^data: (.*)$/gm)) {
+                        events.push(JSON.parse(match[1]));
+                    }
+                });
+                resolve(req);
+            });
+            req.on('error', reject);
+        });
+        try {
+            await post({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'set_alert_rule', arguments: { metric: 'co2', warn: 300, minDurationSec: 0 } } });
+            await post({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'get_sensor_data', arguments: {} } });
+            const alert = await server.poll(() => events.find(event => event.params?.logger === 'alerts'));
+            assert.equal(alert.method, 'notifications/message');
+        } finally {
+            stream.destroy();
+        }
+
+        const deleted = await httpRequest(port, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+        assert.equal(deleted.status, 200);
+        const afterDelete = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' });
+        assert.equal(afterDelete.status, 404);
+        assert.equal(afterDelete.body.error.message, 'Unknown session');
+    } finally {
+        await server.close();
+    }
+});
+
+test('requires a session, the bearer token and a local origin and host', async () => {
+    const { server, port } = await startHttp({ HTTP_AUTH_TOKEN: 'secret', HTTP_MAX_BODY_BYTES: '2048' });
+    try {
+        const auth = { Authorization: 'Bearer secret' };
+        const noToken = await httpRequest(port, { body: INITIALIZE });
+        assert.equal(noToken.status, 401);
+        assert.equal(noToken.headers['www-authenticate'], 'Bearer');
+        const wrongToken = await httpRequest(port, { headers: { Authorization: 'Bearer guess' }, body: INITIALIZE });
+        assert.equal(wrongToken.status, 401);
+
+        const noSession = await httpRequest(port, { headers: auth, body: { jsonrpc: '2.0', id: 1, method: 'tools/list' } });
+        assert.equal(noSession.status, 400);
+        assert.equal(noSession.body.error.message, 'Missing Mcp-Session-Id header');
+
+        const origin = await httpRequest(port, { headers: { ...auth, Origin: 'https://evil.example' }, body: INITIALIZE });
+        assert.equal(origin.status, 403);
+        const host = await httpRequest(port, { headers: { ...auth, Host: `evil.example:${port}` }, body: INITIALIZE });
+        assert.equal(host.status, 403);
+        const localOrigin = await httpRequest(port, { headers: { ...auth, Origin: `http://localhost:${port}` }, body: INITIALIZE });
+        assert.equal(localOrigin.status, 200);
+
+        const tooLarge = await httpRequest(port, { headers: auth, body: { ...INITIALIZE, params: { padding: 'x'.repeat(4096) } } });
+        assert.equal(tooLarge.status, 413);
+
+        const notFound = await httpRequest(port, { path: '/other', headers: auth, body: INITIALIZE });
+        assert.equal(notFound.status, 404);
+    } finally {
+        await server.close();
+    }
+});
+
+test('requires a token when listening beyond localhost', async () => {
+    const { code, stderr } = await McpHarness.run({ HTTP_ENABLED: 'true', HTTP_HOST: '0.0.0.0' });
+    assert.equal(code, 1);
+    assert.match(stderr, /http\.authToken: required when http\.host \(0\.0\.0\.0\) is not a loopback address/);
+});
+
+test('ends a POST whose request the client cancelled', async () => {
+    const { server, port } = await startHttp({ SERIAL_DEVICES: 'lab=emulator:lab?latencyMs=1000' });
+    try {
+        const { post } = await openSession(port);
+        const slow = post({ jsonrpc: '2.0', id: 9, method: 'tools/call', params: { name: 'get_sensor_data', arguments: {} } });
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const cancel = await post({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 9, reason: 'took too long' } });
+        assert.equal(cancel.status, 202);
+        // The cancelled request gets no response, so its POST ends without one
+        const cancelled = await slow;
+        assert.equal(cancelled.status, 202);
+        assert.equal(cancelled.body, null);
+        const after = await post({ jsonrpc: '2.0', id: 9, method: 'tools/call', params: { name: 'list_devices', arguments: {} } });
+        assert.equal(after.body.id, 9);
+        assert.ok(after.body.result);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,108 @@
+// JSON-RPC 2.0 handling: errors, batches, tool argument validation and notifications
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+test('answers ping and reports unknown methods', async () => {
+    const server = await McpHarness.start();
+    try {
+        assert.deepEqual((await server.request('ping')).result, {});
+        const unknown = await server.request('sensors/calibrate');
+        assert.deepEqual(unknown.error, { code: -32601, message: 'Method not found: sensors/calibrate' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects malformed JSON and invalid messages', async () => {
+    const server = await McpHarness.start();
+    try {
+        server.send('{"jsonrpc":"2.0","id":');
+        const parseError = await server.waitForMessage(message => message.error?.code === -32700);
+        assert.equal(parseError.id, null);
+
+        server.send(JSON.stringify({ jsonrpc: '2.0', id: { n: 1 }, method: 'ping' }));
+        const objectId = await server.waitForMessage(message => message.error?.message === 'Invalid Request: id must be a string or number');
+        assert.equal(objectId.id, null);
+        assert.equal(objectId.error.code, -32600);
+
+        server.send(JSON.stringify({ jsonrpc: '2.0', id: 'no-method' }));
+        const noMethod = await server.waitForMessage(message => message.id === 'no-method');
+        assert.deepEqual(noMethod.error, { code: -32600, message: 'Invalid Request: missing method' });
+
+        server.send(JSON.stringify({ id: 'no-version', method: 'ping' }));
+        const noVersion = await server.waitForMessage(message => message.id === 'no-version');
+        assert.deepEqual(noVersion.error, { code: -32600, message: 'Invalid Request: missing jsonrpc version' });
+
+        server.send(JSON.stringify({ jsonrpc: '2.0', id: 'params', method: 'ping', params: 'all' }));
+        const params = await server.waitForMessage(message => message.id === 'params');
+        assert.deepEqual(params.error, { code: -32600, message: 'Invalid Request: params must be an object' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('answers a batch with an array of responses', async () => {
+    const server = await McpHarness.start();
+    try {
+        server.send(JSON.stringify([
+            { jsonrpc: '2.0', id: 'tools', method: 'tools/list' },
+            { jsonrpc: '2.0', method: 'notifications/initialized' },
+            { jsonrpc: '2.0', id: 'devices', method: 'tools/call', params: { name: 'list_devices', arguments: {} } },
+            5
+        ]));
+        const batch = await server.waitForMessage(Array.isArray);
+        assert.equal(batch.length, 3);
+        assert.ok(batch.find(response => response.id === 'tools').result.tools.length > 0);
+        assert.ok(batch.find(response => response.id === 'devices').result.content);
+        assert.deepEqual(batch.find(response => response.id === null).error, { code: -32600, message: 'Invalid Request: not an object' });
+
+        server.send('[]');
+        const empty = await server.waitForMessage(message => message.error?.message === 'Invalid Request: empty batch');
+        assert.equal(empty.id, null);
+
+        // A batch of notifications gets no response at all
+        const count = server.messages.length;
+        server.send(JSON.stringify([{ jsonrpc: '2.0', method: 'notifications/initialized' }]));
+        assert.deepEqual((await server.request('ping')).result, {});
+        assert.equal(server.messages.length, count + 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('validates tool arguments against the input schema', async () => {
+    const server = await McpHarness.start();
+    try {
+        const { result } = await server.request('tools/list');
+        for (const tool of result.tools) {
+            assert.equal(tool.inputSchema.type, 'object', tool.name);
+            assert.ok(Array.isArray(tool.inputSchema.required), tool.name);
+        }
+        const wrongType = await server.request('tools/call', { name: 'get_sensor_history', arguments: { limit: '10' } });
+        assert.deepEqual(wrongType.error, { code: -32602, message: 'Invalid arguments for get_sensor_history: limit must be a number' });
+        const missing = await server.request('tools/call', { name: 'acknowledge_alert', arguments: {} });
+        assert.deepEqual(missing.error, { code: -32602, message: 'Invalid arguments for acknowledge_alert: id is required' });
+        const notObject = await server.request('tools/call', { name: 'list_devices', arguments: [] });
+        assert.deepEqual(notObject.error, { code: -32602, message: 'Invalid arguments for list_devices: arguments must be an object' });
+        const unknown = await server.request('tools/call', { name: 'open_window', arguments: {} });
+        assert.deepEqual(unknown.error, { code: -32602, message: 'Unknown tool: open_window' });
+        const noName = await server.request('tools/call', {});
+        assert.deepEqual(noName.error, { code: -32602, message: 'Invalid params: name is required' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('ignores cancellations of requests that are not pending and closes on exit', async () => {
+    const server = await McpHarness.start();
+    try {
+        server.notify('notifications/cancelled', { requestId: 999, reason: 'changed my mind' });
+        assert.deepEqual((await server.request('ping')).result, {});
+        server.notify('exit');
+        const { code } = await server.exited;
+        assert.equal(code, 0);
+    } finally {
+        await server.close();
+    }
+});
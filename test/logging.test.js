@@ -0,0 +1,88 @@
+// Structured logging: the JSON lines log file, its rotation, and log messages forwarded to MCP clients
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { McpHarness } from './harness.js';
+
+const logEntries = text => text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+// Log messages about sensor reads pushed to the client
+const sensorMessages = server => server.messages.filter(message => message.method === 'notifications/message' && message.params.logger === 'sensor');
+
+test('writes JSON lines at or above log.level to the log file', async () => {
+    const server = await McpHarness.start({ LOG_LEVEL: 'debug', LOG_FILE: '~/server.log' });
+    try {
+        const { data } = await server.callTool('get_sensor_data');
+        const entries = await server.poll(() => {
+            const text = server.readFile('server.log');
+            return text && logEntries(text).some(entry => entry.message === `sensor data requested: ${data.co2Level}`) ? logEntries(text) : null;
+        });
+        const entry = entries.find(candidate => candidate.message === `sensor data requested: ${data.co2Level}`);
+        assert.equal(entry.level, 'debug');
+        assert.equal(entry.logger, 'sensor');
+        assert.deepEqual(entry.data, { device: 'default' });
+        assert.ok(!isNaN(Date.parse(entry.timestamp)));
+    } finally {
+        await server.close();
+    }
+
+    const quiet = await McpHarness.start({ LOG_LEVEL: 'warning' });
+    try {
+        await quiet.callTool('get_sensor_data');
+        await quiet.callTool('get_device_info');
+        const text = quiet.readFile('co2_level.log') || '';
+        assert.ok(logEntries(text).every(entry => ['warning', 'error', 'critical', 'alert', 'emergency'].includes(entry.level)), text);
+    } finally {
+        await quiet.close();
+    }
+});
+
+test('rotates the log file by size and keeps log.maxFiles rotated files', async () => {
+    const server = await McpHarness.start({ LOG_LEVEL: 'debug', LOG_MAX_SIZE_MB: '0.001', LOG_MAX_FILES: '2' });
+    try {
+        for (let i = 0; i < 20; i++) {
+            await server.callTool('get_sensor_data');
+        }
+        const rotated = fs.readdirSync(server.homeDir).filter(name => /^co2_level\.\d{4}-\d{2}-\d{2}(\.\d+)?\.log$/.test(name));
+        assert.equal(rotated.length, 2, rotated.join(', '));
+        assert.ok(server.readFile('co2_level.log').length <= 1048);
+    } finally {
+        await server.close();
+    }
+});
+
+test('forwards log entries at the client level once the client is initialized', async () => {
+    const server = await McpHarness.start({ LOG_NOTIFY_LEVEL: 'debug' }, { initialized: false });
+    try {
+        await server.callTool('get_sensor_data');
+        assert.deepEqual(sensorMessages(server), []);
+
+        server.notify('notifications/initialized');
+        const { data } = await server.callTool('get_sensor_data');
+        const message = await server.waitForMessage(candidate => candidate.params?.data?.message === `sensor data requested: ${data.co2Level}`);
+        assert.equal(message.method, 'notifications/message');
+        assert.equal(message.params.level, 'debug');
+        assert.equal(message.params.logger, 'sensor');
+        assert.equal(message.params.data.device, 'default');
+    } finally {
+        await server.close();
+    }
+});
+
+test('forwards warnings and above by default until the client sets its level', async () => {
+    const server = await McpHarness.start();
+    try {
+        await server.callTool('get_sensor_data');
+        assert.deepEqual(sensorMessages(server), []);
+
+        assert.deepEqual((await server.request('logging/setLevel', { level: 'debug' })).result, {});
+        await server.callTool('get_sensor_data');
+        await server.waitForMessage(message => message.params?.logger === 'sensor');
+
+        const invalid = await server.request('logging/setLevel', { level: 'verbose' });
+        assert.equal(invalid.error.code, -32602);
+        assert.match(invalid.error.message, /^Invalid log level: expected one of debug, info/);
+    } finally {
+        await server.close();
+    }
+});
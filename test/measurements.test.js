@@ -0,0 +1,95 @@
+// Multi-metric sensor data: measurements with units, derived humidity metrics and metric filters
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+const MINUTE = 60 * 1000;
+
+// Dew point and absolute humidity as documented (Magnus formula, Sonntag 1990)
+const expectedDerived = (temperature, humidity) => {
+    const gamma = Math.log(humidity / 100) + (17.62 * temperature) / (243.12 + temperature);
+    const vapourPressure = 6.112 * Math.exp((17.62 * temperature) / (243.12 + temperature)) * humidity / 100;
+    return {
+        dewPoint: Math.round((243.12 * gamma) / (17.62 - gamma) * 10) / 10,
+        absoluteHumidity: Math.round(216.7 * vapourPressure / (273.15 + temperature) * 100) / 100
+    };
+};
+
+test('reports every metric of the driver with units, plus derived metrics', async () => {
+    const server = await McpHarness.start({ SENSOR_DRIVER: 'json-lines' });
+    try {
+        const { data } = await server.callTool('get_sensor_data');
+        const { co2, temperature, humidity, dewPoint, absoluteHumidity } = data.measurements;
+        assert.equal(co2.unit, 'ppm');
+        assert.equal(co2.value, data.co2Level);
+        assert.ok(co2.value >= 400 && co2.value <= 2000);
+        assert.equal(temperature.unit, '°C');
+        assert.ok(temperature.value > 15 && temperature.value < 30);
+        assert.equal(humidity.unit, '%RH');
+        assert.ok(humidity.value >= 15 && humidity.value <= 90);
+        assert.equal(dewPoint.unit, '°C');
+        assert.equal(absoluteHumidity.unit, 'g/m³');
+        assert.deepEqual({ dewPoint: dewPoint.value, absoluteHumidity: absoluteHumidity.value }, expectedDerived(temperature.value, humidity.value));
+        assert.ok(!isNaN(Date.parse(co2.timestamp)));
+    } finally {
+        await server.close();
+    }
+});
+
+test('reports only CO2 for the MH-Z19B text protocol', async () => {
+    const server = await McpHarness.start();
+    try {
+        const { data } = await server.callTool('get_sensor_data');
+        assert.deepEqual(Object.keys(data.measurements), ['co2']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('filters measurements by metric name', async () => {
+    const server = await McpHarness.start({ SENSOR_DRIVER: 'json-lines' });
+    try {
+        const { data } = await server.callTool('get_sensor_data', { metrics: ['co2', 'dewPoint'] });
+        assert.deepEqual(Object.keys(data.measurements).sort(), ['co2', 'dewPoint']);
+        const resource = await server.readResource('device://sensor/data?metrics=humidity');
+        assert.deepEqual(Object.keys(resource.measurements), ['humidity']);
+        assert.equal(typeof resource.co2Level, 'number');
+
+        const tool = await server.request('tools/call', { name: 'get_sensor_data', arguments: { metrics: ['pressure'] } });
+        assert.equal(tool.error.code, -32602);
+        assert.equal(tool.error.message, 'Invalid arguments for get_sensor_data: metrics[0] must be one of: co2, temperature, humidity, dewPoint, absoluteHumidity');
+        const read = await server.request('resources/read', { uri: 'device://sensor/data?metrics=co2,voc' });
+        assert.equal(read.error.message, 'Unknown metric: voc');
+    } finally {
+        await server.close();
+    }
+});
+
+test('records the measurements and summarizes each of them in history buckets', async () => {
+    const bucketStart = Math.floor((Date.now() - 30 * MINUTE) / MINUTE) * MINUTE;
+    const at = (offset, co2, temperature, humidity) => JSON.stringify({
+        timestamp: new Date(bucketStart + offset).toISOString(),
+        co2Level: co2,
+        measurements: { co2, temperature, humidity },
+        status: 'data_received'
+    }) + '\n';
+    const server = await McpHarness.start({ SENSOR_DRIVER: 'json-lines' }, {
+        files: { 'co2_history.jsonl': at(1000, 600, 21.0, 40) + at(2000, 800, 22.5, 44) }
+    });
+    try {
+        const { data } = await server.callTool('get_sensor_history', { from: '1h', to: '5m', resolution: '5m' });
+        assert.equal(data.count, 1);
+        assert.deepEqual(data.points[0].measurements, {
+            co2: { min: 600, max: 800, avg: 700, count: 2 },
+            temperature: { min: 21, max: 22.5, avg: 21.8, count: 2 },
+            humidity: { min: 40, max: 44, avg: 42, count: 2 }
+        });
+
+        const { data: reading } = await server.callTool('get_sensor_data');
+        const { data: raw } = await server.callTool('get_sensor_history', { from: '1m' });
+        const recorded = raw.points.find(point => point.co2Level === reading.co2Level);
+        assert.deepEqual(Object.keys(recorded.measurements).sort(), ['co2', 'humidity', 'temperature']);
+    } finally {
+        await server.close();
+    }
+});
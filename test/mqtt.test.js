@@ -0,0 +1,171 @@
+// MQTT publishing against an in-process broker (aedes) on a local port
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { Aedes } from 'aedes';
+import { McpHarness } from './harness.js';
+
+// Start a broker on a free port; it records every message published by a client
+const startBroker = async () => {
+    const broker = await Aedes.createBroker();
+    const published = [];
+    broker.on('publish', (packet, client) => {
+        if (!packet.topic.startsWith('$SYS/')) {
+            published.push({ clientId: client?.id ?? null, topic: packet.topic, payload: packet.payload.toString(), qos: packet.qos, retain: packet.retain });
+        }
+    });
+    const server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        broker,
+        published,
+        url: `mqtt://127.0.0.1:${server.address().port}`,
+        // Drop every client connection, as a restarting broker does
+        dropClients() {
+            for (const client of Object.values(broker.clients)) {
+                client.conn.destroy();
+            }
+        },
+        async close() {
+            await new Promise(resolve => broker.close(resolve));
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+};
+
+const waitForConnection = (server, connected = true, timeoutMs = 5000) =>
+    server.poll(async () => (await server.callTool('get_network_status')).data.mqttConnected === connected, { timeoutMs, intervalMs: 200 });
+
+test('publishes sensor data to the configured topic', async () => {
+    const broker = await startBroker();
+    const server = await McpHarness.start({
+        MQTT_URL: broker.url,
+        MQTT_TOPIC: 'lab/co2',
+        MQTT_QOS: '1',
+        MQTT_RETAIN: 'true',
+        MQTT_CLIENT_ID: 'co2-test'
+    });
+    try {
+        await waitForConnection(server);
+        const { data: status } = await server.callTool('get_network_status');
+        assert.equal(status.mqttBroker, '127.0.0.1');
+        assert.equal(status.mqttTopic, 'lab/co2');
+        const { data: reading } = await server.callTool('get_sensor_data');
+        const { data: result } = await server.callTool('publish_mqtt_data');
+        assert.equal(result.success, true);
+        assert.equal(result.topic, 'lab/co2');
+
+        const message = await server.poll(() => broker.published.find(entry => entry.topic === 'lab/co2'));
+        assert.equal(message.clientId, 'co2-test');
+        assert.equal(message.qos, 1);
+        assert.equal(message.retain, true);
+        const payload = JSON.parse(message.payload);
+        assert.equal(payload.co2Level, reading.co2Level);
+        assert.equal(payload.unit, 'ppm');
+        assert.equal(payload.status, 'simulated_data');
+        assert.equal(typeof payload.deviceId, 'string');
+        assert.ok(!isNaN(Date.parse(payload.timestamp)));
+        const { data: after } = await server.callTool('get_network_status');
+        assert.ok(after.mqttLastPublish);
+    } finally {
+        await server.close();
+        await broker.close();
+    }
+});
+
+test('publishes the last will when the server goes away', async () => {
+    const broker = await startBroker();
+    const server = await McpHarness.start({ MQTT_URL: broker.url, MQTT_WILL_TOPIC: 'lab/status', MQTT_WILL_PAYLOAD: 'gone' });
+    try {
+        await waitForConnection(server);
+        server.child.kill('SIGKILL');
+        const will = await server.poll(() => broker.published.find(entry => entry.topic === 'lab/status'));
+        assert.equal(will.payload, 'gone');
+        assert.equal(will.retain, true);
+    } finally {
+        await server.close();
+        await broker.close();
+    }
+});
+
+test('reconnects when the broker drops the connection', async () => {
+    const broker = await startBroker();
+    let connections = 0;
+    broker.broker.on('client', () => connections++);
+    const server = await McpHarness.start({ MQTT_URL: broker.url });
+    try {
+        await waitForConnection(server);
+        broker.dropClients();
+        await waitForConnection(server, false);
+        const { data: offline } = await server.callTool('publish_mqtt_data');
+        assert.equal(offline.success, false);
+        assert.equal(offline.message, 'MQTT not connected');
+        // The client retries every 5 seconds
+        await waitForConnection(server, true, 10000);
+        assert.equal(connections, 2);
+        const { data: result } = await server.callTool('publish_mqtt_data');
+        assert.equal(result.success, true);
+        await server.poll(() => broker.published.find(entry => entry.topic === 'sensor/1'));
+    } finally {
+        await server.close();
+        await broker.close();
+    }
+});
+
+test('reconnect_mqtt opens a new connection', async () => {
+    const broker = await startBroker();
+    let connections = 0;
+    broker.broker.on('client', () => connections++);
+    const server = await McpHarness.start({ MQTT_URL: broker.url });
+    try {
+        await waitForConnection(server);
+        const { data } = await server.callTool('reconnect_mqtt');
+        assert.equal(data.success, true);
+        await server.poll(async () => connections === 2 && (await server.callTool('get_network_status')).data.mqttConnected);
+    } finally {
+        await server.close();
+        await broker.close();
+    }
+});
+
+test('reports an unreachable broker and logs the error once', async () => {
+    // A port nobody listens on
+    const probe = net.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+    const server = await McpHarness.start({ MQTT_URL: `mqtt://127.0.0.1:${port}` });
+    try {
+        const status = await server.poll(async () => {
+            const { data } = await server.callTool('get_network_status');
+            return data.mqttLastError ? data : null;
+        });
+        assert.equal(status.mqttConnected, false);
+        assert.match(status.mqttLastError, /ECONNREFUSED/);
+        const { data } = await server.callTool('publish_mqtt_data');
+        assert.equal(data.success, false);
+        assert.equal(data.message, 'MQTT not connected');
+        // Wait for the second connection attempt 5 seconds later, which fails the same way
+        await new Promise(resolve => setTimeout(resolve, 6000));
+        const errors = server.readFile('co2_level.log').split('\n').filter(line => line.includes('MQTT error'));
+        assert.equal(errors.length, 1, errors.join('\n'));
+    } finally {
+        await server.close();
+    }
+});
+
+test('reports that MQTT is not configured without a broker URL', async () => {
+    const server = await McpHarness.start();
+    try {
+        const { data: status } = await server.callTool('get_network_status');
+        assert.equal(status.mqttConfigured, false);
+        assert.equal(status.mqttConnected, false);
+        const { data: published } = await server.callTool('publish_mqtt_data');
+        assert.equal(published.success, false);
+        assert.match(published.message, /MQTT not configured/);
+        const { data: reconnect } = await server.callTool('reconnect_mqtt');
+        assert.equal(reconnect.success, false);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,105 @@
+// Network status from the Pico W firmware or the host, and WiFi reconnects through the firmware
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+// Start the server with one emulated board, named lab, and wait until its port is open
+const startWithBoard = async (portPath, env = {}) => {
+    const server = await McpHarness.start({ SERIAL_DEVICES: `lab=${portPath}`, SAMPLING_INTERVAL_MS: '0', ...env });
+    await server.poll(async () => (await server.callTool('list_devices')).data[0].connectionState === 'connected');
+    return server;
+};
+
+test('reports the network of a Pico W', async () => {
+    const server = await startWithBoard('emulator:lab?seed=1');
+    try {
+        const { data } = await server.callTool('get_network_status');
+        assert.equal(data.networkSource, 'firmware');
+        assert.equal(data.wifiState, 'connected');
+        assert.equal(data.wifiConnected, true);
+        assert.equal(data.wifiSSID, 'EmulatedWiFi');
+        assert.equal(typeof data.wifiRSSI, 'number');
+        assert.match(data.ipAddress, /^10\.0\.0\.\d+$/);
+        const resource = await server.readResource('device://network/status');
+        assert.equal(resource.networkSource, 'firmware');
+    } finally {
+        await server.close();
+    }
+});
+
+test('reports the host network without a WiFi firmware', async () => {
+    const server = await startWithBoard('emulator:lab?wifi=0');
+    try {
+        const { data } = await server.callTool('get_network_status');
+        assert.equal(data.networkSource, 'host');
+        assert.equal(data.wifiSSID, null);
+        assert.equal(data.wifiRSSI, null);
+        const { isError, text } = await server.callTool('reconnect_wifi');
+        assert.equal(isError, true);
+        assert.equal(text, 'lab has no WiFi firmware to reconnect (network status comes from the host)');
+    } finally {
+        await server.close();
+    }
+
+    const forced = await McpHarness.start({ NETWORK_PROVIDER: 'firmware' });
+    try {
+        const { data } = await forced.callTool('get_network_status');
+        assert.equal(data.wifiState, 'unknown');
+        assert.equal(data.networkError, 'default is not connected to a firmware that reports its network');
+        const { isError, text } = await forced.callTool('reconnect_wifi');
+        assert.equal(isError, true);
+        assert.equal(text, 'default is not connected to a WiFi board (simulation); reconnect_wifi needs the real device');
+    } finally {
+        await forced.close();
+    }
+});
+
+test('reconnects WiFi through the firmware and reports progress', async () => {
+    const server = await startWithBoard('emulator:lab?seed=1&wifiReconnectMs=300');
+    try {
+        // A status request still being answered must not end the reconnect early
+        await server.callTool('get_network_status');
+        const { result } = await server.request('tools/call', { name: 'reconnect_wifi', arguments: {}, _meta: { progressToken: 'wifi-1' } });
+        const reconnect = JSON.parse(result.content[0].text);
+        assert.equal(reconnect.success, true);
+        assert.equal(reconnect.ssid, 'EmulatedWiFi');
+        assert.ok(reconnect.durationMs >= 300, `durationMs ${reconnect.durationMs}`);
+        assert.deepEqual(reconnect.steps.map(step => step.message), [
+            'Reconnect command acknowledged',
+            'WiFi connecting (EmulatedWiFi)',
+            'WiFi connected (EmulatedWiFi)'
+        ]);
+        const progress = server.messages.filter(message => message.method === 'notifications/progress');
+        assert.deepEqual(progress.map(message => [message.params.progressToken, message.params.progress, message.params.total]), [
+            ['wifi-1', 1, 3], ['wifi-1', 2, 3], ['wifi-1', 3, 3]
+        ]);
+        const { data } = await server.callTool('get_network_status');
+        assert.equal(data.wifiState, 'connected');
+        assert.equal(data.ipAddress, reconnect.ipAddress);
+        assert.equal(data.wifiReconnect.state, 'connected');
+    } finally {
+        await server.close();
+    }
+});
+
+test('reports failed and timed out WiFi reconnects as tool errors', async () => {
+    const failing = await startWithBoard('emulator:lab?wifiFailRate=1&wifiReconnectMs=200:json-lines');
+    try {
+        const { isError, text } = await failing.callTool('reconnect_wifi');
+        assert.equal(isError, true);
+        assert.equal(text, 'WiFi reconnect of lab failed: no answer from the access point');
+        const { data } = await failing.callTool('get_network_status');
+        assert.equal(data.wifiReconnect.state, 'failed');
+    } finally {
+        await failing.close();
+    }
+
+    const slow = await startWithBoard('emulator:lab?wifiReconnectMs=5000', { NETWORK_RECONNECT_TIMEOUT_MS: '1000' });
+    try {
+        const { isError, text } = await slow.callTool('reconnect_wifi');
+        assert.equal(isError, true);
+        assert.equal(text, 'WiFi reconnect of lab did not finish within 1000 ms');
+    } finally {
+        await slow.close();
+    }
+});
@@ -0,0 +1,92 @@
+// Power and battery: the simulated battery, firmware power reports, power modes and low-battery alerts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+// Alert log messages pushed to the client
+const alertMessages = server => server.messages.filter(message => message.method === 'notifications/message' && message.params.logger === 'alerts');
+
+// The battery rule of the defaults, without waiting for the minimum duration
+const BATTERY_RULE = { id: 'battery', metric: 'battery', direction: 'below', warn: 20, critical: 10, hysteresis: 2, minDurationSec: 0 };
+
+// Start the server with one emulated board, named lab, and wait until its port is open
+const startWithBoard = async (portPath, env = {}) => {
+    const server = await McpHarness.start({ SERIAL_DEVICES: `lab=${portPath}`, SAMPLING_INTERVAL_MS: '0', ...env });
+    await server.poll(async () => (await server.callTool('list_devices')).data[0].connectionState === 'connected');
+    return server;
+};
+
+test('models the battery of a simulated device', async () => {
+    const server = await McpHarness.start();
+    try {
+        const power = await server.readResource('device://power/status');
+        assert.equal(power.source, 'simulation');
+        assert.equal(power.supply, 'battery');
+        assert.equal(power.batteryLevel, 85);
+        assert.equal(power.voltage, 4.05);
+        assert.equal(power.mode, 'normal');
+        assert.equal(power.averageCurrentMa, 60);
+        // 85% of 2000 mAh at 60 mA
+        assert.equal(power.estimatedRuntimeHours, 28.3);
+
+        const { data: mode } = await server.callTool('set_power_mode', { mode: 'low-power' });
+        assert.equal(mode.mode, 'low-power');
+        assert.equal(mode.samplingIntervalMs, 60000);
+        const { data: info } = await server.callTool('get_device_info');
+        assert.equal(info.power.averageCurrentMa, 32.5);
+        assert.ok(info.power.estimatedRuntimeHours > power.estimatedRuntimeHours);
+    } finally {
+        await server.close();
+    }
+});
+
+test('raises low-battery alerts for a simulated battery as simulated', async () => {
+    // A tiny battery: every update at 60 mA takes about 0.8%
+    const server = await McpHarness.start({ POWER_CAPACITY_MAH: '1', POWER_SIMULATED_LEVEL: '21', SENSOR_UPDATE_INTERVAL_MS: '500' });
+    try {
+        await server.callTool('set_alert_rule', BATTERY_RULE);
+        const notification = await server.waitForMessage(message => message.params?.logger === 'alerts');
+        assert.equal(notification.params.level, 'warning');
+        assert.match(notification.params.data.message, /^Warning: simulated battery on default is \d+(\.\d)? % \(threshold 20 %\)$/);
+        assert.equal(notification.params.data.alert.simulated, true);
+        const { data: alerts } = await server.callTool('list_alerts');
+        assert.equal(alerts.active[0].simulated, true);
+    } finally {
+        await server.close();
+    }
+});
+
+test('uses the power reports of a board and never drains it', async () => {
+    const server = await startWithBoard('emulator:lab?vsys=3.55', { SENSOR_UPDATE_INTERVAL_MS: '500' });
+    try {
+        await server.callTool('set_alert_rule', BATTERY_RULE);
+        await server.callTool('get_sensor_data');
+        const power = await server.readResource('device://lab/power/status');
+        assert.equal(power.source, 'firmware');
+        assert.equal(power.supply, 'battery');
+        assert.equal(power.voltage, 3.55);
+        assert.equal(power.batteryLevel, 15);
+        const notification = await server.waitForMessage(message => message.params?.logger === 'alerts');
+        assert.equal(notification.params.data.message, 'Warning: battery on lab is 15 % (threshold 20 %) - connect USB power or replace the battery');
+        assert.equal(notification.params.data.alert.simulated, false);
+    } finally {
+        await server.close();
+    }
+
+    // A board that does not report its power: no simulated battery, also not under a scenario that drains one
+    const silent = await startWithBoard('emulator:lab', { SENSOR_UPDATE_INTERVAL_MS: '500' });
+    try {
+        await silent.callTool('set_alert_rule', BATTERY_RULE);
+        await silent.callTool('start_simulation_scenario', { scenario: 'dying-battery', timeScale: 200 });
+        await silent.poll(async () => (await silent.readResource('device://lab/device/health')).simulation?.steps >= 7);
+        const power = await silent.readResource('device://lab/power/status');
+        assert.equal(power.source, 'unknown');
+        assert.equal(power.batteryLevel, null);
+        const health = await silent.readResource('device://lab/device/health');
+        assert.equal(health.connectionState, 'connected');
+        assert.equal(health.simulation.activeFaults.includes('battery_empty'), false);
+        assert.deepEqual(alertMessages(silent), []);
+    } finally {
+        await silent.close();
+    }
+});
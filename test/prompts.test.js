@@ -0,0 +1,103 @@
+// Prompt templates: listing, filling in the device data and argument checks
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+const MINUTE = 60 * 1000;
+
+// Readings one a minute, an hour ago, with a ventilation at the end
+const START = Math.floor((Date.now() - 60 * MINUTE) / MINUTE) * MINUTE;
+const HISTORY = [700, 1100, 1400, 900].map((co2Level, i) => JSON.stringify({
+    timestamp: new Date(START + i * MINUTE).toISOString(),
+    co2Level,
+    status: 'data_received',
+    source: 'device'
+}) + '\n').join('');
+
+// The JSON block titled title in a prompt text
+const promptBlock = (text, title) => {
+    const match = text.match(new RegExp(`${title}:\\n\`\`\`json\\n([\\s\\S]*?)\\n\`\`\``));
+    assert.ok(match, `no "${title}" block`);
+    return JSON.parse(match[1]);
+};
+
+const getPrompt = async (server, name, args) => {
+    const response = await server.request('prompts/get', { name, arguments: args });
+    if (response.error) {
+        return response;
+    }
+    const [message] = response.result.messages;
+    assert.equal(message.role, 'user');
+    assert.equal(message.content.type, 'text');
+    return { description: response.result.description, text: message.content.text };
+};
+
+test('lists the prompt templates', async () => {
+    const server = await McpHarness.start();
+    try {
+        assert.ok(server.capabilities.prompts);
+        const { result } = await server.request('prompts/list');
+        assert.deepEqual(result.prompts.map(prompt => prompt.name), ['daily_air_quality_report', 'ventilation_advice', 'device_troubleshooting']);
+        const report = result.prompts[0];
+        assert.deepEqual(report.arguments.map(argument => [argument.name, argument.required]), [
+            ['room', true], ['from', false], ['to', false], ['device', false]
+        ]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('fills in the recorded and current data', async () => {
+    const server = await McpHarness.start({}, { files: { 'co2_history.jsonl': HISTORY } });
+    try {
+        const report = await getPrompt(server, 'daily_air_quality_report', { room: 'Meeting room 2', from: '2h' });
+        assert.match(report.text, /^Write an air quality report for the room "Meeting room 2" covering /);
+        const analysis = promptBlock(report.text, 'Analysis of the recorded readings');
+        assert.ok(analysis.samples >= 4);
+        assert.equal(analysis.co2.max, 1400);
+        assert.equal(promptBlock(report.text, 'Current readings').source, 'simulation');
+        assert.equal(promptBlock(report.text, 'Sensor device').name, 'default');
+
+        const advice = await getPrompt(server, 'ventilation_advice', { room: 'Lab', occupants: '4' });
+        assert.match(advice.text, /^Give ventilation advice for the room "Lab" with 4 people in it\./);
+        assert.deepEqual(promptBlock(advice.text, 'CO2 alert rules').map(rule => rule.metric), ['co2']);
+
+        const troubleshooting = await getPrompt(server, 'device_troubleshooting', { problem: 'readings look frozen' });
+        assert.match(troubleshooting.text, /^Help troubleshoot the CO2 sensor device "default"\. The reported problem: readings look frozen/);
+        assert.equal(promptBlock(troubleshooting.text, 'Connection health').connectionState, 'simulation');
+        assert.deepEqual(promptBlock(troubleshooting.text, 'Active alerts'), []);
+    } finally {
+        await server.close();
+    }
+});
+
+test('says why readings are missing under the strict data policy', async () => {
+    const server = await McpHarness.start({ SENSOR_DATA_POLICY: 'strict' });
+    try {
+        const { text } = await getPrompt(server, 'device_troubleshooting', {});
+        assert.deepEqual(promptBlock(text, 'Current readings'), { unavailable: 'No sensor data from default: no device is connected' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects unknown prompts and invalid arguments', async () => {
+    const server = await McpHarness.start();
+    try {
+        const invalid = async (name, args) => {
+            const response = await server.request('prompts/get', { name, arguments: args });
+            assert.equal(response.error?.code, -32602, name);
+            return response.error.message;
+        };
+        assert.equal(await invalid('weekly_report', {}), 'Unknown prompt: weekly_report');
+        assert.equal(await invalid('ventilation_advice', {}), 'Invalid arguments for ventilation_advice: missing room');
+        assert.equal(await invalid('ventilation_advice', { room: 'Lab', occupants: 4 }), 'Invalid arguments for ventilation_advice: arguments must be strings');
+        assert.equal(await invalid('ventilation_advice', { room: 'Lab', occupants: 'many' }), 'Invalid arguments for ventilation_advice: occupants must be a whole number, got "many"');
+        assert.match(await invalid('daily_air_quality_report', { room: 'Lab', from: 'yesterday' }), /^Invalid arguments for daily_air_quality_report: .*Invalid time value/);
+        assert.match(await invalid('device_troubleshooting', { device: 'attic' }), /Unknown device: attic/);
+        const noName = await server.request('prompts/get', {});
+        assert.deepEqual(noName.error, { code: -32602, message: 'Invalid params: name is required' });
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,87 @@
+// Background sampling: the sample buffer, smoothing and outlier rejection, on an emulated board
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+const BOARD = 'lab=emulator:lab?seed=1&latencyMs=0';
+
+// Start the server with the seeded board and wait until its port is open
+const startWithBoard = async (env = {}) => {
+    const server = await McpHarness.start({ SERIAL_DEVICES: BOARD, ...env });
+    await server.poll(async () => (await server.callTool('list_devices')).data[0].connectionState === 'connected');
+    return server;
+};
+
+// CO2 of count readings asked for one after the other
+const readLevels = async (server, count) => {
+    const levels = [];
+    for (let i = 0; i < count; i++) {
+        levels.push((await server.callTool('get_sensor_data')).data.co2Level);
+    }
+    return levels;
+};
+
+test('answers from the latest background sample', async () => {
+    const server = await startWithBoard({ SAMPLING_INTERVAL_MS: '200' });
+    try {
+        const health = await server.poll(async () => {
+            const current = await server.readResource('device://lab/device/health');
+            return current.sampling.bufferedSamples >= 3 ? current : null;
+        });
+        assert.equal(health.sampling.intervalMs, 200);
+        assert.equal(health.sampling.smoothing, 'none');
+        assert.ok(health.sampling.lastSampleAt);
+        const { data } = await server.callTool('get_sensor_data');
+        assert.equal(data.status, 'data_received');
+        assert.equal(data.source, 'device');
+        assert.ok(data.sampleAgeMs >= 0 && data.sampleAgeMs <= 200 + 5000, `sampleAgeMs ${data.sampleAgeMs}`);
+    } finally {
+        await server.close();
+    }
+});
+
+test('smooths readings and rejects outliers', async () => {
+    // The seeded board gives the same raw readings on every run
+    const raw = await startWithBoard({ SAMPLING_INTERVAL_MS: '0' });
+    let levels;
+    try {
+        levels = await readLevels(raw, 5);
+    } finally {
+        await raw.close();
+    }
+
+    const smoothed = await startWithBoard({ SAMPLING_INTERVAL_MS: '0', SAMPLING_SMOOTHING: 'moving-average', SAMPLING_WINDOW: '3' });
+    try {
+        const expected = levels.map((_, i) => {
+            const window = levels.slice(Math.max(0, i - 2), i + 1);
+            return Math.round(window.reduce((sum, level) => sum + level, 0) / window.length);
+        });
+        assert.deepEqual(await readLevels(smoothed, 5), expected);
+    } finally {
+        await smoothed.close();
+    }
+
+    // Readings further than 5 ppm from the median of the recent ones are dropped; the read still
+    // answers right away, with the last accepted value
+    const filtered = await startWithBoard({ SAMPLING_INTERVAL_MS: '0', SAMPLING_OUTLIER_PPM: '5', SENSOR_READ_TIMEOUT_MS: '2000' });
+    try {
+        const startedAt = Date.now();
+        const reported = await readLevels(filtered, 5);
+        assert.ok(Date.now() - startedAt < 2000);
+        const { sampling } = await filtered.readResource('device://lab/device/health');
+        assert.equal(sampling.bufferedSamples, 5);
+        assert.ok(sampling.rejectedSamples > 0);
+        assert.equal(reported.filter((level, i) => level !== levels[i]).length, sampling.rejectedSamples);
+    } finally {
+        await filtered.close();
+    }
+});
+
+test('checks the sampling settings', async () => {
+    const smoothing = await McpHarness.run({ SAMPLING_SMOOTHING: 'mean' });
+    assert.equal(smoothing.code, 1);
+    assert.match(smoothing.stderr, /sampling\.smoothing: must be one of none, moving-average, median, got "mean"/);
+    const window = await McpHarness.run({ SAMPLING_BUFFER_SIZE: '3', SAMPLING_WINDOW: '5' });
+    assert.equal(window.code, 1);
+    assert.match(window.stderr, /sampling\.window: must not exceed sampling\.bufferSize \(3\)/);
+});
@@ -0,0 +1,125 @@
+// Simulation scenarios: seeded playback, fault injection, scenario files and the data policy
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { McpHarness } from './harness.js';
+
+const FAST = { SENSOR_UPDATE_INTERVAL_MS: '500' };
+
+// The CO2 levels of the first recorded readings, once there are enough of them
+const firstLevels = async (server, count) => {
+    const points = await server.poll(async () => {
+        const { data } = await server.callTool('get_sensor_history', { limit: 100 });
+        return data.points.length >= count ? data.points : null;
+    });
+    return points.slice(0, count).map(point => point.co2Level);
+};
+
+test('plays a seeded scenario with the same readings on every run', async () => {
+    const runs = [];
+    for (let run = 0; run < 2; run++) {
+        const server = await McpHarness.start({ ...FAST, SIMULATION_SCENARIO: 'meeting-window', SIMULATION_SEED: '42' });
+        try {
+            runs.push(await firstLevels(server, 3));
+            const { simulation } = await server.readResource('device://device/health');
+            assert.equal(simulation.scenario, 'meeting-window');
+            assert.equal(simulation.seed, 42);
+            assert.equal(simulation.phase, 'empty');
+            assert.ok(simulation.steps >= 3);
+        } finally {
+            await server.close();
+        }
+    }
+    assert.deepEqual(runs[0], runs[1]);
+});
+
+test('starts and stops scenarios with injected faults', async () => {
+    const server = await McpHarness.start(FAST);
+    try {
+        const { data: started } = await server.callTool('start_simulation_scenario', {
+            scenario: 'office-day',
+            seed: 7,
+            faults: [{ type: 'disconnect', atSec: 0 }]
+        });
+        assert.equal(started.scenario, 'office-day');
+        assert.equal(started.seed, 7);
+        const health = await server.poll(async () => {
+            const current = await server.readResource('device://device/health');
+            return current.connectionState === 'reconnecting' ? current : null;
+        });
+        assert.deepEqual(health.simulation.activeFaults, ['disconnect']);
+        assert.equal(health.lastError, 'Simulated disconnect');
+
+        const { data: stopped } = await server.callTool('stop_simulation');
+        assert.equal(stopped.stopReason, 'stopped');
+        const after = await server.readResource('device://device/health');
+        assert.equal(after.simulation, null);
+        assert.equal(after.connectionState, 'simulation');
+        const { data: idle } = await server.callTool('stop_simulation');
+        assert.equal(idle.message, 'No simulation scenario is running on default');
+
+        const unknown = await server.request('tools/call', { name: 'start_simulation_scenario', arguments: { scenario: 'heatwave' } });
+        assert.equal(unknown.error.code, -32602);
+        assert.match(unknown.error.message, /^Unknown scenario heatwave: not a built-in scenario \(office-day, .*\) and no such file in /);
+    } finally {
+        await server.close();
+    }
+});
+
+test('loads scenario files from the scenarios directory only', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'co2-mcp-outside-'));
+    fs.writeFileSync(path.join(outside, 'secret.json'), JSON.stringify({ phases: [{ durationSec: 60, occupants: 1 }] }));
+    const scenario = { name: 'classroom', room: { volumeM3: 150, initialPpm: 500 }, phases: [{ name: 'lesson', durationSec: 2700, occupants: 25, ach: 2 }] };
+    const server = await McpHarness.start(FAST, {
+        files: {
+            'co2_scenarios/classroom.json': JSON.stringify(scenario),
+            'co2_scenarios/broken.yaml': 'phases: [unclosed',
+            'co2_scenarios/broken.json': '{ "phases": '
+        }
+    });
+    try {
+        const { data } = await server.callTool('start_simulation_scenario', { scenario: 'classroom.json', seed: 1 });
+        assert.equal(data.scenario, 'classroom');
+        assert.equal(data.phase, 'lesson');
+        assert.equal(data.durationSec, 2700);
+
+        const scenarioError = async (name) => {
+            const response = await server.request('tools/call', { name: 'start_simulation_scenario', arguments: { scenario: name } });
+            assert.equal(response.error?.code, -32602, name);
+            return response.error.message;
+        };
+        assert.equal(await scenarioError('broken.yaml'), 'Invalid scenario file broken.yaml: not valid YAML');
+        assert.equal(await scenarioError('broken.json'), 'Invalid scenario file broken.json: not valid JSON');
+        assert.match(await scenarioError(path.join(outside, 'secret.json')), /: not a built-in scenario .* and not a file in /);
+        assert.match(await scenarioError('../secret.json'), /: not a built-in scenario .* and (not a file|no such file) in /);
+        fs.symlinkSync(path.join(outside, 'secret.json'), path.join(server.homeDir, 'co2_scenarios', 'linked.json'));
+        assert.match(await scenarioError('linked.json'), /: not a built-in scenario .* and not a file in /);
+        // The scenario that was running keeps running
+        const { simulation } = await server.readResource('device://device/health');
+        assert.equal(simulation.scenario, 'classroom');
+    } finally {
+        await server.close();
+        fs.rmSync(outside, { recursive: true, force: true });
+    }
+});
+
+test('produces no readings under the strict data policy', async () => {
+    const server = await McpHarness.start({ ...FAST, SENSOR_DATA_POLICY: 'strict', SIMULATION_SCENARIO: 'meeting-window', SIMULATION_SEED: '42' });
+    try {
+        await server.poll(async () => {
+            const { simulation } = await server.readResource('device://device/health');
+            return simulation.steps >= 3;
+        });
+        const { data: history } = await server.callTool('get_sensor_history');
+        assert.equal(history.count, 0);
+        const { isError, text } = await server.callTool('get_sensor_data');
+        assert.equal(isError, true);
+        assert.equal(text, 'No sensor data from default: no device is connected');
+        const health = await server.readResource('device://device/health');
+        assert.equal(health.simulatedReadings, 0);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,71 @@
+// Resource subscriptions: update notifications for subscribed resources and change thresholds
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpHarness } from './harness.js';
+
+// Simulated readings every 500 ms, checked for changes every 100 ms
+const FAST_UPDATES = { SENSOR_UPDATE_INTERVAL_MS: '500', SUBSCRIPTIONS_MIN_INTERVAL_MS: '100' };
+
+const updates = (server, uri) => server.messages.filter(message => message.method === 'notifications/resources/updated' && message.params.uri === uri);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('announces subscriptions and list changes in the capabilities', async () => {
+    const server = await McpHarness.start();
+    try {
+        assert.equal(server.capabilities.resources.subscribe, true);
+        assert.equal(server.capabilities.resources.listChanged, true);
+    } finally {
+        await server.close();
+    }
+});
+
+test('notifies about changes of a subscribed resource until unsubscribed', async () => {
+    const server = await McpHarness.start(FAST_UPDATES);
+    try {
+        const subscribed = await server.request('resources/subscribe', { uri: 'device://sensor/data' });
+        assert.deepEqual(subscribed.result, {});
+        const notification = await server.waitForMessage(message => message.method === 'notifications/resources/updated');
+        assert.deepEqual(notification.params, { uri: 'device://sensor/data' });
+        // Unsubscribed resources are not reported
+        assert.deepEqual(updates(server, 'device://network/status'), []);
+
+        const unsubscribed = await server.request('resources/unsubscribe', { uri: 'device://sensor/data' });
+        assert.deepEqual(unsubscribed.result, {});
+        const count = updates(server, 'device://sensor/data').length;
+        await sleep(1500);
+        assert.equal(updates(server, 'device://sensor/data').length, count);
+    } finally {
+        await server.close();
+    }
+});
+
+test('skips sensor data updates below the minimum change', async () => {
+    // Simulated readings change by far less than 5000 ppm
+    const server = await McpHarness.start({ ...FAST_UPDATES, SUBSCRIPTIONS_MIN_CHANGE: '5000' });
+    try {
+        // A status change is always reported, so start from a settled status
+        await server.callTool('get_sensor_data');
+        await server.request('resources/subscribe', { uri: 'device://sensor/data' });
+        await sleep(1500);
+        assert.deepEqual(updates(server, 'device://sensor/data'), []);
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects subscriptions to unknown resources', async () => {
+    const server = await McpHarness.start();
+    try {
+        const invalid = await server.request('resources/subscribe', { uri: 'device://sensor/weather' });
+        assert.equal(invalid.error.code, -32602);
+        assert.equal(invalid.error.message, 'Invalid resource URI');
+        const device = await server.request('resources/subscribe', { uri: 'device://attic/sensor/data' });
+        assert.equal(device.error.code, -32602);
+        assert.equal(device.error.message, 'Unknown device: attic');
+        const missing = await server.request('resources/unsubscribe', {});
+        assert.equal(missing.error.code, -32602);
+    } finally {
+        await server.close();
+    }
+});
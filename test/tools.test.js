@@ -0,0 +1,128 @@
+// Tool access: annotations, the allow/deny policy, confirmations, per-tool rate limits and the audit trail
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { McpHarness } from './harness.js';
+
+// Two emulated WiFi boards, named office and lab, with quick reconnects
+const TWO_BOARDS = {
+    SERIAL_DEVICES: 'office=emulator:office?wifiReconnectMs=50,lab=emulator:lab?wifiReconnectMs=50',
+    SAMPLING_INTERVAL_MS: '0'
+};
+
+const listTools = async server => (await server.request('tools/list')).result.tools;
+
+test('annotates every tool', async () => {
+    const server = await McpHarness.start();
+    try {
+        const tools = await listTools(server);
+        for (const tool of tools) {
+            assert.equal(typeof tool.annotations?.readOnlyHint, 'boolean', tool.name);
+            assert.equal(typeof tool.annotations.destructiveHint, 'boolean', tool.name);
+            assert.equal(typeof tool.annotations.idempotentHint, 'boolean', tool.name);
+        }
+        const annotations = name => tools.find(tool => tool.name === name).annotations;
+        assert.deepEqual(annotations('get_sensor_data'), { readOnlyHint: true, destructiveHint: false, idempotentHint: true });
+        assert.deepEqual(annotations('calibrate_zero'), { readOnlyHint: false, destructiveHint: true, idempotentHint: false });
+        // It can overwrite a file in export.dir
+        assert.deepEqual(annotations('export_sensor_data'), { readOnlyHint: false, destructiveHint: true, idempotentHint: false });
+    } finally {
+        await server.close();
+    }
+});
+
+test('only offers and runs the tools the policy allows', async () => {
+    const readOnly = await McpHarness.start({ TOOLS_READ_ONLY: 'true' });
+    try {
+        const tools = await listTools(readOnly);
+        assert.ok(tools.length > 0);
+        assert.ok(tools.every(tool => tool.annotations.readOnlyHint), 'only read-only tools');
+        const response = await readOnly.request('tools/call', { name: 'set_power_mode', arguments: { mode: 'low-power' } });
+        assert.deepEqual(response.error, { code: -32602, message: 'Tool set_power_mode is not allowed by the server\'s tool policy' });
+        // Exports stay available through the resource
+        const exported = await readOnly.request('resources/read', { uri: 'device://sensor/export?format=json' });
+        assert.deepEqual(JSON.parse(exported.result.contents[0].text), []);
+    } finally {
+        await readOnly.close();
+    }
+
+    const listed = await McpHarness.start({ TOOLS_ALLOW: 'get_sensor_data,list_devices,get_config', TOOLS_DENY: 'get_config' });
+    try {
+        assert.deepEqual((await listTools(listed)).map(tool => tool.name), ['get_sensor_data', 'list_devices']);
+        const { isError } = await listed.callTool('get_sensor_data');
+        assert.equal(isError, false);
+        await assert.rejects(listed.callTool('get_config'), /get_config: Tool get_config is not allowed/);
+    } finally {
+        await listed.close();
+    }
+});
+
+test('limits the calls of a tool per device', async () => {
+    const server = await McpHarness.start({ ...TWO_BOARDS, TOOLS_RATE_LIMITS: 'reconnect_wifi=1/60s' });
+    try {
+        await server.poll(async () => (await server.callTool('list_devices')).data.every(device => device.connectionState === 'connected'));
+        const first = await server.callTool('reconnect_wifi', { device: 'office' });
+        assert.equal(first.isError, false);
+        const second = await server.callTool('reconnect_wifi', { device: 'office' });
+        assert.equal(second.isError, true);
+        assert.match(second.text, /^reconnect_wifi may be called once per 60 s for office; try again in (60|59) s$/);
+        // The other board has its own limit
+        const other = await server.callTool('reconnect_wifi', { device: 'lab' });
+        assert.equal(other.isError, false);
+    } finally {
+        await server.close();
+    }
+});
+
+test('records every tool call in the audit trail', async () => {
+    const server = await McpHarness.start({ TOOLS_DENY: 'get_config' });
+    try {
+        await server.callTool('get_sensor_data');
+        await server.callTool('calibrate_zero');
+        await server.request('tools/call', { name: 'get_config', arguments: {} });
+        await server.request('tools/call', { name: 'get_sensor_history', arguments: { from: 'yesterday' } });
+
+        const entries = await server.readResource('device://audit/log');
+        assert.deepEqual(entries.map(entry => [entry.tool, entry.outcome]), [
+            ['get_sensor_data', 'ok'],
+            ['calibrate_zero', 'unconfirmed'],
+            ['get_config', 'denied'],
+            ['get_sensor_history', 'invalid']
+        ]);
+        const [read] = entries;
+        assert.equal(read.session, 'stdio');
+        assert.equal(read.client, 'test-harness');
+        assert.deepEqual(read.arguments, {});
+        assert.equal(JSON.parse(read.result).source, 'simulation');
+        assert.match(entries[1].error, /confirm: true/);
+
+        const denied = await server.readResource('device://audit/log?outcome=denied');
+        assert.deepEqual(denied.map(entry => entry.tool), ['get_config']);
+        const limited = await server.readResource('device://audit/log?limit=1');
+        assert.deepEqual(limited.map(entry => entry.tool), ['get_sensor_history']);
+
+        const lines = server.readFile('co2_audit.jsonl').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines.map(entry => entry.id), entries.map(entry => entry.id));
+    } finally {
+        await server.close();
+    }
+});
+
+test('rotates the audit file and keeps only the newest copies', async () => {
+    // About 1 KB per file: every call or two rotates it
+    const server = await McpHarness.start({ AUDIT_MAX_SIZE_MB: '0.001', AUDIT_MAX_FILES: '2' });
+    try {
+        for (let i = 0; i < 8; i++) {
+            await server.callTool('get_sensor_data');
+        }
+        const rotated = fs.readdirSync(server.homeDir).filter(file => /^co2_audit\.\d{4}-\d{2}-\d{2}(\.\d+)?\.jsonl$/.test(file));
+        assert.equal(rotated.length, 2);
+        const current = server.readFile('co2_audit.jsonl').trim().split('\n');
+        assert.ok(current.length < 8, `${current.length} entries`);
+        // The resource still has every call
+        const entries = await server.readResource('device://audit/log');
+        assert.equal(entries.length, 8);
+    } finally {
+        await server.close();
+    }
+});